@@ -1,104 +1,141 @@
-import axios from 'axios';
 import chalk from 'chalk';
 
-// Configuration
+// Configuration (endpoints and request shapes live in the shortener adapters)
 const SHORTENER_CONFIG = {
-  BASE_URL: process.env.SHORTENER_URL || 'https://websites-links.netlify.app',
-  BULK_ENDPOINT: '/api/bulk-upload',
-  TIMEOUT: 60000, // 1 minute timeout for bulk operations
+  BATCH_SIZE: 250, // URLs per bulk request
+  CONCURRENCY: 3, // Bulk requests in flight at once
   MAX_RETRIES: 3,
   RETRY_DELAY: 2000 // 2 seconds
 };
 
 /**
  * Upload URLs to shortener in bulk
+ * URLs are sent in chunks, a few at a time; each chunk is retried on its own and falls back to
+ * the original URLs if it keeps failing, so one bad chunk doesn't cost the rest of the list.
  * @param {Array} urlMappings - Array of URL mappings to shorten
- * @returns {Promise<Array>} Results from bulk shortening
+ * @param {Object} options - Upload options
+ * @param {Object} options.shortener - Shortener adapter from createShortener
+ * @param {number} options.batchSize - URLs per chunk
+ * @param {number} options.concurrency - Chunks in flight at once
+ * @returns {Promise<Array>} Results from bulk shortening, in the order of urlMappings
  */
-export async function bulkUploadToShortener(urlMappings) {
+export async function bulkUploadToShortener(urlMappings, options = {}) {
+  const {
+    shortener,
+    batchSize = SHORTENER_CONFIG.BATCH_SIZE,
+    concurrency = SHORTENER_CONFIG.CONCURRENCY
+  } = options;
+
+  if (!shortener) {
+    throw new Error('No shortener adapter provided for bulk upload');
+  }
+
   if (!urlMappings || urlMappings.length === 0) {
     throw new Error('No URL mappings provided for bulk upload');
   }
 
-  console.log(chalk.blue(`🚀 Starting bulk upload of ${urlMappings.length} URLs to shortener...`));
-  console.log(chalk.gray(`   Shortener URL: ${SHORTENER_CONFIG.BASE_URL}`));
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid shortener batch size: ${batchSize}. Must be a positive integer`);
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid shortener concurrency: ${concurrency}. Must be a positive integer`);
+  }
+
+  const chunks = [];
+  for (let start = 0; start < urlMappings.length; start += batchSize) {
+    chunks.push(urlMappings.slice(start, start + batchSize));
+  }
+
+  console.log(chalk.blue(`🚀 Starting bulk upload of ${urlMappings.length} URLs to shortener (${chunks.length} chunks of up to ${batchSize}, ${Math.min(concurrency, chunks.length)} at a time)...`));
+  console.log(chalk.gray(`   Shortener (${shortener.name}): ${shortener.target}`));
 
-  // Prepare bulk request payload
-  const bulkRequest = {
-    urls: urlMappings.map(mapping => ({
-      original_url: mapping.original_url,
-      metadata: {
-        prospect_id: mapping.metadata.prospect_id,
-        business_type: mapping.metadata.business_type,
-        company: mapping.metadata.company
+  const chunkResults = new Array(chunks.length);
+  const failedChunks = [];
+  let nextChunk = 0;
+
+  // Each worker takes the next chunk until none are left
+  const worker = async () => {
+    while (nextChunk < chunks.length) {
+      const index = nextChunk++;
+      const label = `Chunk ${index + 1}/${chunks.length}`;
+
+      try {
+        chunkResults[index] = await uploadChunk(shortener, chunks[index], label);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  ${label} failed (${error.message}), using original URLs for its ${chunks[index].length} URLs`));
+        failedChunks.push(error);
+        chunkResults[index] = createFallbackResults(chunks[index]);
       }
-    }))
+    }
   };
 
+  await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+
+  // Nothing was shortened; let the caller decide how to recover
+  if (failedChunks.length === chunks.length) {
+    console.log(chalk.red(`❌ Bulk upload failed for all ${chunks.length} chunks`));
+    throw new Error(`Bulk upload failed: ${failedChunks[0]?.message || 'Unknown error'}`);
+  }
+
+  const results = chunkResults.flat();
+
+  // Show success/failure breakdown
+  const successCount = results.filter(r => r.success && !r.fallback).length;
+  const fallbackCount = results.filter(r => r.fallback).length;
+  const failureCount = results.filter(r => !r.success).length;
+
+  console.log(chalk.green(`✅ Bulk upload finished! Processed ${results.length} URLs`));
+  console.log(chalk.green(`   ✅ Successful: ${successCount} URLs`));
+  if (fallbackCount > 0) {
+    console.log(chalk.yellow(`   ⚠️  Original URLs: ${fallbackCount} URLs (${failedChunks.length} failed chunks)`));
+  }
+  if (failureCount > 0) {
+    console.log(chalk.yellow(`   ⚠️  Failed: ${failureCount} URLs`));
+
+    // Show first few failures for debugging
+    const failures = results.filter(r => !r.success).slice(0, 3);
+    failures.forEach((failure, index) => {
+      console.log(chalk.yellow(`      ${index + 1}. ${failure.error || 'Unknown error'}`));
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Send one chunk of URLs to the shortener, retrying transient errors
+ * @param {Object} shortener - Shortener adapter
+ * @param {Array} urlMappings - URL mappings in this chunk
+ * @param {string} label - Chunk label for logs
+ * @returns {Promise<Array>} Results for the chunk
+ */
+async function uploadChunk(shortener, urlMappings, label) {
   let lastError;
   
   // Retry mechanism
   for (let attempt = 1; attempt <= SHORTENER_CONFIG.MAX_RETRIES; attempt++) {
     try {
-      console.log(chalk.blue(`📡 Attempt ${attempt}/${SHORTENER_CONFIG.MAX_RETRIES}: Sending bulk request...`));
-      
-      const response = await axios.post(
-        `${SHORTENER_CONFIG.BASE_URL}${SHORTENER_CONFIG.BULK_ENDPOINT}`,
-        bulkRequest,
-        {
-          timeout: SHORTENER_CONFIG.TIMEOUT,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'CSV-Campaign-Processor/1.0',
-            'Origin': 'http://localhost:5173' // Required for CORS
-          }
-        }
-      );
-
-      if (response.data && response.data.success) {
-        const results = response.data.results || [];
-        console.log(chalk.green(`✅ Bulk upload successful! Processed ${results.length} URLs`));
-        
-        // Show success/failure breakdown
-        const successCount = results.filter(r => r.success).length;
-        const failureCount = results.length - successCount;
-        
-        console.log(chalk.green(`   ✅ Successful: ${successCount} URLs`));
-        if (failureCount > 0) {
-          console.log(chalk.yellow(`   ⚠️  Failed: ${failureCount} URLs`));
-          
-          // Show first few failures for debugging
-          const failures = results.filter(r => !r.success).slice(0, 3);
-          failures.forEach((failure, index) => {
-            console.log(chalk.yellow(`      ${index + 1}. ${failure.error || 'Unknown error'}`));
-          });
-        }
-
-        return results;
-      } else {
-        throw new Error(`Bulk upload failed: ${response.data?.error || 'Unknown error'}`);
-      }
-
+      console.log(chalk.blue(`📡 ${label}, attempt ${attempt}/${SHORTENER_CONFIG.MAX_RETRIES}: Sending ${urlMappings.length} URLs...`));
+      return await shortener.shortenChunk(urlMappings);
     } catch (error) {
       lastError = error;
       
       if (attempt < SHORTENER_CONFIG.MAX_RETRIES) {
         const isRetryableError = isRetryable(error);
         if (isRetryableError) {
-          console.log(chalk.yellow(`⚠️  Request failed (${error.message}), retrying in ${SHORTENER_CONFIG.RETRY_DELAY}ms...`));
+          console.log(chalk.yellow(`⚠️  ${label} failed (${error.message}), retrying in ${SHORTENER_CONFIG.RETRY_DELAY}ms...`));
           await sleep(SHORTENER_CONFIG.RETRY_DELAY);
           continue;
         } else {
-          console.log(chalk.red(`❌ Non-retryable error: ${error.message}`));
+          console.log(chalk.red(`❌ ${label}: Non-retryable error: ${error.message}`));
           break;
         }
       }
     }
   }
 
-  // All attempts failed
-  console.log(chalk.red(`❌ Bulk upload failed after ${SHORTENER_CONFIG.MAX_RETRIES} attempts`));
-  throw new Error(`Bulk upload failed: ${lastError?.message || 'Unknown error'}`);
+  throw lastError || new Error('Unknown error');
 }
 
 /**
@@ -201,35 +238,16 @@ export function validateBulkUploadResults(results, originalMappings) {
 
 /**
  * Test connection to URL shortener API
+ * @param {Object} shortener - Shortener adapter
  * @returns {Promise<boolean>} Whether connection is successful
  */
-export async function testShortenerConnection() {
+export async function testShortenerConnection(shortener) {
   try {
-    console.log(chalk.blue('🔍 Testing connection to URL shortener...'));
+    console.log(chalk.blue(`🔍 Testing connection to URL shortener (${shortener.name}: ${shortener.target})...`));
     
-    // Test with a small bulk request to the actual endpoint since there's no dedicated health endpoint
-    const testPayload = {
-      urls: [{
-        original_url: 'https://example.com',
-        metadata: { test: true }
-      }]
-    };
-    
-    const response = await axios.post(
-      `${SHORTENER_CONFIG.BASE_URL}${SHORTENER_CONFIG.BULK_ENDPOINT}`,
-      testPayload,
-      {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'CSV-Campaign-Processor/1.0',
-          'Origin': 'http://localhost:5173' // Required for CORS
-        },
-        validateStatus: (status) => status < 500 // Accept anything except server errors
-      }
-    );
+    const status = await shortener.healthCheck();
     
-    console.log(chalk.green(`✅ Connection successful (Status: ${response.status})`));
+    console.log(chalk.green(`✅ Connection successful (Status: ${status})`));
     return true;
   } catch (error) {
     console.log(chalk.red(`❌ Connection failed: ${error.message}`));
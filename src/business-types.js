@@ -0,0 +1,156 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const BUSINESS_TYPES_PATH = join(__dirname, '..', 'config', 'business-types.json');
+
+// Query parameters every demo URL carries
+const PERSONALIZATION_PARAMS = ['company', 'city', 'phone'];
+
+// Loaded registries, keyed by config path
+const registryCache = new Map();
+
+/**
+ * Load and validate the business type registry
+ * @param {string} configPath - Path to business-types.json
+ * @returns {Promise<Object>} Registry keyed by business type name
+ */
+export async function loadBusinessTypes(configPath = BUSINESS_TYPES_PATH) {
+  if (registryCache.has(configPath)) {
+    return registryCache.get(configPath);
+  }
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Business type config not found: ${configPath}`);
+  }
+
+  const config = await fs.readJson(configPath);
+  const registry = validateRegistry(config);
+
+  registryCache.set(configPath, registry);
+  return registry;
+}
+
+/**
+ * Validate registry structure and build the alias lookup
+ * @param {Object} config - Raw business type config
+ * @returns {Object} Normalized registry
+ */
+function validateRegistry(config) {
+  const types = Object.keys(config);
+  if (types.length === 0) {
+    throw new Error('Business type config must define at least one business type');
+  }
+
+  // Null prototype, so names like "constructor" or "__proto__" don't resolve to Object.prototype members
+  const aliasOwners = Object.create(null);
+  const defaults = [];
+
+  types.forEach(type => {
+    const entry = config[type];
+    const key = type.trim().toLowerCase();
+
+    if (key !== type) {
+      throw new Error(`Business type "${type}" must be lowercase without surrounding spaces`);
+    }
+
+    if (!Array.isArray(entry.sites) || entry.sites.length === 0) {
+      throw new Error(`No demo sites configured for business type: ${type}`);
+    }
+
+    entry.sites.forEach((site, index) => {
+      if (!site.url || !site.display_name) {
+        throw new Error(`Site ${index + 1} of business type "${type}" needs url and display_name`);
+      }
+      if (site.display_names !== undefined && (typeof site.display_names !== 'object' || Array.isArray(site.display_names))) {
+        throw new Error(`display_names of site ${index + 1} of business type "${type}" must map languages to labels`);
+      }
+    });
+
+    entry.url_params = entry.url_params || [];
+    if (!Array.isArray(entry.url_params) || entry.url_params.some(param => typeof param !== 'string' || !/^[a-z0-9_]+$/.test(param))) {
+      throw new Error(`url_params of business type "${type}" must be a list of extra column names (lowercase snake_case)`);
+    }
+    const reserved = entry.url_params.filter(param => PERSONALIZATION_PARAMS.includes(param));
+    if (reserved.length > 0) {
+      throw new Error(`url_params of business type "${type}" can't override the "${reserved[0]}" parameter`);
+    }
+
+    if (entry.default !== undefined && typeof entry.default !== 'boolean') {
+      throw new Error(`default of business type "${type}" must be true or false`);
+    }
+    if (entry.default) {
+      defaults.push(type);
+    }
+
+    entry.aliases = (entry.aliases || []).map(alias => alias.trim().toLowerCase());
+    entry.message = entry.message || {};
+
+    [type, ...entry.aliases].forEach(name => {
+      if (aliasOwners[name] && aliasOwners[name] !== type) {
+        throw new Error(`Business type alias "${name}" is claimed by both "${aliasOwners[name]}" and "${type}"`);
+      }
+      aliasOwners[name] = type;
+    });
+  });
+
+  if (defaults.length > 1) {
+    throw new Error(`Only one business type can be the default, found: ${defaults.join(', ')}`);
+  }
+
+  // Non-enumerable so Object.keys/entries only see the business types
+  Object.defineProperty(config, '_aliases', { value: aliasOwners, enumerable: false });
+  Object.defineProperty(config, '_default', { value: defaults[0] || types[0], enumerable: false });
+
+  return config;
+}
+
+/**
+ * Get the canonical business type names
+ * @param {Object} registry - Business type registry
+ * @returns {Array<string>} Business type names
+ */
+export function getBusinessTypeNames(registry) {
+  return Object.keys(registry);
+}
+
+/**
+ * Get the fallback business type for prospects without one
+ * @param {Object} registry - Business type registry
+ * @returns {string} The type marked "default": true, otherwise the first type in the config
+ */
+export function getDefaultBusinessType(registry) {
+  return registry._default;
+}
+
+/**
+ * Resolve a business type name or alias to its canonical name
+ * @param {Object} registry - Business type registry
+ * @param {string} value - Business type name or alias (case-insensitive)
+ * @returns {string|null} Canonical business type, or null when unknown
+ */
+export function resolveBusinessType(registry, value) {
+  if (!value) {
+    return null;
+  }
+
+  return registry._aliases[value.trim().toLowerCase()] || null;
+}
+
+/**
+ * Get the configuration for a business type
+ * @param {Object} registry - Business type registry
+ * @param {string} businessType - Canonical business type
+ * @returns {Object} Business type configuration
+ */
+export function getBusinessTypeConfig(registry, businessType) {
+  const config = Object.hasOwn(registry, businessType) ? registry[businessType] : null;
+  if (!config) {
+    throw new Error(`No configuration found for business type: ${businessType}`);
+  }
+
+  return config;
+}
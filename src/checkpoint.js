@@ -0,0 +1,269 @@
+import fs from 'fs-extra';
+import { createReadStream, appendFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { createInterface } from 'readline';
+import { dirname } from 'path';
+import chalk from 'chalk';
+
+const CHECKPOINT_VERSION = 1;
+
+// Options that change which prospects are produced or what is written for them.
+// Batch size, previews and report paths can change between runs without invalidating progress.
+// So can --suppress: an opt-out added before --resume drops the prospects that weren't exported yet.
+const RUN_OPTIONS = ['inputFormat', 'sheet', 'businessType', 'defaultCountry', 'defaultLanguage', 'columnMap', 'dedupePolicy', 'fuzzyDedupe', 'output', 'skipShortener', 'shortener', 'shortenerUrl', 'outputColumns', 'outputFormat', 'exportPreset', 'detailedJson', 'campaignName', 'trackingConfig', 'urlTokens', 'lintConfig'];
+
+/**
+ * Hash the contents of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the run options that affect the output
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRunOptions(options) {
+  const relevant = RUN_OPTIONS.map(name => [name, options[name] ?? null]);
+  return createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+}
+
+/**
+ * Open the checkpoint for a run, starting a new one or loading the progress of an earlier run
+ * The checkpoint is an append-only journal (one JSON record per line), so saving progress only
+ * ever writes the records of the last batch.
+ * @param {string} checkpointPath - Checkpoint file path
+ * @param {Object} run - { input, input_hash, options_hash }
+ * @param {Object} options - Open options
+ * @param {boolean} options.resume - Load the existing checkpoint instead of starting over
+ * @returns {Promise<Object>} Checkpoint state
+ */
+export async function openCheckpoint(checkpointPath, run, { resume = false } = {}) {
+  const checkpoint = {
+    path: checkpointPath,
+    run,
+    resumed: false,
+    exported: new Set(),
+    output_sizes: {},
+    shortened: new Map(),
+    pending: []
+  };
+
+  if (resume && await fs.pathExists(checkpointPath)) {
+    await loadCheckpoint(checkpoint);
+    checkpoint.resumed = true;
+    return checkpoint;
+  }
+
+  if (resume) {
+    console.log(chalk.yellow(`   ⚠️  No checkpoint found at ${checkpointPath}, starting a new run`));
+  }
+
+  await fs.ensureDir(dirname(checkpointPath));
+  await fs.writeFile(checkpointPath, JSON.stringify({ type: 'run', version: CHECKPOINT_VERSION, ...run, started_at: new Date().toISOString() }) + '\n');
+
+  return checkpoint;
+}
+
+/**
+ * Replay a checkpoint journal into the checkpoint state
+ */
+async function loadCheckpoint(checkpoint) {
+  const lines = createInterface({ input: createReadStream(checkpoint.path), crlfDelay: Infinity });
+  let header = null;
+
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // A record cut off by a crash mid-write; everything before it is intact
+      console.log(chalk.yellow('   ⚠️  Ignoring an incomplete checkpoint record'));
+      break;
+    }
+
+    if (!header) {
+      header = record;
+      assertSameRun(checkpoint, header);
+      continue;
+    }
+
+    if (record.type === 'shortened') {
+      record.results.forEach(result => setShortened(checkpoint, result));
+    } else if (record.type === 'exported') {
+      record.prospect_ids.forEach(id => {
+        checkpoint.exported.add(id);
+        checkpoint.shortened.delete(id);
+      });
+      checkpoint.output_sizes = record.output_sizes;
+    }
+  }
+
+  if (!header) {
+    throw new Error(`Checkpoint is empty: ${checkpoint.path}`);
+  }
+}
+
+/**
+ * Make sure a checkpoint was written for the same input file and options
+ */
+function assertSameRun(checkpoint, header) {
+  if (header.type !== 'run' || header.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unrecognized checkpoint file: ${checkpoint.path}`);
+  }
+
+  if (header.input_hash !== checkpoint.run.input_hash) {
+    throw new Error(`Checkpoint ${checkpoint.path} was written for a different input file. Remove it or run without --resume`);
+  }
+
+  if (header.options_hash !== checkpoint.run.options_hash) {
+    throw new Error(`Checkpoint ${checkpoint.path} was written with different options. Use the same options or run without --resume`);
+  }
+}
+
+/**
+ * Keep a successful short URL result for a prospect that hasn't been exported yet
+ */
+function setShortened(checkpoint, result) {
+  const prospectId = result.metadata?.prospect_id;
+  if (!checkpoint.shortened.has(prospectId)) {
+    checkpoint.shortened.set(prospectId, new Map());
+  }
+  checkpoint.shortened.get(prospectId).set(result.original_url, result);
+}
+
+/**
+ * Check whether a prospect was already written to the output
+ * @param {Object} checkpoint - Checkpoint state
+ * @param {string} prospectId - Prospect id
+ * @returns {boolean} Whether the prospect can be skipped
+ */
+export function isExported(checkpoint, prospectId) {
+  return checkpoint.exported.has(prospectId);
+}
+
+/**
+ * Look up a URL shortened by an earlier batch or run
+ * @param {Object} checkpoint - Checkpoint state
+ * @param {Object} mapping - URL mapping from generateDemoUrls
+ * @returns {Object|undefined} Shortener result
+ */
+export function getShortenedResult(checkpoint, mapping) {
+  return checkpoint.shortened.get(mapping.metadata.prospect_id)?.get(mapping.original_url);
+}
+
+/**
+ * Record URLs returned by the shortener
+ * Fallbacks and failures are left out so they are shortened again on resume.
+ * @param {Object} checkpoint - Checkpoint state
+ * @param {Array} results - Shortener results
+ */
+export function recordShortened(checkpoint, results) {
+  const shortened = results.filter(result => result.success && !result.fallback);
+  if (shortened.length === 0) {
+    return;
+  }
+
+  shortened.forEach(result => setShortened(checkpoint, result));
+  checkpoint.pending.push({
+    type: 'shortened',
+    results: shortened.map(({ success, original_url, data, metadata }) => ({ success, original_url, data, metadata }))
+  });
+}
+
+/**
+ * Record prospects written to the output files
+ * @param {Object} checkpoint - Checkpoint state
+ * @param {Array} prospects - Exported prospects
+ * @param {Object} outputSizes - Size of each output file after the write: { path: bytes }
+ */
+export function recordExported(checkpoint, prospects, outputSizes) {
+  const prospectIds = prospects.map(prospect => prospect.id);
+  prospectIds.forEach(id => {
+    checkpoint.exported.add(id);
+    checkpoint.shortened.delete(id);
+  });
+  checkpoint.output_sizes = outputSizes;
+  checkpoint.pending.push({ type: 'exported', prospect_ids: prospectIds, output_sizes: outputSizes });
+}
+
+/**
+ * Append the pending records to the checkpoint file
+ * @param {Object} checkpoint - Checkpoint state
+ */
+export async function flushCheckpoint(checkpoint) {
+  const records = takePending(checkpoint);
+  if (records) {
+    await fs.appendFile(checkpoint.path, records);
+  }
+}
+
+/**
+ * Append the pending records synchronously (signal handlers can't wait for a promise)
+ * @param {Object} checkpoint - Checkpoint state
+ */
+export function flushCheckpointSync(checkpoint) {
+  const records = takePending(checkpoint);
+  if (records) {
+    appendFileSync(checkpoint.path, records);
+  }
+}
+
+/**
+ * Serialize and clear the pending records
+ */
+function takePending(checkpoint) {
+  if (checkpoint.pending.length === 0) {
+    return null;
+  }
+
+  const records = checkpoint.pending.map(record => JSON.stringify(record) + '\n').join('');
+  checkpoint.pending = [];
+  return records;
+}
+
+/**
+ * Cut the output files back to the last recorded batch
+ * Rows written after the last checkpoint record belong to prospects that will be processed again.
+ * @param {Object} checkpoint - Resumed checkpoint state
+ */
+export async function restoreOutput(checkpoint) {
+  if (checkpoint.exported.size === 0) {
+    return;
+  }
+
+  for (const [outputPath, bytes] of Object.entries(checkpoint.output_sizes)) {
+    if (!await fs.pathExists(outputPath)) {
+      throw new Error(`Output file from the interrupted run is missing: ${outputPath}. Run without --resume to start over`);
+    }
+
+    const { size } = await fs.stat(outputPath);
+    if (size < bytes) {
+      throw new Error(`Output file ${outputPath} is shorter than the checkpoint expects. Run without --resume to start over`);
+    }
+
+    if (size > bytes) {
+      await fs.truncate(outputPath, bytes);
+    }
+  }
+}
+
+/**
+ * Remove the checkpoint once the run has finished
+ * @param {Object} checkpoint - Checkpoint state
+ */
+export async function completeCheckpoint(checkpoint) {
+  checkpoint.pending = [];
+  await fs.remove(checkpoint.path);
+}
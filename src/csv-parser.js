@@ -1,104 +1,247 @@
 import fs from 'fs-extra';
-import csv from 'csv-parser';
-import { createReadStream } from 'fs';
 import chalk from 'chalk';
+import { loadBusinessTypes, getBusinessTypeNames, getDefaultBusinessType, resolveBusinessType } from './business-types.js';
+import { normalizePhoneNumber, resolveCountry } from './phone-normalizer.js';
+import { resolveLanguage } from './languages.js';
+import { deduplicateProspects, createStreamingDeduplicator, STREAMING_DEDUPE_POLICIES } from './deduplicator.js';
+import { createFieldError, createRejection } from './rejects.js';
+import { resolveHeaderMap, assertHeaderMap, applyHeaderMap, getExtraFields } from './header-mapper.js';
+import { openInputReader } from './input-readers.js';
+import { findSuppression } from './suppression.js';
 
 /**
- * Parse prospects CSV file and validate data format
- * @param {string} filePath - Path to CSV file
- * @param {string} fallbackBusinessType - Fallback business type for prospects missing business_type
- * @returns {Promise<Array>} Array of prospect objects
+ * Parse prospects file (CSV, TSV, XLSX, JSON or NDJSON) and validate data format
+ * @param {string} filePath - Path to prospects file
+ * @param {string} fallbackBusinessType - Fallback business type for prospects missing business_type (default: the registry's default)
+ * @param {Object} options - Parsing options
+ * @param {string} options.inputFormat - Input format (detected from the file extension when omitted)
+ * @param {string|number} options.sheet - Workbook sheet name or 1-based index (xlsx only)
+ * @param {boolean} options.trustXlsx - Read XLSX/XLS input (only for workbooks from a trusted source)
+ * @param {string} options.defaultCountry - ISO country code for phones without a country code or country column
+ * @param {string} options.defaultLanguage - Message language for rows without a language column (default: the templates' language)
+ * @param {string} options.dedupePolicy - How duplicates are collapsed: first | most-complete | merge | none
+ * @param {boolean} options.fuzzyDedupe - Also treat similar company names in the same city as duplicates
+ * @param {Object} options.columnMap - Explicit field → header mapping, on top of the built-in header aliases
+ * @param {Function} options.onReject - Called with a rejection record for every invalid row
+ * @param {Object} options.suppression - Do-not-contact lists from loadSuppressionLists; matching prospects are dropped
+ * @param {Function} options.onSuppress - Called with { row, row_number, suppressed_by, suppressed_value, suppression_list } for every dropped prospect
+ * @param {Array} options.expectedExtraFields - Extra fields the run uses (templates, URL params, output); missing ones are reported
+ * @returns {Promise<Array>} Array of unique prospect objects
  */
-export async function parseProspectsCSV(filePath, fallbackBusinessType = 'general') {
+export async function parseProspectsCSV(filePath, fallbackBusinessType = null, options = {}) {
+  const { dedupePolicy = 'first', fuzzyDedupe = false } = options;
   const prospects = [];
-  let rowCount = 0;
+  const progress = { rows: 0 };
+
+  for await (const prospect of readValidProspects(filePath, fallbackBusinessType, options, progress)) {
+    prospects.push(prospect);
+  }
+
+  if (prospects.length === 0) {
+    throw noProspectsError(progress);
+  }
+
+  const uniqueProspects = deduplicateProspects(prospects, { policy: dedupePolicy, fuzzy: fuzzyDedupe });
+
+  console.log(chalk.green(`✅ Successfully parsed ${uniqueProspects.length} prospects from ${progress.rows} rows`));
+  
+  // Show business type breakdown
+  const typeBreakdown = uniqueProspects.reduce((acc, p) => {
+    acc[p.business_type] = (acc[p.business_type] || 0) + 1;
+    return acc;
+  }, {});
+  
+  console.log(chalk.blue('📊 Business type breakdown:'));
+  Object.entries(typeBreakdown).forEach(([type, count]) => {
+    console.log(chalk.blue(`   ${type}: ${count} prospects`));
+  });
+
+  return uniqueProspects;
+}
+
+/**
+ * Stream validated prospects from a prospects file without holding the whole list in memory
+ * Only the "first" and "none" dedupe policies are available, since the others need every row up front.
+ * @param {string} filePath - Path to prospects file
+ * @param {string} fallbackBusinessType - Fallback business type for prospects missing business_type (default: the registry's default)
+ * @param {Object} options - Same options as parseProspectsCSV, plus:
+ * @param {Function} options.onDuplicate - Called with a duplicates report entry for every collapsed row
+ * @returns {AsyncGenerator<Object>} Unique prospects in row order
+ */
+export async function* streamProspects(filePath, fallbackBusinessType = null, options = {}) {
+  const { dedupePolicy = 'first', fuzzyDedupe = false, onDuplicate } = options;
+
+  if (fuzzyDedupe || !STREAMING_DEDUPE_POLICIES.includes(dedupePolicy)) {
+    throw new Error(`Streaming mode only supports --dedupe-policy ${STREAMING_DEDUPE_POLICIES.join(' or ')} without --fuzzy-dedupe`);
+  }
+
+  const findDuplicate = dedupePolicy === 'first' ? createStreamingDeduplicator() : () => null;
+  const progress = { rows: 0 };
+  let uniqueCount = 0;
+
+  for await (const prospect of readValidProspects(filePath, fallbackBusinessType, options, progress)) {
+    const duplicate = findDuplicate(prospect);
+    if (duplicate) {
+      onDuplicate?.(duplicate);
+      continue;
+    }
+
+    uniqueCount++;
+    yield prospect;
+  }
+
+  if (uniqueCount === 0) {
+    throw noProspectsError(progress);
+  }
+
+  console.log(chalk.green(`✅ Successfully parsed ${uniqueCount} prospects from ${progress.rows} rows`));
+}
+
+/**
+ * Read, map and validate every row of a prospects file
+ * @param {string} filePath - Path to prospects file
+ * @param {string|null} fallbackBusinessType - Fallback business type (null: the registry's default)
+ * @param {Object} options - Parsing options (see parseProspectsCSV)
+ * @param {Object} progress - Receives the number of rows read and of suppressed prospects
+ * @returns {AsyncGenerator<Object>} Valid, unsuppressed prospects in row order, before deduplication
+ */
+async function* readValidProspects(filePath, fallbackBusinessType, options, progress) {
+  const { inputFormat, sheet, trustXlsx = false, defaultCountry = 'US', defaultLanguage = null, columnMap = {}, expectedExtraFields = [], onReject, suppression, onSuppress } = options;
   const errors = [];
   
   // Check if file exists
   if (!await fs.pathExists(filePath)) {
-    throw new Error(`CSV file not found: ${filePath}`);
+    throw new Error(`Input file not found: ${filePath}`);
   }
 
-  console.log(chalk.blue(`📖 Parsing CSV file: ${filePath}`));
-  if (fallbackBusinessType !== 'general') {
+  const businessTypes = await loadBusinessTypes();
+
+  const reader = await openInputReader(filePath, { format: inputFormat, sheet, trustXlsx });
+  console.log(chalk.blue(`📖 Parsing ${reader.format.toUpperCase()} file: ${filePath}`));
+  if (fallbackBusinessType && fallbackBusinessType !== getDefaultBusinessType(businessTypes)) {
     console.log(chalk.blue(`   Using fallback business type: ${fallbackBusinessType}`));
   }
 
-  return new Promise((resolve, reject) => {
-    createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        rowCount++;
-        
-        try {
-          const prospect = validateAndCleanProspect(row, rowCount, fallbackBusinessType);
-          prospects.push(prospect);
-        } catch (error) {
-          errors.push(`Row ${rowCount}: ${error.message}`);
-        }
-      })
-      .on('end', () => {
-        if (errors.length > 0) {
-          console.log(chalk.yellow(`⚠️  Found ${errors.length} validation errors:`));
-          errors.slice(0, 10).forEach(error => console.log(chalk.yellow(`   ${error}`)));
-          if (errors.length > 10) {
-            console.log(chalk.yellow(`   ... and ${errors.length - 10} more errors`));
-          }
-        }
-
-        if (prospects.length === 0) {
-          reject(new Error('No valid prospects found in CSV file'));
-          return;
-        }
-
-        console.log(chalk.green(`✅ Successfully parsed ${prospects.length} prospects from ${rowCount} rows`));
-        
-        // Show business type breakdown
-        const businessTypes = prospects.reduce((acc, p) => {
-          acc[p.business_type] = (acc[p.business_type] || 0) + 1;
-          return acc;
-        }, {});
-        
-        console.log(chalk.blue('📊 Business type breakdown:'));
-        Object.entries(businessTypes).forEach(([type, count]) => {
-          console.log(chalk.blue(`   ${type}: ${count} prospects`));
-        });
-
-        resolve(prospects);
-      })
-      .on('error', (error) => {
-        reject(new Error(`CSV parsing error: ${error.message}`));
+  // Resolve and report header problems before any rows are processed
+  const resolution = resolveHeaderMap(reader.headers, columnMap);
+  try {
+    assertHeaderMap(resolution);
+  } catch (error) {
+    reader.rows.destroy?.();
+    throw error;
+  }
+  const headerMap = resolution.map;
+  
+  const extraFields = Object.values(resolution.extra);
+  const absent = expectedExtraFields.filter(field => !extraFields.includes(field));
+  if (absent.length > 0) {
+    console.log(chalk.yellow(`   ⚠️  No column for ${absent.map(field => `extra.${field}`).join(', ')}; these stay empty`));
+  }
+
+  const rows = reader.rows[Symbol.asyncIterator]?.() || reader.rows[Symbol.iterator]();
+
+  while (true) {
+    let next;
+    try {
+      next = await rows.next();
+    } catch (error) {
+      throw new Error(`${reader.format.toUpperCase()} parsing error: ${error.message}`);
+    }
+
+    if (next.done) {
+      break;
+    }
+
+    const row = next.value;
+    const rowNumber = ++progress.rows;
+    let prospect;
+
+    try {
+      if (row instanceof Error) {
+        throw row;
+      }
+      
+      prospect = validateAndCleanProspect(applyHeaderMap(row, headerMap), rowNumber, { fallbackBusinessType: fallbackBusinessType || getDefaultBusinessType(businessTypes), businessTypes, defaultCountry, defaultLanguage });
+      prospect.extra = getExtraFields(row, resolution.extra);
+      prospect.original_columns = row;
+    } catch (error) {
+      errors.push(`Row ${rowNumber}: ${error.message}`);
+      onReject?.(createRejection(row instanceof Error ? {} : row, rowNumber, error));
+      continue;
+    }
+
+    // Opted-out prospects are dropped here, before deduplication and before any URL is generated for them
+    const suppressed = findSuppression(prospect, suppression);
+    if (suppressed) {
+      progress.suppressed = (progress.suppressed || 0) + 1;
+      onSuppress?.({
+        row: prospect.original_columns,
+        row_number: rowNumber,
+        suppressed_by: suppressed.by,
+        suppressed_value: suppressed.value,
+        suppression_list: suppressed.list
       });
-  });
+      continue;
+    }
+
+    yield prospect;
+  }
+
+  if (progress.suppressed > 0) {
+    console.log(chalk.yellow(`🚫 Suppressed ${progress.suppressed} prospects found on do-not-contact lists`));
+  }
+
+  if (errors.length > 0) {
+    console.log(chalk.yellow(`⚠️  Found ${errors.length} validation errors:`));
+    errors.slice(0, 10).forEach(error => console.log(chalk.yellow(`   ${error}`)));
+    if (errors.length > 10) {
+      console.log(chalk.yellow(`   ... and ${errors.length - 10} more errors`));
+    }
+  }
+}
+
+/**
+ * Error for an input file that left no prospects to contact
+ */
+function noProspectsError(progress) {
+  return new Error(progress.suppressed > 0
+    ? `No prospects left to contact: all ${progress.suppressed} valid rows are on suppression lists`
+    : 'No valid prospects found in input file');
 }
 
 /**
  * Validate and clean individual prospect data
- * @param {Object} row - Raw CSV row data
+ * @param {Object} row - Row keyed by prospect field (after header mapping)
  * @param {number} rowNumber - Row number for error reporting
- * @param {string} fallbackBusinessType - Fallback business type if not in CSV
+ * @param {Object} options - Validation options
+ * @param {string} options.fallbackBusinessType - Fallback business type if not in CSV
+ * @param {Object} options.businessTypes - Business type registry
+ * @param {string} options.defaultCountry - ISO country code used when the row has no country column
+ * @param {string} options.defaultLanguage - Language tag used when the row has no language column
  * @returns {Object} Clean prospect object
  */
-function validateAndCleanProspect(row, rowNumber, fallbackBusinessType = 'general') {
+function validateAndCleanProspect(row, rowNumber, { fallbackBusinessType, businessTypes, defaultCountry = 'US', defaultLanguage = null }) {
   // Required fields (business_type is now optional)
   const requiredFields = ['company', 'city', 'phone'];
   const missing = requiredFields.filter(field => !row[field] || row[field].trim() === '');
   
   if (missing.length > 0) {
-    throw new Error(`Missing required fields: ${missing.join(', ')}`);
+    throw createFieldError(missing.join(','), `Missing required fields: ${missing.join(', ')}`);
   }
 
   // Clean and validate data
   const company = cleanCompanyName(row.company);
   const city = cleanCityName(row.city);
-  const phone = cleanPhoneNumber(row.phone);
+  const country = cleanCountry(row.country, defaultCountry);
+  const phone = cleanPhoneNumber(row.phone, country);
+  const language = cleanLanguage(row.language, defaultLanguage);
   
   // Handle business_type with fallback logic
   let business_type;
   if (row.business_type && row.business_type.trim() !== '') {
-    business_type = validateBusinessType(row.business_type);
+    business_type = validateBusinessType(row.business_type, businessTypes);
   } else {
-    business_type = validateBusinessType(fallbackBusinessType);
+    business_type = validateBusinessType(fallbackBusinessType, businessTypes);
     console.log(chalk.gray(`   Row ${rowNumber}: Using fallback business type "${business_type}" for ${company}`));
   }
 
@@ -109,8 +252,11 @@ function validateAndCleanProspect(row, rowNumber, fallbackBusinessType = 'genera
     id,
     company,
     city,
-    phone,
+    phone: phone.display,
+    phone_e164: phone.e164,
+    country: phone.country,
     business_type,
+    language,
     original_row: rowNumber,
     used_fallback_type: !row.business_type || row.business_type.trim() === ''
   };
@@ -121,14 +267,14 @@ function validateAndCleanProspect(row, rowNumber, fallbackBusinessType = 'genera
  */
 function cleanCompanyName(company) {
   if (!company || company.trim().length === 0) {
-    throw new Error('Company name cannot be empty');
+    throw createFieldError('company', 'Company name cannot be empty');
   }
   
   // Remove extra whitespace and ensure proper capitalization
   const cleaned = company.trim().replace(/\s+/g, ' ');
   
   if (cleaned.length > 100) {
-    throw new Error('Company name too long (max 100 characters)');
+    throw createFieldError('company', 'Company name too long (max 100 characters)');
   }
   
   return cleaned;
@@ -139,73 +285,93 @@ function cleanCompanyName(company) {
  */
 function cleanCityName(city) {
   if (!city || city.trim().length === 0) {
-    throw new Error('City name cannot be empty');
+    throw createFieldError('city', 'City name cannot be empty');
   }
   
   const cleaned = city.trim().replace(/\s+/g, ' ');
   
   if (cleaned.length > 50) {
-    throw new Error('City name too long (max 50 characters)');
+    throw createFieldError('city', 'City name too long (max 50 characters)');
   }
   
   return cleaned;
 }
 
 /**
- * Clean and validate phone number
+ * Resolve the row's country column, falling back to the run default
+ */
+function cleanCountry(country, defaultCountry) {
+  if (!country || country.trim().length === 0) {
+    return defaultCountry;
+  }
+  
+  const resolved = resolveCountry(country);
+  if (!resolved) {
+    throw createFieldError('country', `Unsupported country: "${country}"`);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Resolve the row's language column, falling back to the run default
+ */
+function cleanLanguage(language, defaultLanguage) {
+  if (!language || language.trim().length === 0) {
+    return defaultLanguage;
+  }
+  
+  const resolved = resolveLanguage(language);
+  if (!resolved) {
+    throw createFieldError('language', `Unrecognized language: "${language}"`);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Clean and validate phone number, normalizing it to E.164
  */
-function cleanPhoneNumber(phone) {
+function cleanPhoneNumber(phone, country) {
   if (!phone || phone.trim().length === 0) {
-    throw new Error('Phone number cannot be empty');
+    throw createFieldError('phone', 'Phone number cannot be empty');
   }
   
-  // Remove all non-digit characters except parentheses and hyphens
   const cleaned = phone.trim();
-  
-  // Basic validation - should contain at least 10 digits
-  const digits = cleaned.replace(/\D/g, '');
-  if (digits.length < 10) {
-    throw new Error('Phone number must contain at least 10 digits');
+  let normalized;
+  try {
+    normalized = normalizePhoneNumber(cleaned, country);
+  } catch (error) {
+    throw createFieldError('phone', error.message);
   }
   
-  return cleaned;
+  return {
+    display: cleaned,
+    e164: normalized.e164,
+    country: normalized.country
+  };
 }
 
 /**
- * Validate business type
+ * Validate business type against the registry, resolving aliases
  */
-function validateBusinessType(businessType) {
+function validateBusinessType(businessType, businessTypes) {
   if (!businessType || businessType.trim().length === 0) {
-    throw new Error('Business type cannot be empty');
+    throw createFieldError('business_type', 'Business type cannot be empty');
   }
   
   const cleaned = businessType.trim().toLowerCase();
-  const validTypes = ['plumbing', 'landscaping', 'general'];
-  
-  if (!validTypes.includes(cleaned)) {
-    // Auto-correct common variations
-    const corrections = {
-      'plumber': 'plumbing',
-      'plumbers': 'plumbing',
-      'landscape': 'landscaping',
-      'landscaper': 'landscaping',
-      'landscapers': 'landscaping',
-      'garden': 'landscaping',
-      'gardening': 'landscaping',
-      'other': 'general',
-      'misc': 'general',
-      'service': 'general'
-    };
-    
-    if (corrections[cleaned]) {
-      console.log(chalk.yellow(`   Auto-corrected business type: "${businessType}" → "${corrections[cleaned]}"`));
-      return corrections[cleaned];
-    }
-    
-    throw new Error(`Invalid business type: "${businessType}". Must be one of: ${validTypes.join(', ')}`);
+  const resolved = resolveBusinessType(businessTypes, cleaned);
+  
+  if (!resolved) {
+    throw createFieldError('business_type', `Invalid business type: "${businessType}". Must be one of: ${getBusinessTypeNames(businessTypes).join(', ')}`);
   }
   
-  return cleaned;
+  if (resolved !== cleaned) {
+    console.log(chalk.yellow(`   Auto-corrected business type: "${businessType}" → "${resolved}"`));
+  }
+  
+  return resolved;
 }
 
 /**
@@ -0,0 +1,319 @@
+import chalk from 'chalk';
+
+export const DEDUPE_POLICIES = ['first', 'most-complete', 'merge', 'none'];
+
+// Policies that can decide on a row without seeing the rest of the list
+export const STREAMING_DEDUPE_POLICIES = ['first', 'none'];
+
+// Legal-form suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = ['llc', 'l l c', 'inc', 'incorporated', 'co', 'corp', 'corporation', 'company', 'ltd', 'limited', 'lp', 'llp', 'pllc', 'plc'];
+
+// Minimum similarity (0-1) for two company names in the same city to count as a fuzzy match
+const FUZZY_THRESHOLD = 0.88;
+
+/**
+ * Collapse duplicate prospects
+ * @param {Array} prospects - Parsed prospects in row order
+ * @param {Object} options - Dedupe options
+ * @param {string} options.policy - first | most-complete | merge | none
+ * @param {boolean} options.fuzzy - Also match on similar company name within the same city
+ * @returns {Array} Unique prospects; survivors of a merge carry duplicate_rows
+ */
+export function deduplicateProspects(prospects, { policy = 'first', fuzzy = false } = {}) {
+  if (!DEDUPE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid dedupe policy: "${policy}". Must be one of: ${DEDUPE_POLICIES.join(', ')}`);
+  }
+
+  if (policy === 'none' || prospects.length < 2) {
+    return prospects;
+  }
+
+  const groups = findDuplicateGroups(prospects, fuzzy);
+  const unique = [];
+  let collapsedCount = 0;
+
+  groups.forEach(group => {
+    if (group.members.length === 1) {
+      unique.push(prospects[group.members[0]]);
+      return;
+    }
+
+    const members = group.members.map(index => prospects[index]);
+    const survivor = resolveGroup(members, policy);
+
+    unique.push({
+      ...survivor,
+      duplicate_rows: members
+        .filter(member => member.original_row !== survivor.original_row)
+        .map(member => ({ row: member.original_row, match: group.matches[member.original_row] }))
+    });
+
+    collapsedCount += members.length - 1;
+  });
+
+  if (collapsedCount > 0) {
+    console.log(chalk.yellow(`⚠️  Collapsed ${collapsedCount} duplicate rows (policy: ${policy}${fuzzy ? ', fuzzy company+city' : ''})`));
+  }
+
+  // Keep the original row order of the surviving prospects
+  return unique.sort((a, b) => a.original_row - b.original_row);
+}
+
+/**
+ * Group prospect indexes that refer to the same business
+ * @param {Array} prospects - Parsed prospects
+ * @param {boolean} fuzzy - Whether to match on company+city
+ * @returns {Array} Groups of { members, matches } in first-seen order
+ */
+function findDuplicateGroups(prospects, fuzzy) {
+  const parent = prospects.map((_, index) => index);
+  const matches = {};
+
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const union = (first, second, match) => {
+    const rootFirst = find(first);
+    const rootSecond = find(second);
+    if (rootFirst === rootSecond) {
+      return;
+    }
+
+    // The earliest row stays the root so groups keep their first-seen anchor
+    const [root, child] = rootFirst < rootSecond ? [rootFirst, rootSecond] : [rootSecond, rootFirst];
+    parent[child] = root;
+    [first, second].forEach(index => {
+      const row = prospects[index].original_row;
+      matches[row] = matches[row] || match;
+    });
+  };
+
+  // Exact match on normalized phone
+  const byPhone = {};
+  prospects.forEach((prospect, index) => {
+    const key = prospect.phone_e164 || prospect.phone.replace(/\D/g, '');
+    if (byPhone[key] !== undefined) {
+      union(byPhone[key], index, 'phone');
+    } else {
+      byPhone[key] = index;
+    }
+  });
+
+  // Fuzzy match on company name within the same city
+  if (fuzzy) {
+    const byCity = {};
+    prospects.forEach((prospect, index) => {
+      const city = prospect.city.toLowerCase();
+      const name = normalizeCompanyName(prospect.company);
+      const candidates = byCity[city] || (byCity[city] = []);
+
+      const match = candidates.find(candidate => similarity(candidate.name, name) >= FUZZY_THRESHOLD);
+      if (match) {
+        union(match.index, index, 'company+city');
+      }
+
+      candidates.push({ index, name });
+    });
+  }
+
+  const groups = new Map();
+  prospects.forEach((prospect, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, { members: [], matches });
+    }
+    groups.get(root).members.push(index);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Pick or build the surviving prospect for a duplicate group
+ * @param {Array} members - Duplicate prospects in row order
+ * @param {string} policy - Dedupe policy
+ * @returns {Object} Surviving prospect
+ */
+function resolveGroup(members, policy) {
+  if (policy === 'most-complete') {
+    return members.reduce((best, member) =>
+      completeness(member) > completeness(best) ? member : best
+    );
+  }
+
+  if (policy === 'merge') {
+    return members.slice(1).reduce((merged, member) => mergeProspects(merged, member), members[0]);
+  }
+
+  return members[0];
+}
+
+// Fields that identify the row rather than the business, so a merge never takes them from a duplicate
+const ROW_FIELDS = ['id', 'original_row'];
+
+/**
+ * Whether a prospect field has no usable value
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Fill the gaps of one prospect with values from a duplicate
+ * Every empty field is taken from the duplicate, extra columns included; the business type only replaces a
+ * fallback type.
+ */
+function mergeProspects(base, other) {
+  const merged = { ...base };
+
+  Object.entries(other).forEach(([field, value]) => {
+    if (!ROW_FIELDS.includes(field) && field !== 'extra' && isEmptyValue(merged[field]) && !isEmptyValue(value)) {
+      merged[field] = value;
+    }
+  });
+
+  if (base.extra || other.extra) {
+    merged.extra = { ...base.extra };
+    Object.entries(other.extra || {}).forEach(([field, value]) => {
+      if (isEmptyValue(merged.extra[field]) && !isEmptyValue(value)) {
+        merged.extra[field] = value;
+      }
+    });
+  }
+
+  if (base.used_fallback_type && !other.used_fallback_type) {
+    merged.business_type = other.business_type;
+    merged.used_fallback_type = false;
+  }
+
+  // Prefer the fuller spelling of the company name ("Smith Plumbing LLC" over "Smith Plumbing")
+  if (other.company.length > base.company.length &&
+      normalizeCompanyName(other.company) === normalizeCompanyName(base.company)) {
+    merged.company = other.company;
+  }
+
+  return merged;
+}
+
+/**
+ * Score how much usable data a prospect carries
+ * Counts the fields mergeProspects fills in, so "most-complete" and "merge" agree on what complete means. A real
+ * business type outweighs any number of fields; the company name length only breaks ties.
+ */
+function completeness(prospect) {
+  const filled = Object.entries(prospect)
+    .filter(([field, value]) => !ROW_FIELDS.includes(field) && field !== 'extra' && !isEmptyValue(value))
+    .length;
+  const filledExtra = Object.values(prospect.extra || {}).filter(value => !isEmptyValue(value)).length;
+
+  let score = prospect.used_fallback_type ? 0 : 1000;
+  score += filled + filledExtra;
+  score += Math.min(prospect.company.length, 99) / 100;
+  return score;
+}
+
+/**
+ * Normalize company name for comparison
+ * @param {string} company - Company name
+ * @returns {string} Lowercase name without punctuation or legal suffixes
+ */
+export function normalizeCompanyName(company) {
+  let name = company.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const suffix of COMPANY_SUFFIXES) {
+      if (name.endsWith(` ${suffix}`)) {
+        name = name.slice(0, -suffix.length - 1).trim();
+        stripped = true;
+      }
+    }
+  }
+
+  return name;
+}
+
+/**
+ * Similarity between two strings based on Levenshtein distance
+ * @returns {number} 1 for identical strings, 0 for completely different ones
+ */
+function similarity(first, second) {
+  if (first === second) {
+    return 1;
+  }
+
+  const longest = Math.max(first.length, second.length);
+  if (longest === 0) {
+    return 1;
+  }
+
+  return 1 - levenshtein(first, second) / longest;
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function levenshtein(first, second) {
+  let previous = Array.from({ length: second.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[second.length];
+}
+
+/**
+ * Create a keep-first duplicate check for prospects that arrive one at a time
+ * Only the phone → prospect id index is kept, so memory grows with unique phones rather than rows.
+ * @returns {Function} (prospect) => duplicates report entry when the prospect was seen before, else null
+ */
+export function createStreamingDeduplicator() {
+  const seen = new Map();
+
+  return (prospect) => {
+    const key = prospect.phone_e164 || prospect.phone.replace(/\D/g, '');
+    const first = seen.get(key);
+
+    if (!first) {
+      seen.set(key, { id: prospect.id, row: prospect.original_row, company: prospect.company, phone: prospect.phone });
+      return null;
+    }
+
+    return {
+      prospect_id: first.id,
+      kept_row: first.row,
+      collapsed_row: prospect.original_row,
+      match: 'phone',
+      company: first.company,
+      phone: first.phone
+    };
+  };
+}
+
+/**
+ * Build the duplicates report from deduplicated prospects
+ * @param {Array} prospects - Deduplicated prospects
+ * @returns {Array} One entry per collapsed row
+ */
+export function getDuplicatesReport(prospects) {
+  return prospects.flatMap(prospect => (prospect.duplicate_rows || []).map(duplicate => ({
+    prospect_id: prospect.id,
+    kept_row: prospect.original_row,
+    collapsed_row: duplicate.row,
+    match: duplicate.match,
+    company: prospect.company,
+    phone: prospect.phone
+  })));
+}
@@ -0,0 +1,135 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { OUTPUT_FORMATS, DEFAULT_NAME_FIELDS, toOutputColumn } from './exporter.js';
+import { PHONE_FORMATS } from './phone-normalizer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const EXPORT_PRESETS_PATH = join(__dirname, '..', 'config', 'export-presets.json');
+
+// How custom property names are written, from a name such as "WhatsApp URL"
+const PROPERTY_NAMING = {
+  // HubSpot internal names: whatsapp_url
+  snake_case: words => words.map(word => word.toLowerCase()).join('_'),
+  // Salesforce custom field API names: WhatsApp_URL__c
+  salesforce: words => words.map(word => word[0].toUpperCase() + word.slice(1)).join('_') + '__c',
+  // Field labels: WhatsApp URL
+  label: words => words.map(word => word[0].toUpperCase() + word.slice(1)).join(' ')
+};
+
+export const PROPERTY_NAMING_STYLES = Object.keys(PROPERTY_NAMING);
+
+// Loaded presets, keyed by config path
+const presetCache = new Map();
+
+/**
+ * Load and validate the CRM export presets
+ * @param {string} configPath - Path to export-presets.json
+ * @returns {Promise<Object>} Presets keyed by name: { name, label, format, phone_format, name_fields, columns }
+ */
+export async function loadExportPresets(configPath = EXPORT_PRESETS_PATH) {
+  if (presetCache.has(configPath)) {
+    return presetCache.get(configPath);
+  }
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Export preset config not found: ${configPath}`);
+  }
+
+  const config = await fs.readJson(configPath);
+  const presets = Object.fromEntries(
+    Object.entries(config).map(([name, preset]) => [name, validatePreset(name, preset)])
+  );
+
+  presetCache.set(configPath, presets);
+  return presets;
+}
+
+/**
+ * Get the names of the configured export presets
+ * @param {Object} presets - Presets from loadExportPresets
+ * @returns {Array<string>} Preset names
+ */
+export function getExportPresetNames(presets) {
+  return Object.keys(presets);
+}
+
+/**
+ * Validate one preset and expand its custom properties into output columns
+ */
+function validatePreset(name, preset) {
+  const fail = (message) => {
+    throw new Error(`Export preset "${name}": ${message}`);
+  };
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    fail('must be an object');
+  }
+
+  const format = preset.format || 'csv';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    fail(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const phoneFormat = preset.phone_format || 'as_entered';
+  if (!PHONE_FORMATS.includes(phoneFormat)) {
+    fail(`phone_format must be one of: ${PHONE_FORMATS.join(', ')}`);
+  }
+
+  const nameFields = preset.name_fields || DEFAULT_NAME_FIELDS;
+  if (!Array.isArray(nameFields) || nameFields.some(field => !/^extra\.[a-z0-9_]+$/.test(field))) {
+    fail('name_fields must be a list of extra columns, e.g. ["extra.contact_name"]');
+  }
+
+  if (!Array.isArray(preset.columns) || preset.columns.length === 0) {
+    fail('columns must be a non-empty list');
+  }
+
+  const naming = preset.custom_property_naming || 'snake_case';
+  if (!Object.hasOwn(PROPERTY_NAMING, naming)) {
+    fail(`custom_property_naming must be one of: ${PROPERTY_NAMING_STYLES.join(', ')}`);
+  }
+
+  const customProperties = preset.custom_properties || [];
+  if (!Array.isArray(customProperties)) {
+    fail('custom_properties must be a list');
+  }
+
+  const columns = [
+    ...preset.columns,
+    ...customProperties.map(property => {
+      const { field, name: propertyName = field, ...rest } = typeof property === 'string' ? { field: property } : property;
+      const words = String(propertyName || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+      if (words.length === 0) {
+        fail(`custom property ${JSON.stringify(property)} needs a field`);
+      }
+      return { ...rest, field, title: PROPERTY_NAMING[naming](words) };
+    })
+  ].map(column => {
+    if (typeof column === 'object' && column !== null && !column.title) {
+      fail(`column ${JSON.stringify(column)} needs a title`);
+    }
+    try {
+      return toOutputColumn(column);
+    } catch (error) {
+      return fail(error.message);
+    }
+  });
+
+  const titles = columns.map(column => column.title);
+  const duplicate = titles.find((title, index) => titles.indexOf(title) !== index);
+  if (duplicate) {
+    fail(`column "${duplicate}" appears more than once`);
+  }
+
+  return {
+    name,
+    label: preset.label || name,
+    format,
+    phone_format: phoneFormat,
+    name_fields: nameFields,
+    columns
+  };
+}
@@ -0,0 +1,348 @@
+import fs from 'fs-extra';
+import { dirname, extname } from 'path';
+import chalk from 'chalk';
+import { createObjectCsvStringifier, createObjectCsvWriter } from 'csv-writer';
+import XLSX from 'xlsx';
+import { formatPhoneNumber } from './phone-normalizer.js';
+import { getProspectRef } from './tracking.js';
+
+// Columns of the campaign CSV
+export const CAMPAIGN_COLUMNS = ['company', 'city', 'phone', 'business_type', 'whatsapp_url'];
+
+export const OUTPUT_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+
+// File extension → output format
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx'
+};
+
+// Extra input columns a contact name is taken from, first non-empty wins
+export const DEFAULT_NAME_FIELDS = ['extra.contact_name', 'extra.owner_name', 'extra.name'];
+
+// Output fields taken from the processed prospect (options: writer options such as phoneFormat and nameFields)
+const OUTPUT_FIELDS = {
+  prospect_id: prospect => prospect.id,
+  prospect_ref: prospect => getProspectRef(prospect),
+  company: prospect => prospect.company,
+  city: prospect => prospect.city,
+  phone: (prospect, options) => formatPhoneNumber(prospect, options.phoneFormat),
+  phone_e164: prospect => prospect.phone_e164,
+  country: prospect => prospect.country,
+  full_name: (prospect, options) => getContactName(prospect, options.nameFields).join(' '),
+  first_name: (prospect, options) => getContactName(prospect, options.nameFields)[0],
+  last_name: (prospect, options) => getContactName(prospect, options.nameFields).slice(1).join(' '),
+  business_type: prospect => prospect.business_type,
+  used_fallback_type: prospect => prospect.used_fallback_type,
+  language: prospect => prospect.language,
+  variant: prospect => prospect.variant,
+  original_row: prospect => prospect.original_row,
+  whatsapp_message: prospect => prospect.whatsapp_message,
+  whatsapp_url: prospect => prospect.whatsapp_url,
+  demo_count: prospect => prospect.demo_urls?.length || 0,
+  status: prospect => getStatus(prospect),
+  lint_warnings: prospect => (prospect.lint_warnings || []).map(warning => `${warning.rule}: ${warning.message}`).join('; '),
+  error: prospect => getError(prospect)
+};
+
+// Per-demo fields, written as demo_<n>_<field> (1-based)
+const DEMO_FIELDS = {
+  name: demo => demo.display_name,
+  short_url: demo => demo.short_url,
+  original_url: demo => demo.original_url
+};
+
+/**
+ * Detect the output format of the campaign file
+ * @param {string} filePath - Output file path
+ * @param {string} format - Explicit format (overrides the file extension)
+ * @param {string} fallback - Format used when the extension is not recognized
+ * @returns {string} One of OUTPUT_FORMATS
+ */
+export function detectOutputFormat(filePath, format, fallback = 'csv') {
+  if (format) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported output format: "${format}". Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
+  return FORMAT_EXTENSIONS[extname(filePath || '').toLowerCase()] || fallback;
+}
+
+/**
+ * Parse an output column list
+ * @param {string} spec - Comma-separated fields, each optionally renamed: prospect_id,phone="Mobile",demo_1_short_url
+ * @returns {Array} Columns as { field, title }
+ */
+export function parseOutputColumns(spec) {
+  return spec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry !== '')
+    .map(entry => {
+      const separator = entry.indexOf('=');
+      const field = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+      const title = separator === -1 ? undefined : entry.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+      return toOutputColumn(title ? { field, title } : field);
+    });
+}
+
+/**
+ * Normalize an output column and check that its fields exist
+ * @param {string|Object} column - Field name, { field, title, fallback } where fallback is a field used when
+ *   the value is empty, or { title, value } for a column with the same value on every row
+ * @returns {Object} { field, title, fallback, value } where an "extra.<field>" column is titled by its field
+ */
+export function toOutputColumn(column) {
+  const { field, title, fallback, value } = typeof column === 'string' ? { field: column } : column;
+
+  if (value !== undefined) {
+    if (!title) {
+      throw new Error(`Output column with the fixed value "${value}" needs a title`);
+    }
+    return { field: null, title, value: String(value) };
+  }
+
+  [field, fallback].filter(name => name !== undefined).forEach(name => {
+    if (!isOutputField(name)) {
+      throw new Error(`Unknown output column "${name}". Available columns: ${Object.keys(OUTPUT_FIELDS).join(', ')}, ` +
+        `demo_<n>_${Object.keys(DEMO_FIELDS).join(`, demo_<n>_`)}, extra.<column>`);
+    }
+  });
+
+  return {
+    field,
+    title: title || (field.startsWith('extra.') ? field.slice('extra.'.length) : field),
+    ...(fallback && { fallback })
+  };
+}
+
+/**
+ * Whether a field can be written as an output column
+ * Own properties only, so names like "constructor" aren't taken for fields.
+ */
+function isOutputField(field) {
+  if (Object.hasOwn(OUTPUT_FIELDS, field) || /^extra\.[a-z0-9_]+$/.test(field)) {
+    return true;
+  }
+
+  const match = /^demo_(\d+)_([a-z_]+)$/.exec(field);
+  return Boolean(match && Number(match[1]) >= 1 && Object.hasOwn(DEMO_FIELDS, match[2]));
+}
+
+/**
+ * Value of an extra column, empty when the prospect has no such column
+ */
+function getExtraValue(prospect, name) {
+  return prospect.extra && Object.hasOwn(prospect.extra, name) ? prospect.extra[name] : undefined;
+}
+
+/**
+ * Create a campaign writer that appends prospects as they are produced
+ * CSV, JSON and NDJSON files only grow by one batch at a time, so an interrupted run can cut them back
+ * to the last checkpoint. XLSX workbooks can't be appended to: the rows are kept until close().
+ * @param {string} outputPath - Output file path
+ * @param {Object} options - Writer options
+ * @param {boolean} options.append - Continue an existing file (resumed runs) instead of replacing it
+ * @param {Array} options.columns - Output columns (field names or { field, title }, default: CAMPAIGN_COLUMNS);
+ *   null writes whole prospect records (detailed JSON)
+ * @param {string} options.format - One of OUTPUT_FORMATS
+ * @param {string} options.phoneFormat - How the phone column is written (see PHONE_FORMATS, default: as entered)
+ * @param {Array} options.nameFields - Extra columns the first_name, last_name and full_name columns come from
+ * @returns {Promise<Object>} { path, format, resumable, write(prospects), close(), count() }
+ */
+export async function createCampaignWriter(outputPath, {
+  append = false,
+  columns = CAMPAIGN_COLUMNS,
+  format = 'csv',
+  phoneFormat = 'as_entered',
+  nameFields = DEFAULT_NAME_FIELDS
+} = {}) {
+  // Ensure output directory exists
+  await fs.ensureDir(dirname(outputPath));
+
+  const outputColumns = columns && columns.map(toOutputColumn);
+  const titles = outputColumns?.map(column => column.title) || [];
+  const duplicate = titles.find((title, index) => titles.indexOf(title) !== index);
+  if (duplicate) {
+    throw new Error(`Output column "${duplicate}" appears more than once`);
+  }
+  if (!outputColumns && format !== 'json' && format !== 'ndjson') {
+    throw new Error(`Whole prospect records can only be written as JSON or NDJSON, not ${format}`);
+  }
+
+  const toRecord = (prospect) => outputColumns
+    ? Object.fromEntries(outputColumns.map(column => [column.title, getColumnValue(prospect, column, format, { phoneFormat, nameFields })]))
+    : prospect;
+
+  const output = await openFormatWriter(outputPath, format, { append, titles });
+  let written = 0;
+
+  return {
+    path: outputPath,
+    format,
+    resumable: format !== 'xlsx',
+    async write(prospects) {
+      await output.write(prospects.map(toRecord));
+      written += prospects.length;
+    },
+    async close() {
+      await output.close();
+    },
+    count() {
+      return written;
+    }
+  };
+}
+
+/**
+ * Open the file side of a writer for one output format
+ */
+async function openFormatWriter(outputPath, format, { append, titles }) {
+  switch (format) {
+    case 'csv': {
+      // The header row goes out up front, so a run without prospects still leaves a valid file; csv-writer
+      // would write a blank line for an empty batch, so those are skipped
+      const header = titles.map(title => ({ id: title, title }));
+      if (!append) {
+        await fs.writeFile(outputPath, createObjectCsvStringifier({ header }).getHeaderString());
+      }
+      const csvWriter = createObjectCsvWriter({ path: outputPath, header, append: true });
+      return {
+        async write(records) {
+          if (records.length === 0) {
+            return;
+          }
+          await csvWriter.writeRecords(records);
+        },
+        close: async () => {}
+      };
+    }
+    case 'ndjson': {
+      if (!append) {
+        await fs.writeFile(outputPath, '');
+      }
+      return {
+        write: records => fs.appendFile(outputPath, records.map(record => JSON.stringify(record) + '\n').join('')),
+        close: async () => {}
+      };
+    }
+    case 'json': {
+      // The array is closed by close(); until then the file ends after the last complete record
+      if (!append) {
+        await fs.writeFile(outputPath, '[');
+      }
+      let first = !append;
+      return {
+        async write(records) {
+          if (records.length === 0) {
+            return;
+          }
+          await fs.appendFile(outputPath, records.map(record => {
+            const separator = first ? '\n' : ',\n';
+            first = false;
+            return separator + JSON.stringify(record);
+          }).join(''));
+        },
+        close: () => fs.appendFile(outputPath, '\n]\n')
+      };
+    }
+    case 'xlsx': {
+      const rows = [];
+      return {
+        write: async records => {
+          // One push per record: push(...records) overflows the stack on a large unbatched run
+          records.forEach(record => rows.push(record));
+        },
+        close: async () => {
+          const workbook = XLSX.utils.book_new();
+          XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, { header: titles }), 'Campaign');
+          XLSX.writeFile(workbook, outputPath);
+        }
+      };
+    }
+    default:
+      throw new Error(`Unsupported output format: "${format}". Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Value of an output column for a prospect
+ * JSON keeps numbers and booleans; CSV and XLSX cells get empty strings for missing values.
+ */
+function getColumnValue(prospect, column, format, options) {
+  let value = column.value ?? getFieldValue(prospect, column.field, options);
+  if ((value === undefined || value === null || value === '') && column.fallback) {
+    value = getFieldValue(prospect, column.fallback, options);
+  }
+
+  if (format === 'json' || format === 'ndjson') {
+    return value ?? null;
+  }
+  return value ?? '';
+}
+
+/**
+ * Value of an output field for a prospect
+ */
+function getFieldValue(prospect, field, options) {
+  if (field.startsWith('extra.')) {
+    return getExtraValue(prospect, field.slice('extra.'.length));
+  }
+  if (Object.hasOwn(OUTPUT_FIELDS, field)) {
+    return OUTPUT_FIELDS[field](prospect, options);
+  }
+
+  const [, index, demoField] = /^demo_(\d+)_([a-z_]+)$/.exec(field);
+  const demo = prospect.demo_urls?.[Number(index) - 1];
+  return demo && DEMO_FIELDS[demoField](demo);
+}
+
+/**
+ * Contact name of a prospect split into words, from the first name field that has a value
+ */
+function getContactName(prospect, nameFields) {
+  const name = nameFields
+    .map(field => getExtraValue(prospect, field.slice('extra.'.length)))
+    .find(value => value && value.trim() !== '');
+  return name ? name.trim().split(/\s+/) : [];
+}
+
+/**
+ * Error text of a prospect whose message or WhatsApp URL could not be generated
+ */
+function getError(prospect) {
+  const failed = [prospect.whatsapp_message, prospect.whatsapp_url]
+    .find(value => typeof value === 'string' && value.startsWith('ERROR:'));
+  return failed ? failed.slice('ERROR:'.length).trim() : '';
+}
+
+/**
+ * Outcome of a prospect: "error", "unshortened" (a demo kept its original URL) or "ok"
+ */
+function getStatus(prospect) {
+  if (getError(prospect)) {
+    return 'error';
+  }
+  if ((prospect.demo_urls || []).some(demo => demo.original_url && demo.short_url === demo.original_url)) {
+    return 'unshortened';
+  }
+  return 'ok';
+}
+
+/**
+ * Export prospects with messages to CSV
+ * @param {Array} prospects - Prospects with generated messages
+ * @param {string} outputPath - Output CSV file path
+ */
+export async function exportToCsv(prospects, outputPath) {
+  const writer = await createCampaignWriter(outputPath);
+  await writer.write(prospects);
+  await writer.close();
+
+  console.log(chalk.green(`   ✅ Exported ${writer.count()} records to ${outputPath}`));
+}
@@ -0,0 +1,224 @@
+import fs from 'fs-extra';
+import chalk from 'chalk';
+
+// Prospect fields and the header names they are recognized by (compared case-insensitively,
+// ignoring punctuation). Exact field names always match.
+const FIELD_ALIASES = {
+  company: ['company', 'company name', 'business', 'business name', 'name', 'organization', 'organisation', 'account name'],
+  city: ['city', 'city name', 'locality', 'town', 'municipality'],
+  phone: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'mobile phone', 'company phone', 'corporate phone', 'primary phone'],
+  business_type: ['business type', 'category', 'main category', 'business category', 'industry', 'vertical'],
+  country: ['country', 'country code', 'nation'],
+  language: ['language', 'lang', 'locale', 'language code', 'preferred language']
+};
+
+export const REQUIRED_FIELDS = ['company', 'city', 'phone'];
+
+/**
+ * Normalize a header for alias comparison
+ * @param {string} header - Raw header
+ * @returns {string} Lowercase header with punctuation collapsed to single spaces
+ */
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Resolve input headers to prospect fields
+ * @param {Array<string>} headers - Headers as they appear in the input file
+ * @param {Object} columnMap - Explicit field → header mapping (overrides aliases)
+ * @returns {Object} { map: header → field, extra: header → extra field, unknown, ambiguous, missing, problems }
+ */
+export function resolveHeaderMap(headers, columnMap = {}) {
+  // Keyed by input headers and --map fields, so null prototypes: a "constructor" or "__proto__" header is just a header
+  const map = Object.create(null);
+  const problems = [];
+
+  // Explicit mappings first; they must name headers that exist
+  Object.entries(columnMap).forEach(([field, header]) => {
+    if (!Object.hasOwn(FIELD_ALIASES, field)) {
+      problems.push(`Unknown field "${field}" in column mapping. Must be one of: ${Object.keys(FIELD_ALIASES).join(', ')}`);
+      return;
+    }
+
+    const match = headers.find(candidate => candidate === header) ||
+      headers.find(candidate => normalizeHeader(candidate) === normalizeHeader(header));
+    if (!match) {
+      problems.push(`Column mapping ${field}="${header}" does not match any header`);
+      return;
+    }
+
+    map[match] = field;
+  });
+
+  const mappedFields = new Set(Object.values(map));
+  const candidates = Object.create(null);
+  const unknown = [];
+
+  headers.forEach(header => {
+    if (map[header]) {
+      return;
+    }
+
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(FIELD_ALIASES).find(name =>
+      name === header || FIELD_ALIASES[name].includes(normalized)
+    );
+
+    if (!field || mappedFields.has(field)) {
+      unknown.push(header);
+      return;
+    }
+
+    (candidates[field] = candidates[field] || []).push(header);
+  });
+
+  // More than one header claiming the same field can't be resolved without a mapping
+  const ambiguous = [];
+  Object.entries(candidates).forEach(([field, fieldHeaders]) => {
+    const exact = fieldHeaders.filter(header => header === field);
+    if (fieldHeaders.length === 1 || exact.length === 1) {
+      const chosen = exact[0] || fieldHeaders[0];
+      map[chosen] = field;
+      unknown.push(...fieldHeaders.filter(header => header !== chosen));
+    } else {
+      ambiguous.push({ field, headers: fieldHeaders });
+    }
+  });
+
+  const resolvedFields = new Set(Object.values(map));
+  const missing = REQUIRED_FIELDS.filter(field =>
+    !resolvedFields.has(field) && !ambiguous.some(entry => entry.field === field)
+  );
+
+  // Headers that aren't prospect fields are kept on the prospect as extra fields
+  const extra = Object.create(null);
+  unknown.forEach(header => {
+    const key = toExtraField(header);
+    if (key && !Object.values(extra).includes(key)) {
+      extra[header] = key;
+    }
+  });
+
+  return { map, extra, unknown, ambiguous, missing, problems };
+}
+
+/**
+ * Name of the extra field an input header is kept under
+ * @param {string} header - Input header
+ * @returns {string} snake_case name ("Owner Name" → "owner_name"), empty when the header has no letters or digits
+ */
+export function toExtraField(header) {
+  return normalizeHeader(header).replace(/ /g, '_');
+}
+
+/**
+ * Validate a resolved header map before any rows are processed
+ * @param {Object} resolution - Result of resolveHeaderMap
+ * @throws {Error} When headers are ambiguous, missing or wrongly mapped
+ */
+export function assertHeaderMap(resolution) {
+  const { map, extra, unknown, ambiguous, missing, problems } = resolution;
+
+  const renamed = Object.entries(map).filter(([header, field]) => normalizeHeader(header) !== normalizeHeader(field));
+  if (renamed.length > 0) {
+    console.log(chalk.blue(`   Column mapping: ${renamed.map(([header, field]) => `"${header}" → ${field}`).join(', ')}`));
+  }
+
+  const extraHeaders = Object.keys(extra);
+  if (extraHeaders.length > 0) {
+    console.log(chalk.blue(`   Extra columns: ${extraHeaders.map(header => `"${header}" → extra.${extra[header]}`).join(', ')}`));
+  }
+
+  const ignored = unknown.filter(header => !extra[header]);
+  if (ignored.length > 0) {
+    console.log(chalk.yellow(`   ⚠️  Ignoring unrecognized columns: ${ignored.map(header => `"${header}"`).join(', ')}`));
+  }
+
+  const errors = [
+    ...problems,
+    ...ambiguous.map(({ field, headers }) =>
+      `Ambiguous columns for ${field}: ${headers.map(header => `"${header}"`).join(', ')} (pick one with --map ${field}="...")`
+    ),
+    ...missing.map(field => `No column found for required field: ${field}`)
+  ];
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid input headers:\n   ${errors.join('\n   ')}`);
+  }
+}
+
+/**
+ * Collect the extra fields of a row
+ * @param {Object} row - Raw row keyed by input header
+ * @param {Object} extra - Header → extra field mapping
+ * @returns {Object} Extra field values as trimmed strings
+ */
+export function getExtraFields(row, extra) {
+  const fields = {};
+  Object.entries(extra).forEach(([header, key]) => {
+    const value = row[header];
+    fields[key] = value === undefined || value === null ? '' : String(value).trim();
+  });
+  return fields;
+}
+
+/**
+ * Rename the columns of a row to prospect fields
+ * @param {Object} row - Raw row keyed by input header
+ * @param {Object} map - Header → field mapping
+ * @returns {Object} Row keyed by prospect field
+ */
+export function applyHeaderMap(row, map) {
+  const mapped = {};
+  Object.entries(map).forEach(([header, field]) => {
+    mapped[field] = row[header];
+  });
+  return mapped;
+}
+
+/**
+ * Parse a --map argument
+ * @param {string} value - e.g. company="Business Name",phone="Phone Number"
+ * @returns {Object} Field → header mapping
+ */
+export function parseColumnMapArg(value) {
+  const columnMap = {};
+  if (!value) {
+    return columnMap;
+  }
+
+  const pattern = /\s*([a-z_]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^,]*))\s*(?:,|$)/gy;
+  let match;
+  let consumed = 0;
+
+  while (consumed < value.length && (match = pattern.exec(value)) !== null) {
+    const [, field, doubleQuoted, singleQuoted, bare] = match;
+    columnMap[field] = (doubleQuoted ?? singleQuoted ?? bare).trim();
+    consumed = pattern.lastIndex;
+  }
+
+  if (consumed < value.length) {
+    throw new Error(`Invalid --map value near: "${value.slice(consumed)}". Use field="Header",field2="Header 2"`);
+  }
+
+  return columnMap;
+}
+
+/**
+ * Load a column mapping file
+ * @param {string} filePath - JSON file with { "field": "Header" } entries
+ * @returns {Promise<Object>} Field → header mapping
+ */
+export async function loadColumnMapFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Column mapping file not found: ${filePath}`);
+  }
+
+  const columnMap = await fs.readJson(filePath);
+  if (typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+    throw new Error(`Column mapping file must contain a JSON object: ${filePath}`);
+  }
+
+  return columnMap;
+}
@@ -0,0 +1,275 @@
+import fs from 'fs-extra';
+import csv from 'csv-parser';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { extname } from 'path';
+import { Readable } from 'stream';
+import chalk from 'chalk';
+import XLSX from 'xlsx';
+
+// File extension → input format
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.xlsx': 'xlsx',
+  '.xlsm': 'xlsx',
+  '.xls': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+export const INPUT_FORMATS = ['csv', 'tsv', 'xlsx', 'json', 'ndjson'];
+
+// The npm release of xlsx (0.18.5) has known advisories for crafted workbooks (prototype pollution, ReDoS), and
+// the fixed releases are only published on the SheetJS CDN, so workbooks are only parsed on explicit request
+const UNTRUSTED_WORKBOOK_ERROR = 'XLSX/XLS input is only read with --trust-xlsx: the workbook parser has known ' +
+  'vulnerabilities for crafted files, so only pass workbooks from a trusted source, or export the sheet to CSV';
+
+/**
+ * Detect the input format of a prospects file
+ * @param {string} filePath - Input file path
+ * @param {string} format - Explicit format (overrides the file extension)
+ * @returns {string} One of INPUT_FORMATS
+ */
+export function detectInputFormat(filePath, format) {
+  if (format) {
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported input format: "${format}". Must be one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
+  const detected = FORMAT_EXTENSIONS[extname(filePath).toLowerCase()];
+  if (!detected) {
+    throw new Error(`Can't detect input format from "${filePath}". Use --input-format (${INPUT_FORMATS.join(', ')})`);
+  }
+
+  return detected;
+}
+
+/**
+ * Open a prospects file and expose its headers and raw rows
+ * @param {string} filePath - Input file path
+ * @param {Object} options - Reader options
+ * @param {string} options.format - Explicit input format
+ * @param {string|number} options.sheet - Workbook sheet name or 1-based index (xlsx only)
+ * @param {boolean} options.trustXlsx - Parse XLSX/XLS files (refused otherwise, see UNTRUSTED_WORKBOOK_ERROR)
+ * @returns {Promise<Object>} { format, headers, rows } where rows is an (async) iterable of { header: string } objects,
+ *   or Error entries for records that can't be read
+ */
+export async function openInputReader(filePath, options = {}) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Input file not found: ${filePath}`);
+  }
+
+  const format = detectInputFormat(filePath, options.format);
+
+  switch (format) {
+    case 'csv':
+      return { format, ...await openDelimitedReader(filePath, ',') };
+    case 'tsv':
+      return { format, ...await openDelimitedReader(filePath, '\t') };
+    case 'xlsx':
+      if (!options.trustXlsx) {
+        throw new Error(UNTRUSTED_WORKBOOK_ERROR);
+      }
+      return { format, ...openWorkbookReader(filePath, options.sheet) };
+    case 'json':
+      return { format, ...await openJsonReader(filePath) };
+    case 'ndjson':
+      return { format, ...await openNdjsonReader(filePath) };
+  }
+}
+
+/**
+ * CSV/TSV reader over a file stream
+ */
+async function openDelimitedReader(filePath, separator) {
+  const parser = createReadStream(filePath).pipe(csv({ separator }));
+  let headers = null;
+  parser.once('headers', (names) => {
+    headers = names;
+  });
+
+  // Reading the first row gets the stream going: a paused stream never ends, so an empty file would
+  // otherwise never settle. The header row is parsed by then, even for a header-only file.
+  const iterator = parser[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  if (!headers) {
+    parser.destroy();
+    throw new Error('Input file has no header row');
+  }
+
+  async function* readRows() {
+    if (first.done) {
+      return;
+    }
+    yield first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  }
+
+  const rows = Readable.from(readRows());
+  rows.once('close', () => parser.destroy());
+  return { headers, rows };
+}
+
+/**
+ * XLSX/XLS reader for a single worksheet
+ */
+function openWorkbookReader(filePath, sheet) {
+  const workbook = XLSX.readFile(filePath);
+  const sheetName = resolveSheetName(workbook.SheetNames, sheet);
+
+  if (sheet === undefined && workbook.SheetNames.length > 1) {
+    console.log(chalk.yellow(`   ⚠️  Workbook has ${workbook.SheetNames.length} sheets, reading "${sheetName}" (use --sheet to pick another: ${workbook.SheetNames.join(', ')})`));
+  }
+
+  const worksheet = workbook.Sheets[sheetName];
+  const [headerRow = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false, raw: false });
+  const headers = headerRow.map(header => String(header ?? '')).filter(header => header.trim() !== '');
+
+  if (headers.length === 0) {
+    throw new Error(`Sheet "${sheetName}" has no header row`);
+  }
+
+  // Formatted text keeps phone numbers and leading zeros the way they appear in Excel
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false, blankrows: false });
+
+  return { headers, rows: rows.map(stringifyValues) };
+}
+
+/**
+ * Resolve a --sheet value to a sheet name
+ */
+function resolveSheetName(sheetNames, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return sheetNames[0];
+  }
+
+  if (sheetNames.includes(String(sheet))) {
+    return String(sheet);
+  }
+
+  const index = Number(sheet);
+  if (Number.isInteger(index) && index >= 1 && index <= sheetNames.length) {
+    return sheetNames[index - 1];
+  }
+
+  throw new Error(`Sheet not found: "${sheet}". Available sheets: ${sheetNames.join(', ')}`);
+}
+
+/**
+ * JSON reader for an array of objects (or { prospects: [...] })
+ */
+async function openJsonReader(filePath) {
+  let data;
+  try {
+    data = await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Invalid JSON input: ${error.message}`);
+  }
+
+  const records = Array.isArray(data) ? data : data?.prospects;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON input must be an array of objects (or an object with a "prospects" array)');
+  }
+
+  return { headers: collectHeaders(records), rows: records.map(toRow) };
+}
+
+/**
+ * NDJSON reader, one object per line
+ */
+async function openNdjsonReader(filePath) {
+  const lines = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+  const iterator = lines[Symbol.asyncIterator]();
+
+  // Headers come from the first record; later records are read lazily
+  let first = await iterator.next();
+  let lineNumber = 1;
+  while (!first.done && first.value.trim() === '') {
+    first = await iterator.next();
+    lineNumber++;
+  }
+
+  if (first.done) {
+    throw new Error('Input file has no records');
+  }
+
+  const firstRecord = parseNdjsonLine(first.value, lineNumber);
+  if (firstRecord instanceof Error) {
+    throw firstRecord;
+  }
+
+  async function* rows() {
+    yield toRow(firstRecord);
+    for await (const line of { [Symbol.asyncIterator]: () => iterator }) {
+      lineNumber++;
+      if (line.trim() !== '') {
+        const record = parseNdjsonLine(line, lineNumber);
+        yield record instanceof Error ? record : toRow(record);
+      }
+    }
+  }
+
+  return { headers: Object.keys(firstRecord), rows: rows() };
+}
+
+/**
+ * Parse one NDJSON line; malformed lines become an Error so they are rejected like any invalid row
+ */
+function parseNdjsonLine(line, lineNumber) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+  }
+}
+
+/**
+ * Union of the keys of all records, in first-seen order
+ */
+function collectHeaders(records) {
+  const headers = [];
+  records.forEach(record => {
+    Object.keys(record || {}).forEach(key => {
+      if (!headers.includes(key)) {
+        headers.push(key);
+      }
+    });
+  });
+  return headers;
+}
+
+/**
+ * Convert a JSON record to a row of strings like the CSV reader produces
+ */
+function toRow(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return {};
+  }
+  return stringifyValues(record);
+}
+
+/**
+ * Stringify row values so every format reaches validation with the same types
+ */
+function stringifyValues(record) {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      row[key] = '';
+    } else if (typeof value === 'object') {
+      row[key] = JSON.stringify(value);
+    } else {
+      row[key] = String(value);
+    }
+  });
+  return row;
+}
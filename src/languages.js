@@ -0,0 +1,44 @@
+// Language names accepted besides language codes (compared lowercase)
+const LANGUAGE_NAMES = {
+  english: 'en',
+  spanish: 'es',
+  'español': 'es',
+  espanol: 'es',
+  castellano: 'es',
+  portuguese: 'pt',
+  'português': 'pt',
+  portugues: 'pt',
+  french: 'fr',
+  'français': 'fr',
+  francais: 'fr',
+  german: 'de',
+  deutsch: 'de',
+  italian: 'it',
+  italiano: 'it'
+};
+
+/**
+ * Resolve a language code or name
+ * @param {string} language - Language code ("es", "es-MX", "es_MX") or name ("Spanish", "Español")
+ * @returns {string|null} Lowercase language tag ("es", "es-mx"), or null when unrecognized
+ */
+export function resolveLanguage(language) {
+  const cleaned = String(language || '').trim().toLowerCase().replace(/_/g, '-');
+
+  // Own properties only: "constructor" is not a language name
+  if (Object.hasOwn(LANGUAGE_NAMES, cleaned)) {
+    return LANGUAGE_NAMES[cleaned];
+  }
+
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Tags to try for a language, most specific first
+ * @param {string} language - Resolved language tag
+ * @returns {Array} e.g. ["es-mx", "es"]
+ */
+export function getLanguageCandidates(language) {
+  const parts = language.split('-');
+  return parts.map((_, index) => parts.slice(0, parts.length - index).join('-'));
+}
@@ -0,0 +1,193 @@
+import fs from 'fs-extra';
+import { dirname } from 'path';
+
+const CACHE_VERSION = 1;
+
+// Entries this close to expiry are refreshed instead of reused, so links survive until the messages go out
+const REFRESH_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the short-link cache, or start an empty one
+ * @param {string} cachePath - Cache file path
+ * @returns {Promise<Object>} { path, namespaces: { namespace: { original_url: entry } } }
+ */
+export async function loadLinkCache(cachePath) {
+  if (!await fs.pathExists(cachePath)) {
+    return { path: cachePath, namespaces: {} };
+  }
+
+  const data = await fs.readJson(cachePath);
+  if (data.version !== CACHE_VERSION || typeof data.namespaces !== 'object') {
+    throw new Error(`Unrecognized short-link cache: ${cachePath}`);
+  }
+
+  return { path: cachePath, namespaces: data.namespaces };
+}
+
+/**
+ * Save the short-link cache atomically
+ * @param {Object} cache - Short-link cache
+ */
+export async function saveLinkCache(cache) {
+  await fs.ensureDir(dirname(cache.path));
+  const tempPath = `${cache.path}.${process.pid}.tmp`;
+  await fs.writeJson(tempPath, { version: CACHE_VERSION, namespaces: cache.namespaces });
+  await fs.move(tempPath, cache.path, { overwrite: true });
+}
+
+/**
+ * Cache namespace of a shortener; links from one shortener are never handed out for another
+ * @param {Object} shortener - Shortener adapter
+ * @returns {string} e.g. "bulk:https://websites-links.netlify.app/api/bulk-upload"
+ */
+export function getCacheNamespace(shortener) {
+  return `${shortener.name}:${shortener.target}`;
+}
+
+/**
+ * Look up a cached short link for a URL mapping
+ * @param {Object} cache - Short-link cache
+ * @param {string} namespace - Shortener namespace
+ * @param {Object} mapping - URL mapping from generateDemoUrls
+ * @param {number} now - Current time (ms)
+ * @returns {Object|undefined} Shortener result, or undefined when missing or (nearly) expired
+ */
+export function getCachedResult(cache, namespace, mapping, now = Date.now()) {
+  const entry = cache.namespaces[namespace]?.[mapping.original_url];
+  if (!entry || (entry.expires_at && entry.expires_at - REFRESH_MARGIN_MS <= now)) {
+    return undefined;
+  }
+
+  return {
+    success: true,
+    original_url: mapping.original_url,
+    data: {
+      shortUrl: entry.short_url,
+      shortCode: entry.short_code,
+      originalUrl: mapping.original_url,
+      expiresAt: entry.expires_at
+    },
+    metadata: mapping.metadata,
+    cached: true
+  };
+}
+
+/**
+ * Add fresh shortener results to the cache
+ * Fallbacks and failures are not cached, so those URLs are tried again next run.
+ * @param {Object} cache - Short-link cache
+ * @param {string} namespace - Shortener namespace
+ * @param {Array} results - Shortener results
+ * @param {number} now - Current time (ms)
+ * @returns {number} Number of entries written
+ */
+export function cacheResults(cache, namespace, results, now = Date.now()) {
+  const entries = cache.namespaces[namespace] || (cache.namespaces[namespace] = {});
+  let written = 0;
+
+  results.forEach(result => {
+    if (!result.success || result.fallback || result.cached || !result.data?.shortUrl) {
+      return;
+    }
+
+    entries[result.original_url] = {
+      short_url: result.data.shortUrl,
+      short_code: result.data.shortCode || '',
+      expires_at: result.data.expiresAt || null,
+      cached_at: now
+    };
+    written++;
+  });
+
+  return written;
+}
+
+/**
+ * Summarize the cache per shortener namespace
+ * @param {Object} cache - Short-link cache
+ * @param {number} now - Current time (ms)
+ * @returns {Array} { namespace, entries, expired, expiring_soon, oldest_cached_at, newest_cached_at }
+ */
+export function summarizeLinkCache(cache, now = Date.now()) {
+  return Object.entries(cache.namespaces).map(([namespace, entries]) => {
+    const values = Object.values(entries);
+    // One pass rather than Math.min(...): spreading a namespace of 100k+ entries overflows the call stack
+    let oldest = null;
+    let newest = null;
+    values.forEach(({ cached_at }) => {
+      oldest = oldest === null ? cached_at : Math.min(oldest, cached_at);
+      newest = newest === null ? cached_at : Math.max(newest, cached_at);
+    });
+
+    return {
+      namespace,
+      entries: values.length,
+      expired: values.filter(entry => entry.expires_at && entry.expires_at <= now).length,
+      expiring_soon: values.filter(entry => entry.expires_at && entry.expires_at > now && entry.expires_at - REFRESH_MARGIN_MS <= now).length,
+      oldest_cached_at: oldest,
+      newest_cached_at: newest
+    };
+  });
+}
+
+/**
+ * Find cached links whose original or short URL contains some text
+ * @param {Object} cache - Short-link cache
+ * @param {string} text - Text to look for
+ * @param {number} limit - Maximum number of matches
+ * @returns {Array} { namespace, original_url, ...entry }
+ */
+export function searchLinkCache(cache, text, limit = 20) {
+  const matches = [];
+
+  for (const [namespace, entries] of Object.entries(cache.namespaces)) {
+    for (const [originalUrl, entry] of Object.entries(entries)) {
+      if (matches.length >= limit) {
+        return matches;
+      }
+      if (originalUrl.includes(text) || entry.short_url.includes(text)) {
+        matches.push({ namespace, original_url: originalUrl, ...entry });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Remove entries from the cache
+ * @param {Object} cache - Short-link cache
+ * @param {Object} options - Prune options
+ * @param {boolean} options.all - Remove every entry
+ * @param {number} options.olderThanDays - Also remove entries cached more than this many days ago
+ * @param {string} options.namespace - Only prune this namespace (optional)
+ * @param {number} options.now - Current time (ms)
+ * @returns {number} Number of entries removed (expired entries are always removed)
+ */
+export function pruneLinkCache(cache, { all = false, olderThanDays, namespace, now = Date.now() } = {}) {
+  let removed = 0;
+
+  Object.entries(cache.namespaces).forEach(([name, entries]) => {
+    if (namespace && name !== namespace) {
+      return;
+    }
+
+    Object.entries(entries).forEach(([originalUrl, entry]) => {
+      const expired = entry.expires_at && entry.expires_at <= now;
+      const tooOld = olderThanDays !== undefined && entry.cached_at <= now - olderThanDays * DAY_MS;
+
+      if (all || expired || tooOld) {
+        delete entries[originalUrl];
+        removed++;
+      }
+    });
+
+    if (Object.keys(entries).length === 0) {
+      delete cache.namespaces[name];
+    }
+  });
+
+  return removed;
+}
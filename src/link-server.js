@@ -0,0 +1,118 @@
+import http from 'http';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { loadLinkStore, findLink, isExpired } from './link-store.js';
+
+// Response bodies of the non-redirect answers
+const STATUS_TEXT = {
+  400: 'Malformed link\n',
+  404: 'Link not found\n',
+  410: 'This link has expired\n',
+  500: 'Server error\n'
+};
+
+/**
+ * Create an HTTP server that redirects short codes from a local link store
+ * The store is re-read when the file changes, so links created by a running campaign are served right away.
+ * @param {string} storePath - Link store file path
+ * @param {Object} options - Server options
+ * @param {string} options.logPath - NDJSON file that every hit is appended to (optional)
+ * @param {Function} options.onHit - Called with each hit record (optional)
+ * @returns {http.Server} Server (not listening yet)
+ */
+export function createLinkServer(storePath, { logPath, onHit } = {}) {
+  let store = { links: {} };
+  let loadedMtime = null;
+
+  const currentStore = async () => {
+    const stats = await fs.stat(storePath).catch(() => null);
+    const mtime = stats ? stats.mtimeMs : null;
+    if (mtime !== loadedMtime) {
+      store = mtime === null ? { links: {} } : await loadLinkStore(storePath);
+      loadedMtime = mtime;
+    }
+    return store;
+  };
+
+  return http.createServer(async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    // A malformed path (bad percent-encoding, "//") is the client's error, not a reason to stop serving
+    let code = null;
+    try {
+      code = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1));
+    } catch (error) {
+      // Answered with 400 below
+    }
+
+    let status = 400;
+    let link = null;
+    if (code !== null) {
+      try {
+        link = code ? findLink(await currentStore(), code) : null;
+        status = !link ? 404 : isExpired(link) ? 410 : 302;
+      } catch (error) {
+        console.log(chalk.red(`❌ Could not read link store: ${error.message}`));
+        status = 500;
+      }
+    }
+
+    if (status === 302) {
+      res.writeHead(302, { Location: link.url, 'Cache-Control': 'no-store' });
+      res.end();
+    } else {
+      res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(STATUS_TEXT[status]);
+    }
+
+    const hit = {
+      time: new Date().toISOString(),
+      code: code ?? req.url.slice(1),
+      status,
+      url: link?.url || null,
+      ip: req.socket.remoteAddress,
+      user_agent: req.headers['user-agent'] || '',
+      referer: req.headers.referer || ''
+    };
+
+    const color = status === 302 ? chalk.green : chalk.yellow;
+    console.log(color(`   ${hit.time} ${status} /${hit.code}${link ? ` → ${link.url}` : ''}`));
+
+    if (logPath) {
+      fs.appendFile(logPath, JSON.stringify(hit) + '\n').catch(error => {
+        console.log(chalk.red(`❌ Could not write hit log: ${error.message}`));
+      });
+    }
+    onHit?.(hit);
+  });
+}
+
+/**
+ * Run the redirect server for a local link store
+ * @param {Object} options - Server options
+ * @param {string} options.store - Link store file path
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Interface to bind
+ * @param {string} options.log - Hit log path
+ * @returns {Promise<http.Server>} Listening server
+ */
+export async function serveLinks({ store, port, host, log }) {
+  const server = createLinkServer(store, { logPath: log });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const { links } = await fs.pathExists(store) ? await loadLinkStore(store) : { links: {} };
+  console.log(chalk.green(`🔗 Serving ${Object.keys(links).length} short links from ${store} on http://${host}:${server.address().port}`));
+  if (log) {
+    console.log(chalk.gray(`   Logging hits to ${log}`));
+  }
+
+  return server;
+}
@@ -0,0 +1,110 @@
+import fs from 'fs-extra';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+
+const STORE_VERSION = 1;
+
+// Characters used in short codes (no look-alikes such as 0/O or 1/l)
+const CODE_ALPHABET = '23456789abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a local link store, or start an empty one
+ * @param {string} storePath - JSON store file path
+ * @returns {Promise<Object>} { path, links: { code: { url, created_at, expires_at } }, by_url: Map }
+ */
+export async function loadLinkStore(storePath) {
+  let links = {};
+
+  if (await fs.pathExists(storePath)) {
+    const data = await fs.readJson(storePath);
+    if (data.version !== STORE_VERSION || typeof data.links !== 'object') {
+      throw new Error(`Unrecognized link store: ${storePath}`);
+    }
+    links = data.links;
+  }
+
+  // Newest code per URL, so a URL that is shortened again keeps its link
+  const byUrl = new Map();
+  Object.entries(links).forEach(([code, link]) => {
+    const current = byUrl.get(link.url);
+    if (!current || links[current].created_at < link.created_at) {
+      byUrl.set(link.url, code);
+    }
+  });
+
+  return { path: storePath, links, by_url: byUrl };
+}
+
+/**
+ * Save a link store atomically (write to a temp file, then rename)
+ * @param {Object} store - Link store
+ */
+export async function saveLinkStore(store) {
+  await fs.ensureDir(dirname(store.path));
+  const tempPath = `${store.path}.${process.pid}.tmp`;
+  await fs.writeJson(tempPath, { version: STORE_VERSION, links: store.links });
+  await fs.move(tempPath, store.path, { overwrite: true });
+}
+
+/**
+ * Create a short link, or return the live link for a URL that was shortened before
+ * @param {Object} store - Link store
+ * @param {string} url - Original URL
+ * @param {Object} options - Link options
+ * @param {number} options.codeLength - Length of new short codes
+ * @param {number} options.ttlDays - Days until a new link expires
+ * @param {number} options.now - Current time (ms)
+ * @returns {Object} { code, url, created_at, expires_at }
+ */
+export function addLink(store, url, { codeLength = 7, ttlDays = 14, now = Date.now() } = {}) {
+  const existingCode = store.by_url.get(url);
+  if (existingCode && !isExpired(store.links[existingCode], now)) {
+    return { code: existingCode, ...store.links[existingCode] };
+  }
+
+  const code = generateUniqueCode(store, codeLength);
+  const link = { url, created_at: now, expires_at: now + ttlDays * DAY_MS };
+
+  store.links[code] = link;
+  store.by_url.set(url, code);
+
+  return { code, ...link };
+}
+
+/**
+ * Find the link behind a short code
+ * @param {Object} store - Link store
+ * @param {string} code - Short code
+ * @returns {Object|null} Link, or null for unknown codes
+ */
+export function findLink(store, code) {
+  return Object.prototype.hasOwnProperty.call(store.links, code) ? store.links[code] : null;
+}
+
+/**
+ * Check whether a link has expired
+ * @param {Object} link - Stored link
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} Whether the link is past its expires_at
+ */
+export function isExpired(link, now = Date.now()) {
+  return Boolean(link.expires_at) && link.expires_at <= now;
+}
+
+/**
+ * Generate a short code that isn't in the store yet
+ * Codes are random, so they don't reveal how many links exist; a collision just draws again.
+ */
+function generateUniqueCode(store, codeLength) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const bytes = randomBytes(codeLength);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    if (!findLink(store, code)) {
+      return code;
+    }
+  }
+
+  throw new Error(`Could not find a free short code of length ${codeLength}; use a longer code_length`);
+}
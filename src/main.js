@@ -3,16 +3,51 @@
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import fs from 'fs-extra';
-import { join } from 'path';
+import { join, dirname, basename, extname } from 'path';
 import chalk from 'chalk';
-import { createWriteStream } from 'fs';
 import { createObjectCsvWriter } from 'csv-writer';
 
 // Import our modules
-import { parseProspectsCSV, getProspectsSummary } from './csv-parser.js';
-import { generateDemoUrls, groupUrlsByProspect, updateWithShortUrls, validateUrlGeneration } from './url-generator.js';
-import { bulkUploadToShortener, createFallbackResults, validateBulkUploadResults, testShortenerConnection, estimateProcessingTime } from './bulk-uploader.js';
-import { generateWhatsAppMessages, validateMessages, getMessageStatistics, generateMessagePreviews, addWhatsAppUrls } from './message-generator.js';
+import { parseProspectsCSV, streamProspects, getProspectsSummary } from './csv-parser.js';
+import { BUSINESS_TYPES_PATH, loadBusinessTypes, getBusinessTypeNames, getDefaultBusinessType } from './business-types.js';
+import { getSupportedCountries } from './phone-normalizer.js';
+import { DEDUPE_POLICIES, getDuplicatesReport } from './deduplicator.js';
+import { createProspectRejection, exportRejects } from './rejects.js';
+import { loadSuppressionLists, exportSuppressed, getSuppressionSummary } from './suppression.js';
+import { parseColumnMapArg, loadColumnMapFile, toExtraField } from './header-mapper.js';
+import { INPUT_FORMATS } from './input-readers.js';
+import { resolveLanguage } from './languages.js';
+import { MESSAGE_TEMPLATES_PATH, generateMessagePreviews, loadMessageTemplates } from './message-generator.js';
+import { MESSAGE_LINT_PATH, loadLintRules, createMessageLinter } from './message-linter.js';
+import { serveLinks } from './link-server.js';
+import { loadWhatsAppConfig, createWhatsAppClient, createTokenBucket, readCampaignMessages, sendCampaignMessages } from './whatsapp-sender.js';
+import { serveWhatsAppMock } from './whatsapp-mock-server.js';
+import { TOKEN_SECRET_ENV, getTokenSecret } from './personalization-token.js';
+import { serveTokens } from './token-server.js';
+import { SHORTENER_ADAPTERS, SHORTENER_CONFIG_PATH, loadShortenerConfig, createShortenerFromConfig, createShortener } from './shorteners/index.js';
+import { resolveShortener, createRunStats, finalizeRunStats, processBatch, timeStage } from './pipeline.js';
+import { toReportRows, writeCampaignReport } from './report.js';
+import { TRACKING_CONFIG_PATH, loadTracking } from './tracking.js';
+import { createRunManifest, getManifestOptions, describeConfigFile, getShortenerMode, recordRunStages, writeRunManifest } from './manifest.js';
+import { EXPORT_PRESETS_PATH, loadExportPresets, getExportPresetNames } from './export-presets.js';
+import { CAMPAIGN_COLUMNS, OUTPUT_FORMATS, createCampaignWriter, detectOutputFormat, parseOutputColumns, toOutputColumn } from './exporter.js';
+import { loadLinkCache, saveLinkCache, summarizeLinkCache, searchLinkCache, pruneLinkCache } from './link-cache.js';
+import {
+  hashRunOptions,
+  openCheckpoint,
+  isExported,
+  recordExported,
+  flushCheckpoint,
+  flushCheckpointSync,
+  restoreOutput,
+  completeCheckpoint
+} from './checkpoint.js';
+
+// Checkpoint of the running campaign, flushed by the signal handlers
+let activeCheckpoint = null;
+
+// Short URLs kept between runs, so a list processed again doesn't shorten the same URLs twice
+const DEFAULT_CACHE_FILE = 'output/short-link-cache.json';
 
 // ASCII Art Logo
 const LOGO = `
@@ -25,140 +60,792 @@ const LOGO = `
 async function main() {
   console.log(chalk.cyan(LOGO));
   
-  const argv = yargs(hideBin(process.argv))
-    .usage('Usage: $0 [options]')
-    .option('input', {
-      alias: 'i',
-      type: 'string',
-      describe: 'Input CSV file path',
-      demandOption: true
-    })
-    .option('output', {
-      alias: 'o',
-      type: 'string',
-      describe: 'Output CSV file path',
-      default: 'output/campaign-ready.csv'
-    })
-    .option('business-type', {
-      alias: 't',
-      type: 'string',
-      describe: 'Fallback business type for prospects missing business_type column',
-      choices: ['plumbing', 'landscaping', 'general'],
-      default: 'general'
-    })
-    .option('dry-run', {
-      type: 'boolean',
-      describe: 'Parse and validate only, do not generate URLs or messages',
-      default: false
-    })
-    .option('skip-shortener', {
-      type: 'boolean',
-      describe: 'Skip URL shortening (use original URLs)',
-      default: false
-    })
-    .option('preview', {
-      type: 'number',
-      describe: 'Show preview of first N generated messages',
-      default: 3
-    })
-    .example('$0 -i prospects.csv', 'Process prospects using business_type from CSV')
-    .example('$0 -i prospects.csv -t plumbing', 'Use plumbing as fallback for missing business_type')
-    .example('$0 -i prospects.csv --dry-run', 'Validate CSV format without processing')
+  const businessTypes = await loadBusinessTypes();
+  
+  const shortenerConfig = await loadShortenerConfig();
+  
+  const exportPresets = await loadExportPresets();
+  
+  await yargs(hideBin(process.argv))
+    .usage('Usage: $0 [options]\n       $0 send [options]\n       $0 serve-links [options]\n       $0 serve-tokens [options]\n       $0 whatsapp-mock [options]\n       $0 cache <inspect|prune> [options]')
+    .command('$0', 'Process a prospects file into a WhatsApp campaign', (command) => command
+      .option('input', {
+        alias: 'i',
+        type: 'string',
+        describe: 'Input file path (CSV, TSV, XLSX, JSON or NDJSON)',
+        demandOption: true
+      })
+      .option('input-format', {
+        type: 'string',
+        describe: 'Input format (default: detected from the file extension)',
+        choices: INPUT_FORMATS
+      })
+      .option('sheet', {
+        type: 'string',
+        describe: 'Workbook sheet name or 1-based index (XLSX input)'
+      })
+      .option('trust-xlsx', {
+        type: 'boolean',
+        describe: 'Read XLSX/XLS input; the workbook parser has known vulnerabilities, so only for trusted files',
+        default: false
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: 'Output file path (default: output/campaign-ready.<format>)'
+      })
+      .option('output-format', {
+        type: 'string',
+        describe: 'Output format (default: detected from --output, otherwise csv)',
+        choices: OUTPUT_FORMATS
+      })
+      .option('columns', {
+        type: 'string',
+        describe: 'Output columns, optionally renamed, e.g. prospect_id,phone="Mobile",whatsapp_message,demo_1_short_url'
+      })
+      .option('export-preset', {
+        type: 'string',
+        describe: 'Write the columns, names and phone format a CRM import expects (config/export-presets.json)',
+        choices: getExportPresetNames(exportPresets)
+      })
+      .conflicts('export-preset', 'columns')
+      .option('detailed-json', {
+        type: 'string',
+        describe: 'Also write every prospect field to a JSON file (default path: next to --output)'
+      })
+      .option('business-type', {
+        alias: 't',
+        type: 'string',
+        describe: 'Fallback business type for prospects missing business_type column',
+        choices: getBusinessTypeNames(businessTypes),
+        default: getDefaultBusinessType(businessTypes)
+      })
+      .option('default-country', {
+        alias: 'c',
+        type: 'string',
+        describe: 'Country for phone numbers without a country code (overridden by a country column)',
+        choices: getSupportedCountries(),
+        coerce: value => value.toUpperCase(),
+        default: 'US'
+      })
+      .option('default-language', {
+        alias: 'l',
+        type: 'string',
+        describe: 'Message language for prospects without a language column (default: the templates\' language)',
+        coerce: value => {
+          const language = resolveLanguage(value);
+          if (!language) {
+            throw new Error(`Unrecognized language: "${value}"`);
+          }
+          return language;
+        }
+      })
+      .option('map', {
+        type: 'string',
+        describe: 'Map input headers to fields, e.g. company="Business Name",phone="Phone Number"'
+      })
+      .option('map-file', {
+        type: 'string',
+        describe: 'JSON file mapping fields to input headers ({ "company": "Business Name" })'
+      })
+      .option('extra-columns', {
+        type: 'string',
+        describe: 'Extra input columns copied to the output, e.g. owner_name,rating'
+      })
+      .option('dedupe-policy', {
+        type: 'string',
+        describe: 'How prospects with the same phone number are collapsed',
+        choices: DEDUPE_POLICIES,
+        default: 'first'
+      })
+      .option('fuzzy-dedupe', {
+        type: 'boolean',
+        describe: 'Also collapse prospects with similar company names in the same city',
+        default: false
+      })
+      .option('duplicates-report', {
+        type: 'string',
+        describe: 'Duplicates report CSV path (default: next to --output)'
+      })
+      .option('rejects', {
+        type: 'string',
+        describe: 'Rejected rows CSV path (default: next to --output)'
+      })
+      .option('suppress', {
+        type: 'string',
+        array: true,
+        describe: 'Do-not-contact list (CSV/TXT of phone numbers, company names or domains); repeat for several lists'
+      })
+      .option('suppressed-report', {
+        type: 'string',
+        describe: 'Suppressed rows CSV path (default: next to --output)'
+      })
+      .option('report', {
+        type: 'string',
+        describe: 'Write an offline HTML report (breakdowns, length histogram, validation errors, searchable messages) to this path'
+      })
+      .option('manifest', {
+        type: 'string',
+        describe: 'Run manifest JSON path: input and config hashes, options, stage counts and timings (default: next to --output)'
+      })
+      .option('campaign-name', {
+        type: 'string',
+        describe: 'Campaign name; adds UTM and prospect reference parameters (config/tracking.json) to every demo URL'
+      })
+      .option('tracking-config', {
+        type: 'string',
+        describe: 'JSON file with tracking parameter templates (default: config/tracking.json)'
+      })
+      .option('url-tokens', {
+        type: 'boolean',
+        describe: `Replace company, city, phone and url_params in demo URLs with an encrypted token (secret: ${TOKEN_SECRET_ENV})`,
+        default: false
+      })
+      .option('lint-config', {
+        type: 'string',
+        describe: 'JSON file with message lint rules and severities (default: config/message-lint.json)'
+      })
+      .option('shortener', {
+        type: 'string',
+        describe: 'URL shortener adapter (default: "adapter" in config/shortener.json)',
+        choices: SHORTENER_ADAPTERS
+      })
+      .option('shortener-config', {
+        type: 'string',
+        describe: 'JSON file with shortener adapter settings (overrides config/shortener.json)'
+      })
+      .option('shortener-url', {
+        type: 'string',
+        describe: 'Shortener URL (bulk: base URL, rest: shorten endpoint)'
+      })
+      .option('shorten-batch-size', {
+        type: 'number',
+        describe: 'URLs per shortener request',
+        default: 250
+      })
+      .option('shorten-concurrency', {
+        type: 'number',
+        describe: 'Shortener requests in flight at once',
+        default: 3
+      })
+      .option('cache', {
+        type: 'boolean',
+        describe: 'Reuse short URLs from earlier runs (--no-cache to shorten everything again)',
+        default: true
+      })
+      .option('cache-file', {
+        type: 'string',
+        describe: 'Short-link cache file path',
+        default: DEFAULT_CACHE_FILE
+      })
+      .option('stream', {
+        type: 'boolean',
+        describe: 'Process prospects in batches while reading, writing the output as it goes (large lists)',
+        default: false
+      })
+      .option('batch-size', {
+        type: 'number',
+        describe: 'Prospects per batch in streaming mode',
+        default: 500
+      })
+      .option('resume', {
+        type: 'boolean',
+        describe: 'Continue an interrupted run from its checkpoint',
+        default: false
+      })
+      .option('checkpoint', {
+        type: 'string',
+        describe: 'Checkpoint file path (default: next to --output)'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        describe: 'Parse and validate only, do not generate URLs or messages',
+        default: false
+      })
+      .option('skip-shortener', {
+        type: 'boolean',
+        describe: 'Skip URL shortening (use original URLs)',
+        default: false
+      })
+      .option('preview', {
+        type: 'number',
+        describe: 'Show preview of first N generated messages',
+        default: 3
+      })
+      .example('$0 -i prospects.csv', 'Process prospects using business_type from CSV')
+      .example('$0 -i prospects.csv -t plumbing', 'Use plumbing as fallback for missing business_type')
+      .example('$0 -i prospects.csv -c GB', 'Treat phone numbers without a country code as UK numbers')
+      .example('$0 -i leads.xlsx --trust-xlsx --sheet Prospects', 'Read the "Prospects" sheet of a workbook')
+      .example('$0 -i export.csv --map phone="Mobile Phone"', 'Pick the phone column when several headers match')
+      .example('$0 -i prospects.csv --fuzzy-dedupe --dedupe-policy merge', 'Merge rows that share a phone or a similar company+city')
+      .example('$0 -i leads.csv --stream --batch-size 1000', 'Process a 200k-row list with bounded memory')
+      .example('$0 -i leads.csv --shortener rest --shortener-config my-shortener.json', 'Shorten through a per-URL REST API')
+      .example('$0 -i leads.csv --shorten-batch-size 100 --shorten-concurrency 5', 'Shorten in chunks of 100 URLs, 5 requests at a time')
+      .example('$0 -i leads.csv --stream --resume', 'Pick up an interrupted run where it stopped')
+      .example('$0 -i leads.csv -o leads.json --columns prospect_id,phone,whatsapp_message,status', 'Write a JSON array with the raw message of each prospect')
+      .example('$0 -i leads.csv --export-preset hubspot -o hubspot-import.csv', 'Write a file ready for a HubSpot contacts import')
+      .example('$0 -i leads.csv --output-format xlsx --detailed-json', 'Write a workbook plus every prospect field as JSON')
+      .example('$0 -i prospects.csv --dry-run', 'Validate CSV format without processing'), runCampaign)
+    .command('serve-links', 'Serve the short links created by the local shortener', (command) => command
+      .option('store', {
+        type: 'string',
+        describe: 'Link store file path',
+        default: shortenerConfig.adapters.local?.store || 'output/links.json'
+      })
+      .option('port', {
+        alias: 'p',
+        type: 'number',
+        describe: 'Port to listen on',
+        default: 8787
+      })
+      .option('host', {
+        type: 'string',
+        describe: 'Interface to bind',
+        default: '127.0.0.1'
+      })
+      .option('log', {
+        type: 'string',
+        describe: 'NDJSON file every hit is appended to (default: next to the store)'
+      })
+      .example('$0 serve-links --port 8080 --host 0.0.0.0', 'Serve links publicly on port 8080'), runServeLinks)
+    .command('serve-tokens', `Serve the endpoint demo sites use to verify and decode personalization tokens (secret: ${TOKEN_SECRET_ENV})`, (command) => command
+      .option('port', {
+        alias: 'p',
+        type: 'number',
+        describe: 'Port to listen on',
+        default: 8789
+      })
+      .option('host', {
+        type: 'string',
+        describe: 'Interface to bind',
+        default: '127.0.0.1'
+      })
+      .option('allow-origin', {
+        type: 'string',
+        array: true,
+        describe: 'Origin of a demo site allowed to call the endpoint, e.g. https://plumbing-client-2.netlify.app; repeat for several sites',
+        demandOption: true
+      })
+      .example('$0 serve-tokens --allow-origin https://plumbing-client-2.netlify.app', 'Answer GET /verify?token=... on port 8789'), runServeTokens)
+    .command('send', 'Send the messages of a campaign file through the WhatsApp Business Cloud API', (command) => command
+      .option('input', {
+        alias: 'i',
+        type: 'string',
+        describe: 'Campaign file written by a campaign run',
+        default: 'output/campaign-ready.csv'
+      })
+      .option('input-format', {
+        type: 'string',
+        describe: 'Campaign file format (default: detected from the file extension)',
+        choices: INPUT_FORMATS
+      })
+      .option('trust-xlsx', {
+        type: 'boolean',
+        describe: 'Read an XLSX campaign file; the workbook parser has known vulnerabilities, so only for trusted files',
+        default: false
+      })
+      .option('whatsapp-config', {
+        type: 'string',
+        describe: 'JSON file with Cloud API settings (overrides config/whatsapp.json)'
+      })
+      .option('base-url', {
+        type: 'string',
+        describe: 'Cloud API base URL, e.g. a local mock server'
+      })
+      .option('rate', {
+        type: 'number',
+        describe: 'Messages per second (default: messages_per_second in the config)'
+      })
+      .option('burst', {
+        type: 'number',
+        describe: 'Messages sent at once before pacing kicks in (default: burst in the config)'
+      })
+      .option('concurrency', {
+        type: 'number',
+        describe: 'Requests in flight at once (default: concurrency in the config)'
+      })
+      .option('limit', {
+        type: 'number',
+        describe: 'Send at most this many messages in this run'
+      })
+      .option('log', {
+        type: 'string',
+        describe: 'NDJSON send log with the status and message id of every prospect (default: next to --input)'
+      })
+      .option('suppress', {
+        type: 'string',
+        array: true,
+        describe: 'Do-not-contact list (CSV/TXT of phone numbers or company names); repeat for several lists'
+      })
+      .option('default-country', {
+        alias: 'c',
+        type: 'string',
+        describe: 'Country for suppression list numbers without a country code',
+        choices: getSupportedCountries(),
+        coerce: value => value.toUpperCase(),
+        default: 'US'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        describe: 'Read the campaign file and the log, but send nothing',
+        default: false
+      })
+      .example('$0 send --dry-run', 'Check what would be sent from output/campaign-ready.csv')
+      .example('$0 send -i campaign.csv --rate 5 --limit 100', 'Send the first 100 messages, 5 per second'), runSend)
+    .command('whatsapp-mock', 'Run a local mock of the WhatsApp Cloud API messages endpoint', (command) => command
+      .option('port', {
+        alias: 'p',
+        type: 'number',
+        describe: 'Port to listen on',
+        default: 8788
+      })
+      .option('host', {
+        type: 'string',
+        describe: 'Interface to bind',
+        default: '127.0.0.1'
+      })
+      .option('reject', {
+        type: 'string',
+        describe: 'Comma-separated numbers (digits only) answered with an "undeliverable" error'
+      })
+      .option('rate-limit-every', {
+        type: 'number',
+        describe: 'Answer every Nth request with 429 Too Many Requests',
+        default: 0
+      }), runWhatsAppMock)
+    .command('cache', 'Inspect or prune the short-link cache', (command) => command
+      .option('cache-file', {
+        type: 'string',
+        describe: 'Short-link cache file path',
+        default: DEFAULT_CACHE_FILE
+      })
+      .command('inspect', 'Show what the cache holds per shortener', (subcommand) => subcommand
+        .option('search', {
+          type: 'string',
+          describe: 'List entries whose original or short URL contains this text'
+        })
+        .option('limit', {
+          type: 'number',
+          describe: 'Maximum number of entries listed by --search',
+          default: 20
+        }), runCacheInspect)
+      .command('prune', 'Remove expired entries (and optionally older ones)', (subcommand) => subcommand
+        .option('older-than', {
+          type: 'number',
+          describe: 'Also remove entries cached more than this many days ago'
+        })
+        .option('namespace', {
+          type: 'string',
+          describe: 'Only prune one shortener, e.g. "bulk:https://websites-links.netlify.app/api/bulk-upload"'
+        })
+        .option('all', {
+          type: 'boolean',
+          describe: 'Remove every entry',
+          default: false
+        }), runCachePrune)
+      .demandCommand(1, 'Choose a cache command: inspect or prune')
+      .example('$0 cache inspect --search plumbing', 'Find the cached link of a demo site')
+      .example('$0 cache prune --older-than 30', 'Drop expired entries and anything cached over 30 days ago'))
     .help()
     .alias('help', 'h')
     .version('1.0.0')
-    .argv;
+    .parseAsync();
+}
 
+/**
+ * Process a prospects file into a campaign
+ * @param {Object} argv - Parsed CLI options
+ */
+async function runCampaign(argv) {
   const startTime = Date.now();
+  const preset = argv.exportPreset ? (await loadExportPresets())[argv.exportPreset] : null;
+  const outputFormat = detectOutputFormat(argv.output, argv.outputFormat, preset?.format);
+  const outputPath = argv.output || `output/campaign-ready.${outputFormat}`;
+  const detailedPath = argv.detailedJson === undefined ? null : argv.detailedJson || companionPath(outputPath, 'detailed', '.json');
+  
+  // Rows that failed validation or a later stage, written to the rejects file
+  const rejections = [];
+  const rejectsPath = argv.rejects || companionPath(outputPath, 'rejects');
+  const checkpointPath = argv.checkpoint || companionPath(outputPath, 'checkpoint', '.ndjson');
+  const duplicatesPath = argv.duplicatesReport || companionPath(outputPath, 'duplicates');
+  const manifestPath = argv.manifest || companionPath(outputPath, 'manifest', '.json');
+  
+  const rejectProspect = (stage) => (prospect, error) => {
+    rejections.push(createProspectRejection(prospect, error, stage));
+  };
+  
+  const flushRejects = async () => {
+    if (rejections.length > 0) {
+      await exportRejects(rejections, rejectsPath);
+    }
+  };
+  
+  // Rows dropped because they're on a do-not-contact list
+  const suppressed = [];
+  const suppressedPath = argv.suppressedReport || companionPath(outputPath, 'suppressed');
+  
+  const flushSuppressed = async () => {
+    if (suppressed.length > 0) {
+      await exportSuppressed(suppressed, suppressedPath);
+    }
+  };
+  
+  // What the run did, for the manifest written when it ends (however it ends)
+  const stats = createRunStats();
+  let manifest = null;
+  let configuredShortener = null;
+  let usedShortener = null;
+  let summary = null;
+  let duplicates = [];
+  let exported = 0;
+  // What the HTML report lists of every processed prospect
+  const reportRows = argv.report ? [] : null;
+  // One push per row: push(...rows) passes every row as an argument and overflows the stack on large lists
+  const addReportRows = (prospects) => {
+    if (reportRows) {
+      toReportRows(prospects).forEach(row => reportRows.push(row));
+    }
+  };
+
+  const saveManifest = async (status, error) => {
+    if (!manifest) {
+      return;
+    }
+    
+    manifest.outputs = {
+      campaign: argv.dryRun ? null : outputPath,
+      format: outputFormat,
+      detailed_json: argv.dryRun ? null : detailedPath,
+      rejects: rejections.length > 0 ? rejectsPath : null,
+      duplicates: duplicates.length > 0 ? duplicatesPath : null,
+      report: argv.report && status === 'completed' ? argv.report : null,
+      suppressed: suppressed.length > 0 ? suppressedPath : null,
+      // Removed once the run completes
+      checkpoint: status === 'failed' && activeCheckpoint ? checkpointPath : null
+    };
+    manifest.shortener = getShortenerMode(configuredShortener?.name ?? null, usedShortener, stats.shortening);
+    recordRunStages(manifest, finalizeRunStats(stats), {
+      summary,
+      rejections,
+      duplicates: duplicates.length,
+      suppressed: suppressed.length,
+      exported
+    });
+    await writeRunManifest(manifestPath, manifest, { status, error });
+  };
 
   try {
     // Step 1: Parse and validate CSV
-    console.log(chalk.bold.blue('\n🚀 Step 1: Parsing CSV file...'));
-    const prospects = await parseProspectsCSV(argv.input, argv.businessType);
+    console.log(chalk.bold.blue('\n🚀 Step 1: Parsing input file...'));
+    const columnMap = {
+      ...(argv.mapFile ? await loadColumnMapFile(argv.mapFile) : {}),
+      ...parseColumnMapArg(argv.map)
+    };
+    
+    // Compile the message templates up front so template mistakes stop the run before any work is done
+    const templates = await loadMessageTemplates();
+    const extraColumns = (argv.extraColumns || '').split(',').map(toExtraField).filter(Boolean);
+    const defaultColumns = preset
+      ? preset.columns
+      : [...CAMPAIGN_COLUMNS, ...(templates.variants.length > 0 ? ['variant'] : [])].map(toOutputColumn);
+    const columns = argv.columns ? parseOutputColumns(argv.columns) : defaultColumns;
+    const outputColumns = [
+      ...columns,
+      ...extraColumns
+        .filter(field => !columns.some(column => column.field === `extra.${field}`))
+        .map(field => toOutputColumn(`extra.${field}`))
+    ];
+    
+    // Extra columns the templates, URL params and output rely on, so a missing one is reported
+    const businessTypes = await loadBusinessTypes();
+    const urlParams = Object.values(businessTypes).flatMap(entry => entry.url_params);
+    const outputExtraFields = outputColumns
+      .filter(column => column.field?.startsWith('extra.'))
+      .map(column => column.field.slice('extra.'.length));
+    
+    const suppression = await loadSuppression(argv.suppress, argv.defaultCountry);
+    
+    // Campaign tracking parameters; their templates are checked here, before any URL is generated
+    const tracking = argv.campaignName !== undefined
+      ? await loadTracking({ campaign: argv.campaignName, businessTypes, configPath: argv.trackingConfig })
+      : null;
+    if (tracking) {
+      console.log(chalk.blue(`   🏷️  Tracking demo URLs for campaign "${tracking.campaign}"`));
+    }
+    
+    const tokenSecret = argv.urlTokens ? getTokenSecret() : null;
+    if (tokenSecret) {
+      console.log(chalk.blue('   🔐 Demo URLs carry personalization tokens instead of company, city and phone'));
+    }
+    
+    const lintRules = await loadLintRules(argv.lintConfig);
+    
+    const parseOptions = {
+      inputFormat: argv.inputFormat,
+      sheet: argv.sheet,
+      trustXlsx: argv.trustXlsx,
+      defaultCountry: argv.defaultCountry,
+      defaultLanguage: argv.defaultLanguage,
+      columnMap,
+      dedupePolicy: argv.dedupePolicy,
+      fuzzyDedupe: argv.fuzzyDedupe,
+      expectedExtraFields: [...new Set([...templates.extra_fields, ...urlParams, ...outputExtraFields])],
+      onReject: (rejection) => rejections.push(rejection),
+      suppression,
+      onSuppress: (record) => suppressed.push(record)
+    };
+    
+    // The manifest records what this output was made from, so the run can be audited and reproduced
+    manifest = await createRunManifest({
+      input: argv.input,
+      options: getManifestOptions(argv, { output: outputPath, outputFormat, detailedJson: detailedPath, columnMap, outputColumns })
+    });
+    manifest.configs = {
+      business_types: await describeConfigFile(BUSINESS_TYPES_PATH),
+      message_templates: await describeConfigFile(MESSAGE_TEMPLATES_PATH, {
+        language: templates.language,
+        variants: templates.variants.map(variant => variant.name)
+      }),
+      shortener: await describeConfigFile(SHORTENER_CONFIG_PATH),
+      ...(argv.shortenerConfig && { shortener_override: await describeConfigFile(argv.shortenerConfig) }),
+      ...(preset && { export_presets: await describeConfigFile(EXPORT_PRESETS_PATH, { preset: preset.name }) }),
+      ...(argv.mapFile && { map_file: await describeConfigFile(argv.mapFile) }),
+      message_lint: await describeConfigFile(argv.lintConfig || MESSAGE_LINT_PATH),
+      ...(tracking && { tracking: await describeConfigFile(argv.trackingConfig || TRACKING_CONFIG_PATH, { campaign: tracking.campaign }) }),
+      ...(suppression && {
+        suppression_lists: await Promise.all(suppression.sources.map(source => describeConfigFile(source.path, { entries: source.entries })))
+      })
+    };
+    
+    // Record progress so an interrupted run can be resumed without redoing finished prospects
+    let checkpoint = null;
+    if (!argv.dryRun) {
+      if (!await fs.pathExists(argv.input)) {
+        throw new Error(`Input file not found: ${argv.input}`);
+      }
+      
+      checkpoint = await openCheckpoint(checkpointPath, {
+        input: argv.input,
+        input_hash: manifest.input.sha256,
+        options_hash: hashRunOptions({ ...argv, output: outputPath, outputFormat, detailedJson: detailedPath, columnMap, outputColumns })
+      }, { resume: argv.resume });
+      activeCheckpoint = checkpoint;
+      
+      if (checkpoint.resumed) {
+        await restoreOutput(checkpoint);
+        console.log(chalk.blue(`   ♻️  Resuming from ${checkpointPath}: ${checkpoint.exported.size} prospects already exported`));
+      }
+    }
+    
+    // The campaign file, plus the detailed JSON with every prospect field when requested
+    const openWriters = async () => {
+      const append = checkpoint.exported.size > 0;
+      const writers = [await createCampaignWriter(outputPath, {
+        append,
+        columns: outputColumns,
+        format: outputFormat,
+        phoneFormat: preset?.phone_format,
+        nameFields: preset?.name_fields
+      })];
+      if (detailedPath) {
+        writers.push(await createCampaignWriter(detailedPath, { append, columns: null, format: 'json' }));
+      }
+      return writers;
+    };
+    
+    // Append a processed batch to the outputs and mark its prospects as done
+    const exportBatch = (writers, processed) => timeStage(stats, 'export', async () => {
+      for (const writer of writers) {
+        await writer.write(processed);
+      }
+      exported += processed.length;
+      // A workbook is only written when the run finishes, so its prospects can't be skipped on resume
+      if (writers.every(writer => writer.resumable)) {
+        const outputSizes = {};
+        for (const writer of writers) {
+          outputSizes[writer.path] = (await fs.stat(writer.path)).size;
+        }
+        recordExported(checkpoint, processed, outputSizes);
+      }
+      await flushCheckpoint(checkpoint);
+    });
+    
+    const closeWriters = (writers) => timeStage(stats, 'export', () => Promise.all(writers.map(writer => writer.close())));
+    
+    if (!Number.isInteger(argv.shortenBatchSize) || argv.shortenBatchSize < 1) {
+      throw new Error(`Invalid --shorten-batch-size: ${argv.shortenBatchSize}. Must be a positive integer`);
+    }
+    if (!Number.isInteger(argv.shortenConcurrency) || argv.shortenConcurrency < 1) {
+      throw new Error(`Invalid --shorten-concurrency: ${argv.shortenConcurrency}. Must be a positive integer`);
+    }
+    const uploadOptions = { batchSize: argv.shortenBatchSize, concurrency: argv.shortenConcurrency };
+    configuredShortener = argv.skipShortener
+      ? createShortener('none')
+      : createShortenerFromConfig(await loadShortenerConfig(argv.shortenerConfig), { adapter: argv.shortener, url: argv.shortenerUrl });
+    // Original URLs are only worth flagging when the links were meant to be shortened
+    const linter = createMessageLinter(lintRules, { expectShortLinks: configuredShortener.name !== 'none' });
+    const linkCache = argv.cache && !argv.dryRun ? await loadLinkCache(argv.cacheFile) : null;
+    const previewProspects = [];
+    let prospects = [];
+    
+    if (argv.stream) {
+      // Streaming mode: each batch goes through the whole pipeline and is appended to the output
+      // before the next one is read, so memory stays bounded by --batch-size
+      if (!Number.isInteger(argv.batchSize) || argv.batchSize < 1) {
+        throw new Error(`Invalid --batch-size: ${argv.batchSize}. Must be a positive integer`);
+      }
+      console.log(chalk.blue(`   Streaming in batches of ${argv.batchSize} prospects`));
+      
+      const shortener = argv.dryRun ? configuredShortener : await resolveShortener(configuredShortener);
+      usedShortener = argv.dryRun ? null : shortener.name;
+      const writers = argv.dryRun ? null : await openWriters();
+      if (outputFormat === 'xlsx' && !argv.dryRun) {
+        console.log(chalk.yellow('   ⚠️  XLSX output is kept in memory until the run finishes'));
+      }
+      if (argv.report && !argv.dryRun) {
+        console.log(chalk.yellow('   ⚠️  --report keeps every message in memory until the run finishes'));
+      }
+      summary = { total: 0, fallback: 0, resumed: 0, by_business_type: {}, by_city: {} };
+      let batch = [];
+      // Reading is interleaved with the batches, so its time is what the batches didn't take
+      const readStarted = Date.now();
+      let batchTime = 0;
+      
+      const flushBatch = async () => {
+        const current = batch;
+        batch = [];
+        if (current.length === 0 || argv.dryRun) {
+          return;
+        }
+        
+        const batchStarted = Date.now();
+        console.log(chalk.bold.blue(`\n📦 Batch ${stats.batches + 1} (${current.length} prospects)`));
+        const processed = await processBatch(current, { shortener, stats, onError: rejectProspect, logSteps: false, checkpoint, uploadOptions, linkCache, tracking, tokenSecret, linter });
+        await exportBatch(writers, processed);
+        addReportRows(processed);
+        previewProspects.push(...processed.slice(0, Math.max(0, argv.preview - previewProspects.length)));
+        batchTime += Date.now() - batchStarted;
+      };
+      
+      const stream = streamProspects(argv.input, argv.businessType, {
+        ...parseOptions,
+        onDuplicate: (duplicate) => duplicates.push(duplicate)
+      });
+      
+      for await (const prospect of stream) {
+        summary.total++;
+        summary.fallback += prospect.used_fallback_type ? 1 : 0;
+        summary.by_business_type[prospect.business_type] = (summary.by_business_type[prospect.business_type] || 0) + 1;
+        summary.by_city[prospect.city] = (summary.by_city[prospect.city] || 0) + 1;
+        
+        if (checkpoint && isExported(checkpoint, prospect.id)) {
+          summary.resumed++;
+          continue;
+        }
+        
+        batch.push(prospect);
+        if (batch.length >= argv.batchSize) {
+          await flushBatch();
+        }
+      }
+      await flushBatch();
+      stats.timings.parse += Date.now() - readStarted - batchTime;
+      if (writers) {
+        await closeWriters(writers);
+      }
+    } else {
+      prospects = await timeStage(stats, 'parse', () => parseProspectsCSV(argv.input, argv.businessType, parseOptions));
+      duplicates = getDuplicatesReport(prospects);
+      summary = {
+        ...getProspectsSummary(prospects),
+        fallback: prospects.filter(p => p.used_fallback_type).length,
+        resumed: checkpoint ? prospects.filter(p => isExported(checkpoint, p.id)).length : 0
+      };
+    }
+    
+    // Report rows collapsed into other prospects
+    if (duplicates.length > 0) {
+      await exportDuplicatesReport(duplicates, duplicatesPath);
+    }
+    
+    // Report rows left out for being on a do-not-contact list
+    await flushSuppressed();
     
     // Show how many used fallback business type
-    const fallbackCount = prospects.filter(p => p.used_fallback_type).length;
-    if (fallbackCount > 0) {
-      console.log(chalk.blue(`   📋 ${fallbackCount} prospects used fallback business type: ${argv.businessType}`));
+    if (summary.fallback > 0) {
+      console.log(chalk.blue(`   📋 ${summary.fallback} prospects used fallback business type: ${argv.businessType}`));
     }
     
     // Show prospects summary
-    const summary = getProspectsSummary(prospects);
     console.log(chalk.blue('\n📊 Prospects Summary:'));
     console.log(chalk.blue(`   Total prospects: ${summary.total}`));
     Object.entries(summary.by_business_type).forEach(([type, count]) => {
       console.log(chalk.blue(`   ${type}: ${count} prospects`));
     });
+    if (suppressed.length > 0) {
+      const suppression = getSuppressionSummary(suppressed);
+      console.log(chalk.yellow(`   Suppressed: ${suppressed.length} prospects`));
+      Object.entries(suppression.by).forEach(([by, count]) => {
+        console.log(chalk.yellow(`      by ${by}: ${count}`));
+      });
+      Object.entries(suppression.lists).forEach(([list, count]) => {
+        console.log(chalk.yellow(`      from ${list}: ${count}`));
+      });
+    }
     
     // If dry run, stop here
     if (argv.dryRun) {
+      await flushRejects();
+      await saveManifest('dry_run');
       console.log(chalk.green('\n✅ Dry run completed successfully!'));
+      if (argv.report) {
+        console.log(chalk.gray('   No report for a dry run: there are no messages yet'));
+      }
       console.log(chalk.gray('   Use --no-dry-run to process the full pipeline'));
       return;
     }
     
-    // Step 2: Generate demo URLs
-    console.log(chalk.bold.blue('\n🚀 Step 2: Generating demo URLs...'));
-    const urlMappings = await generateDemoUrls(prospects);
-    
-    // Validate URL generation
-    const urlValidation = validateUrlGeneration(urlMappings);
-    console.log(chalk.blue(`   Generated ${urlValidation.valid_urls} valid URLs for ${urlValidation.prospects_with_urls} prospects`));
-    
-    if (urlValidation.invalid_urls > 0) {
-      console.log(chalk.yellow(`   ⚠️  ${urlValidation.invalid_urls} invalid URLs found`));
-    }
-    
-    // Group URLs by prospect
-    const groupedUrls = groupUrlsByProspect(urlMappings);
-    
-    // Step 3: Shorten URLs (unless skipped)
-    let shortenedResults;
-    if (argv.skipShortener) {
-      console.log(chalk.yellow('\n⏭️  Skipping URL shortener (using original URLs)...'));
-      shortenedResults = createFallbackResults(urlMappings);
-    } else {
-      console.log(chalk.bold.blue('\n🚀 Step 3: Shortening URLs...'));
+    if (!argv.stream) {
+      // Steps 2-4: URLs, shortening and messages for the whole list at once
+      const remaining = prospects.filter(prospect => !isExported(checkpoint, prospect.id));
+      const shortener = remaining.length > 0 ? await resolveShortener(configuredShortener) : configuredShortener;
+      usedShortener = remaining.length > 0 ? shortener.name : null;
+      const prospectsWithUrls = remaining.length > 0
+        ? await processBatch(remaining, { shortener, stats, onError: rejectProspect, checkpoint, uploadOptions, linkCache, tracking, tokenSecret, linter })
+        : [];
       
-      // Test connection first
-      const connectionOk = await testShortenerConnection();
-      if (!connectionOk) {
-        console.log(chalk.yellow('⚠️  Shortener connection failed, using original URLs...'));
-        shortenedResults = createFallbackResults(urlMappings);
-      } else {
-        // Estimate processing time
-        const timeEstimate = estimateProcessingTime(urlMappings.length);
-        console.log(chalk.gray(`   Estimated processing time: ${timeEstimate.realistic}s (optimistic: ${timeEstimate.optimistic}s)`));
-        
-        try {
-          shortenedResults = await bulkUploadToShortener(urlMappings);
-        } catch (error) {
-          console.log(chalk.yellow(`⚠️  Bulk upload failed (${error.message}), using original URLs...`));
-          shortenedResults = createFallbackResults(urlMappings);
-        }
-      }
+      // Step 5: Export the campaign file
+      console.log(chalk.bold.blue(`\n🚀 Step 5: Exporting campaign ${outputFormat.toUpperCase()}...`));
+      const writers = await openWriters();
+      await exportBatch(writers, prospectsWithUrls);
+      addReportRows(prospectsWithUrls);
+      await closeWriters(writers);
+      console.log(chalk.green(`   ✅ Exported ${writers[0].count()} records to ${outputPath}`));
+      previewProspects.push(...prospectsWithUrls.slice(0, argv.preview));
+    } else {
+      console.log(chalk.green(`\n   ✅ Exported ${stats.message_statistics.total_prospects} records to ${outputPath} in ${stats.batches} batches`));
     }
+    await flushRejects();
+    await completeCheckpoint(checkpoint);
+    activeCheckpoint = null;
     
-    // Validate shortening results
-    const shortenValidation = validateBulkUploadResults(shortenedResults, urlMappings);
-    console.log(chalk.blue(`   Processed ${shortenValidation.successful} URLs successfully`));
-    if (shortenValidation.failed > 0) {
-      console.log(chalk.yellow(`   ⚠️  ${shortenValidation.failed} URLs failed to shorten`));
+    if (argv.report) {
+      await writeCampaignReport(argv.report, {
+        input: argv.input,
+        output: outputPath,
+        summary,
+        stats: finalizeRunStats(stats),
+        shortener: getShortenerMode(configuredShortener.name, usedShortener, stats.shortening),
+        rejections,
+        duplicates: duplicates.length,
+        suppressed: suppressed.length,
+        rows: reportRows
+      });
     }
-    
-    // Update grouped URLs with short URLs
-    const updatedGroupedUrls = updateWithShortUrls(groupedUrls, shortenedResults);
-    
-    // Step 4: Generate WhatsApp messages
-    console.log(chalk.bold.blue('\n🚀 Step 4: Generating WhatsApp messages...'));
-    const prospectsWithMessages = await generateWhatsAppMessages(prospects, updatedGroupedUrls);
-    
-    // Step 4.5: Add WhatsApp URLs with proper encoding
-    console.log(chalk.blue('🔗 Adding WhatsApp URLs with proper line break encoding...'));
-    const prospectsWithUrls = addWhatsAppUrls(prospectsWithMessages);
+    await saveManifest('completed');
     
     // Validate messages
-    const messageValidation = validateMessages(prospectsWithUrls);
+    const { message_validation: messageValidation, message_statistics: messageStats } = finalizeRunStats(stats);
     console.log(chalk.blue(`   Generated ${messageValidation.valid_messages} valid messages`));
     console.log(chalk.blue(`   Average message length: ${messageValidation.average_length} characters`));
     
@@ -166,25 +853,47 @@ async function main() {
       console.log(chalk.yellow(`   ⚠️  ${messageValidation.messages_with_errors} messages had errors`));
     }
     
+    const languages = Object.entries(messageValidation.language_distribution);
+    if (languages.length > 1 || languages.some(([language]) => language !== templates.language)) {
+      console.log(chalk.blue(`   Languages: ${languages.map(([language, count]) => `${language} ${count}`).join(', ')}`));
+    }
+    
+    const languageFallbacks = messageValidation.language_fallbacks;
+    if (languageFallbacks.messages > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${languageFallbacks.messages} messages fell back for missing translations:`));
+      Object.entries(languageFallbacks.reasons).forEach(([reason, count]) => {
+        console.log(chalk.yellow(`      ${reason}: ${count}`));
+      });
+    }
+    
+    const lint = stats.message_lint;
+    if (lint.warnings > 0 || lint.rejected > 0) {
+      console.log(chalk.yellow(`   ⚠️  Message lint: ${lint.warnings} warnings, ${lint.rejected} messages rejected`));
+      Object.entries(lint.by_rule).forEach(([rule, count]) => {
+        console.log(chalk.yellow(`      ${rule} (${lintRules[rule].severity}): ${count}`));
+      });
+    }
+    
     // Show message statistics
-    const messageStats = getMessageStatistics(prospectsWithUrls);
     console.log(chalk.blue('\n📊 Message Statistics:'));
     console.log(chalk.blue(`   Total characters: ${messageStats.total_characters.toLocaleString()}`));
     console.log(chalk.blue(`   Total demo links: ${messageStats.total_demo_links}`));
     console.log(chalk.blue(`   Longest message: ${messageStats.longest_message.length} chars (${messageStats.longest_message.company})`));
-    
-    // Step 5: Export to CSV
-    console.log(chalk.bold.blue('\n🚀 Step 5: Exporting campaign CSV...'));
-    await exportToCsv(prospectsWithUrls, argv.output);
+    Object.entries(messageStats.variant_breakdown).forEach(([variant, count]) => {
+      console.log(chalk.blue(`   Variant ${variant}: ${count} messages`));
+    });
     
     // Show preview if requested
     if (argv.preview > 0) {
       console.log(chalk.bold.blue(`\n👀 Preview of first ${argv.preview} messages:`));
-      const previews = generateMessagePreviews(prospectsWithUrls, argv.preview);
+      const previews = generateMessagePreviews(previewProspects, argv.preview);
       
       previews.forEach((preview, index) => {
         console.log(chalk.green(`\n${index + 1}. ${preview.company} (${preview.business_type})`));
-        console.log(chalk.gray(`   Message length: ${preview.message_length} chars, URLs: ${preview.demo_urls_count}`));
+        console.log(chalk.gray(`   Message length: ${preview.message_length} chars (WhatsApp body: ${preview.body_length}), URLs: ${preview.demo_urls_count}`));
+        if (preview.lint_warnings.length > 0) {
+          console.log(chalk.yellow(`   Lint warnings: ${preview.lint_warnings.join(', ')}`));
+        }
         console.log(chalk.white(`   "${preview.message_preview}"`));
       });
     }
@@ -192,22 +901,56 @@ async function main() {
     // Final summary
     const totalTime = Math.round((Date.now() - startTime) / 1000);
     console.log(chalk.bold.green('\n🎉 Processing completed successfully!'));
-    console.log(chalk.green(`   Processed ${prospects.length} prospects in ${totalTime}s`));
+    console.log(chalk.green(`   Processed ${summary.total} prospects in ${totalTime}s`));
     console.log(chalk.green(`   Generated ${messageStats.total_demo_links} demo links`));
     console.log(chalk.green(`   Created ${messageValidation.valid_messages} WhatsApp messages`));
-    console.log(chalk.green(`   Output saved to: ${argv.output}`));
+    console.log(chalk.green(`   Output saved to: ${outputPath}`));
+    if (detailedPath) {
+      console.log(chalk.green(`   Detailed records: ${detailedPath}`));
+    }
+    if (argv.report) {
+      console.log(chalk.green(`   Report: ${argv.report}`));
+    }
+    console.log(chalk.green(`   Run manifest: ${manifestPath}`));
+    if (summary.resumed > 0) {
+      console.log(chalk.green(`   Skipped ${summary.resumed} prospects exported by the interrupted run`));
+    }
+    if (stats.shortening.cached > 0) {
+      console.log(chalk.green(`   Reused ${stats.shortening.cached} short URLs from ${argv.cacheFile}`));
+    }
+    if (rejections.length > 0) {
+      console.log(chalk.yellow(`   Rejected ${rejections.length} rows: ${rejectsPath}`));
+    }
+    if (suppressed.length > 0) {
+      console.log(chalk.yellow(`   Suppressed ${suppressed.length} rows: ${suppressedPath}`));
+    }
     
     // Show next steps
     console.log(chalk.bold.blue('\\n📋 Next Steps:'));
-    console.log(chalk.blue('   1. Review the generated CSV file'));
+    console.log(chalk.blue(argv.report ? `   1. Review ${argv.report} and the generated campaign file` : '   1. Review the generated campaign file'));
     console.log(chalk.blue('   2. Test a few demo links to ensure they work'));
-    console.log(chalk.blue('   3. Import to your WhatsApp Business API or CRM'));
+    console.log(chalk.blue(preset
+      ? `   3. Import ${outputPath} into ${preset.label}`
+      : `   3. Send them with "send -i ${outputPath}", or import into a CRM (--export-preset formats it for HubSpot, Pipedrive or Salesforce)`));
     console.log(chalk.blue('   4. Start your outreach campaign!'));
     
   } catch (error) {
     console.error(chalk.red('\\n❌ Processing failed:'));
     console.error(chalk.red(`   ${error.message}`));
     
+    // Keep whatever was rejected so far so the rows aren't lost
+    await flushRejects().catch(() => {});
+    await flushSuppressed().catch(() => {});
+    if (manifest) {
+      await saveManifest('failed', error).catch(() => {});
+      console.error(chalk.yellow(`   Run manifest: ${manifestPath}`));
+    }
+    
+    if (activeCheckpoint) {
+      await flushCheckpoint(activeCheckpoint).catch(() => {});
+      console.error(chalk.yellow(`   Progress saved to ${activeCheckpoint.path}, rerun with --resume to continue`));
+    }
+    
     if (error.stack && process.env.DEBUG) {
       console.error(chalk.gray('\\nStack trace:'));
       console.error(chalk.gray(error.stack));
@@ -218,47 +961,253 @@ async function main() {
 }
 
 /**
- * Export prospects with messages to CSV
- * @param {Array} prospects - Prospects with generated messages
- * @param {string} outputPath - Output CSV file path
+ * Run the redirect server for the local shortener's link store
+ * @param {Object} argv - Parsed CLI options
+ */
+async function runServeLinks(argv) {
+  try {
+    await serveLinks({
+      store: argv.store,
+      port: argv.port,
+      host: argv.host,
+      log: argv.log || companionPath(argv.store, 'hits', '.ndjson')
+    });
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Could not start link server: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the personalization token verification endpoint
+ * @param {Object} argv - Parsed CLI options
+ */
+async function runServeTokens(argv) {
+  try {
+    await serveTokens({
+      secret: getTokenSecret(),
+      port: argv.port,
+      host: argv.host,
+      allowOrigins: argv.allowOrigin
+    });
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Could not start token server: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Send the messages of a campaign file through the WhatsApp Cloud API
+ * @param {Object} argv - Parsed CLI options
+ */
+async function runSend(argv) {
+  try {
+    const config = await loadWhatsAppConfig(argv.whatsappConfig);
+    const settings = {
+      ...config,
+      ...(argv.baseUrl && { base_url: argv.baseUrl }),
+      messages_per_second: argv.rate ?? config.messages_per_second,
+      burst: argv.burst ?? argv.rate ?? config.burst,
+      concurrency: argv.concurrency ?? config.concurrency
+    };
+    if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${settings.concurrency}. Must be a positive integer`);
+    }
+    if (argv.limit !== undefined && (!Number.isInteger(argv.limit) || argv.limit < 0)) {
+      throw new Error(`Invalid --limit: ${argv.limit}. Must be a whole number`);
+    }
+
+    const bucket = createTokenBucket({ rate: settings.messages_per_second, burst: settings.burst });
+    const client = argv.dryRun ? null : createWhatsAppClient(settings);
+    const logPath = argv.log || companionPath(argv.input, 'sends', '.ndjson');
+
+    console.log(chalk.bold.blue(`\n📨 ${argv.dryRun ? 'Checking' : 'Sending'} messages from ${argv.input}`));
+    if (client) {
+      console.log(chalk.blue(`   Endpoint: ${client.url}`));
+    }
+    console.log(chalk.blue(`   Pace: ${settings.messages_per_second}/s (bursts of ${settings.burst}), ${settings.concurrency} at a time`));
+    const suppression = await loadSuppression(argv.suppress, argv.defaultCountry);
+
+    const summary = await sendCampaignMessages(readCampaignMessages(argv.input, { format: argv.inputFormat, trustXlsx: argv.trustXlsx }), {
+      client,
+      bucket,
+      logPath,
+      dryRun: argv.dryRun,
+      concurrency: settings.concurrency,
+      limit: argv.limit,
+      maxRetries: settings.max_retries,
+      retryDelay: settings.retry_delay,
+      suppression,
+      onResult: (result) => {
+        if (result.status === 'sent') {
+          console.log(chalk.green(`   ✅ ${result.phone} ${result.message_id}`));
+        } else if (result.status === 'failed' || result.status === 'skipped' || result.status === 'suppressed') {
+          console.log(chalk.yellow(`   ⚠️  Row ${result.row_number} ${result.status}: ${result.error}`));
+        }
+      }
+    });
+
+    console.log(chalk.bold.green(`\n${argv.dryRun ? '✅ Dry run completed' : '🎉 Sending completed'}`));
+    if (argv.dryRun) {
+      console.log(chalk.green(`   Would send: ${summary.would_send}`));
+    } else {
+      console.log(chalk.green(`   Sent: ${summary.sent}`));
+      console.log(chalk[summary.failed > 0 ? 'yellow' : 'green'](`   Failed: ${summary.failed} (retried by the next run)`));
+    }
+    console.log(chalk.blue(`   Already sent by an earlier run: ${summary.already_sent}`));
+    if (summary.duplicates > 0) {
+      console.log(chalk.blue(`   Duplicate numbers in the file: ${summary.duplicates}`));
+    }
+    if (summary.skipped > 0) {
+      console.log(chalk.yellow(`   Skipped rows without a usable message: ${summary.skipped}`));
+    }
+    if (summary.suppressed > 0) {
+      console.log(chalk.yellow(`   Suppressed (do-not-contact lists): ${summary.suppressed}`));
+    }
+    if (summary.deferred > 0) {
+      console.log(chalk.blue(`   Left for the next run (--limit): ${summary.deferred}`));
+    }
+    if (!argv.dryRun) {
+      console.log(chalk.green(`   Send log: ${logPath}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Sending failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the mock WhatsApp Cloud API server
+ * @param {Object} argv - Parsed CLI options
+ */
+async function runWhatsAppMock(argv) {
+  try {
+    await serveWhatsAppMock({
+      port: argv.port,
+      host: argv.host,
+      rejectNumbers: (argv.reject || '').split(',').map(number => number.replace(/\D/g, '')).filter(Boolean),
+      rateLimitEvery: argv.rateLimitEvery
+    });
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Could not start the mock server: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print what the short-link cache holds
+ * @param {Object} argv - Parsed CLI options
  */
-async function exportToCsv(prospects, outputPath) {
-  // Ensure output directory exists
-  await fs.ensureDir(join(outputPath, '..'));
+async function runCacheInspect(argv) {
+  try {
+    const cache = await loadLinkCache(argv.cacheFile);
+    const namespaces = summarizeLinkCache(cache);
+
+    console.log(chalk.bold.blue(`\n💾 Short-link cache: ${argv.cacheFile}`));
+    if (namespaces.length === 0) {
+      console.log(chalk.gray('   The cache is empty'));
+    }
+
+    namespaces.forEach(namespace => {
+      console.log(chalk.blue(`\n   ${namespace.namespace}`));
+      console.log(chalk.blue(`      Entries: ${namespace.entries}`));
+      console.log(chalk.blue(`      Expired: ${namespace.expired}`));
+      console.log(chalk.blue(`      Refreshed on next use (expiring within a day): ${namespace.expiring_soon}`));
+      if (namespace.entries > 0) {
+        console.log(chalk.gray(`      Cached between ${new Date(namespace.oldest_cached_at).toISOString()} and ${new Date(namespace.newest_cached_at).toISOString()}`));
+      }
+    });
+
+    if (argv.search) {
+      const matches = searchLinkCache(cache, argv.search, argv.limit);
+      console.log(chalk.bold.blue(`\n🔍 ${matches.length} entries matching "${argv.search}"`));
+      matches.forEach(match => {
+        const expires = match.expires_at ? new Date(match.expires_at).toISOString() : 'never';
+        console.log(chalk.white(`   ${match.short_url} → ${match.original_url}`));
+        console.log(chalk.gray(`      ${match.namespace}, expires ${expires}`));
+      });
+    }
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Could not read the short-link cache: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Remove expired (and optionally old) entries from the short-link cache
+ * @param {Object} argv - Parsed CLI options
+ */
+async function runCachePrune(argv) {
+  try {
+    if (argv.olderThan !== undefined && !(argv.olderThan >= 0)) {
+      throw new Error(`Invalid --older-than: ${argv.olderThan}. Must be a number of days`);
+    }
+
+    const cache = await loadLinkCache(argv.cacheFile);
+    const removed = pruneLinkCache(cache, { all: argv.all, olderThanDays: argv.olderThan, namespace: argv.namespace });
+    if (removed > 0) {
+      await saveLinkCache(cache);
+    }
+
+    const remaining = summarizeLinkCache(cache).reduce((total, namespace) => total + namespace.entries, 0);
+    console.log(chalk.green(`\n✅ Removed ${removed} entries from ${argv.cacheFile} (${remaining} left)`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Could not prune the short-link cache: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Export the duplicates report to CSV
+ * @param {Array} duplicates - Entries from getDuplicatesReport
+ * @param {string} outputPath - Report CSV file path
+ */
+async function exportDuplicatesReport(duplicates, outputPath) {
+  await fs.ensureDir(dirname(outputPath));
   
-  // Define CSV headers
   const csvWriter = createObjectCsvWriter({
     path: outputPath,
-    header: [
-      { id: 'company', title: 'company' },
-      { id: 'city', title: 'city' },
-      { id: 'phone', title: 'phone' },
-      { id: 'business_type', title: 'business_type' },
-      { id: 'whatsapp_url', title: 'whatsapp_url' }
-    ]
+    header: ['prospect_id', 'kept_row', 'collapsed_row', 'match', 'company', 'phone']
+      .map(id => ({ id, title: id }))
   });
   
-  // Prepare data for CSV
-  const csvData = prospects.map(prospect => ({
-    company: prospect.company,
-    city: prospect.city,
-    phone: prospect.phone,
-    business_type: prospect.business_type,
-    whatsapp_url: prospect.whatsapp_url
-  }));
+  await csvWriter.writeRecords(duplicates);
   
-  // Write CSV file
-  await csvWriter.writeRecords(csvData);
+  console.log(chalk.yellow(`   📋 ${duplicates.length} duplicate rows listed in ${outputPath}`));
+}
+
+/**
+ * Load the --suppress lists and report what they hold
+ * @param {Array<string>} paths - Suppression list files (optional)
+ * @param {string} defaultCountry - Country for numbers without a country code
+ * @returns {Promise<Object|null>} Lists from loadSuppressionLists, or null without --suppress
+ */
+async function loadSuppression(paths, defaultCountry) {
+  if (!paths || paths.length === 0) {
+    return null;
+  }
   
-  console.log(chalk.green(`   ✅ Exported ${csvData.length} records to ${outputPath}`));
+  const lists = await loadSuppressionLists(paths, { defaultCountry });
+  lists.sources.forEach(source => {
+    console.log(chalk.blue(`   🚫 Suppression list ${source.path}: ${source.entries} entries`));
+    if (source.invalid.length > 0) {
+      console.log(chalk.yellow(`   ⚠️  Ignored ${source.invalid.length} unusable entries in ${source.name}: ${source.invalid.slice(0, 5).join(', ')}${source.invalid.length > 5 ? ', ...' : ''}`));
+    }
+  });
   
-  // Clean up any existing detailed JSON files
-  const jsonOutputPath = outputPath.replace('.csv', '-detailed.json');
-  try {
-    await fs.remove(jsonOutputPath);
-  } catch (error) {
-    // File doesn't exist, no need to remove
-  }
+  return lists;
+}
+
+/**
+ * Build a companion file path next to the output file
+ * @param {string} outputPath - Main output file path
+ * @param {string} suffix - Suffix appended to the output file name
+ * @param {string} extension - Extension of the companion file
+ * @returns {string} e.g. output/campaign-ready-duplicates.csv
+ */
+function companionPath(outputPath, suffix, extension = '.csv') {
+  const name = basename(outputPath, extname(outputPath));
+  return join(dirname(outputPath), `${name}-${suffix}${extension}`);
 }
 
 /**
@@ -267,15 +1216,27 @@ async function exportToCsv(prospects, outputPath) {
 function setupSignalHandlers() {
   process.on('SIGINT', () => {
     console.log(chalk.yellow('\\n⚠️  Received SIGINT, shutting down gracefully...'));
+    saveCheckpointOnExit();
     process.exit(0);
   });
   
   process.on('SIGTERM', () => {
     console.log(chalk.yellow('\\n⚠️  Received SIGTERM, shutting down gracefully...'));
+    saveCheckpointOnExit();
     process.exit(0);
   });
 }
 
+/**
+ * Write the pending checkpoint records before the process exits
+ */
+function saveCheckpointOnExit() {
+  if (activeCheckpoint) {
+    flushCheckpointSync(activeCheckpoint);
+    console.log(chalk.yellow(`   Progress saved to ${activeCheckpoint.path}, rerun with --resume to continue`));
+  }
+}
+
 // Setup signal handlers and run main function
 setupSignalHandlers();
 
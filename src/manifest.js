@@ -0,0 +1,183 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { hashFile } from './checkpoint.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MANIFEST_VERSION = 1;
+
+// yargs keys that aren't options of the run
+const INTERNAL_ARGS = ['_', '$0'];
+
+/**
+ * Start the manifest of a campaign run
+ * The manifest records what produced an output file: the input and config files (by hash), the resolved
+ * options, and per stage counts, timings and validation results, so a campaign can be audited and re-run.
+ * @param {Object} run - Run description
+ * @param {string} run.input - Input file path
+ * @param {Object} run.options - Resolved run options (see getManifestOptions)
+ * @returns {Promise<Object>} Manifest with status "running"
+ */
+export async function createRunManifest({ input, options }) {
+  const pkg = await fs.readJson(join(__dirname, '..', 'package.json'));
+
+  return {
+    manifest_version: MANIFEST_VERSION,
+    tool: { name: pkg.name, version: pkg.version, node: process.version },
+    status: 'running',
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    input: {
+      path: input,
+      sha256: await fs.pathExists(input) ? await hashFile(input) : null
+    },
+    options,
+    configs: {},
+    outputs: {},
+    shortener: null,
+    stages: {},
+    validation: {},
+    error: null
+  };
+}
+
+/**
+ * Pick the run options from parsed CLI arguments
+ * Aliases and the dashed duplicates yargs adds are dropped; resolved values (output path, column map, ...)
+ * override what was typed.
+ * @param {Object} argv - Parsed CLI options
+ * @param {Object} resolved - Values computed from the options
+ * @returns {Object} Options sorted by name
+ */
+export function getManifestOptions(argv, resolved = {}) {
+  const options = { ...argv, ...resolved };
+  return Object.fromEntries(Object.keys(options)
+    .filter(name => !INTERNAL_ARGS.includes(name) && !name.includes('-') && name.length > 1 && options[name] !== undefined)
+    .sort()
+    .map(name => [name, options[name]]));
+}
+
+/**
+ * Describe a config file by path and content hash
+ * @param {string} path - Config file path
+ * @param {Object} details - Extra fields to record (e.g. the template language)
+ * @returns {Promise<Object>} { path, sha256, ... }, sha256 null when the file doesn't exist
+ */
+export async function describeConfigFile(path, details = {}) {
+  return {
+    path,
+    sha256: await fs.pathExists(path) ? await hashFile(path) : null,
+    ...details
+  };
+}
+
+/**
+ * Work out how URLs were shortened in a run
+ * @param {string} configured - Name of the configured shortener adapter
+ * @param {string|null} resolved - Adapter actually used (null when no URL needed shortening)
+ * @param {Object} shortening - stats.shortening of the run
+ * @returns {Object} { adapter, mode, fallback_batches, fallback_urls } where mode is "skipped", "fallback"
+ *   (unreachable shortener or a failed upload; the affected links are original URLs) or the adapter name
+ */
+export function getShortenerMode(configured, resolved, shortening) {
+  let mode = configured;
+  if (configured === 'none') {
+    mode = 'skipped';
+  } else if (resolved === 'none' || shortening.fallback_batches > 0) {
+    mode = 'fallback';
+  }
+
+  return {
+    adapter: configured,
+    mode,
+    fallback_batches: shortening.fallback_batches,
+    fallback_urls: configured === 'none' ? 0 : shortening.fallback_urls
+  };
+}
+
+/**
+ * Fill in the per stage counts, timings and validation results
+ * @param {Object} manifest - Manifest from createRunManifest
+ * @param {Object} stats - Run statistics (createRunStats, finalized)
+ * @param {Object} counts - Counts kept by the run
+ * @param {Object} counts.summary - Prospects summary (total, resumed)
+ * @param {Array} counts.rejections - Rejection records
+ * @param {number} counts.duplicates - Rows collapsed into other prospects
+ * @param {number} counts.suppressed - Rows on suppression lists
+ * @param {number} counts.exported - Records written to the output
+ */
+export function recordRunStages(manifest, stats, { summary, rejections, duplicates, suppressed, exported }) {
+  const rejected = (stage) => rejections.filter(rejection => rejection.stage === stage).length;
+  const { url_validation: urls, shortening, message_validation: messages, message_lint: lint, timings } = stats;
+
+  manifest.stages = {
+    parse: {
+      duration_ms: timings.parse,
+      prospects: summary?.total ?? 0,
+      rejected: rejected('parse'),
+      duplicates,
+      suppressed,
+      resumed: summary?.resumed ?? 0
+    },
+    demo_urls: {
+      duration_ms: timings.demo_urls,
+      batches: stats.batches,
+      urls: urls.total_urls,
+      valid: urls.valid_urls,
+      invalid: urls.invalid_urls,
+      rejected: rejected('demo_urls')
+    },
+    shortening: {
+      duration_ms: timings.shortening,
+      requested: shortening.total_requested,
+      shortened: shortening.successful - shortening.fallback_urls,
+      cached: shortening.cached,
+      fallback: shortening.fallback_urls,
+      failed: shortening.failed
+    },
+    messages: {
+      duration_ms: timings.messages,
+      messages: messages.total_messages,
+      valid: messages.valid_messages,
+      with_errors: messages.messages_with_errors,
+      rejected: rejected('whatsapp_message') + rejected('whatsapp_url') + rejected('message_lint'),
+      lint: {
+        checked: lint.checked,
+        warnings: lint.warnings,
+        rejected: lint.rejected,
+        errors: lint.errors
+      }
+    },
+    export: {
+      duration_ms: timings.export,
+      records: exported
+    }
+  };
+
+  manifest.validation = {
+    url_generation: urls,
+    shortening,
+    messages,
+    message_lint: lint
+  };
+}
+
+/**
+ * Close the manifest and write it
+ * @param {string} manifestPath - Manifest file path
+ * @param {Object} manifest - Manifest from createRunManifest
+ * @param {Object} outcome - { status: 'completed' | 'dry_run' | 'failed', error }
+ */
+export async function writeRunManifest(manifestPath, manifest, { status, error = null }) {
+  const finishedAt = new Date();
+  manifest.status = status;
+  manifest.error = error ? error.message : null;
+  manifest.finished_at = finishedAt.toISOString();
+  manifest.duration_ms = finishedAt - new Date(manifest.started_at);
+
+  await fs.ensureDir(dirname(manifestPath));
+  await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+}
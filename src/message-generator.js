@@ -1,23 +1,53 @@
 import fs from 'fs-extra';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import chalk from 'chalk';
+import { loadBusinessTypes } from './business-types.js';
+import { normalizePhoneNumber } from './phone-normalizer.js';
+import { compileTemplate } from './template-engine.js';
+import { resolveLanguage, getLanguageCandidates } from './languages.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const MESSAGE_TEMPLATES_PATH = join(__dirname, '..', 'config', 'message-templates.json');
+
+// Message sections in the order they are assembled; the demo links follow the demo section header
+const MESSAGE_SECTIONS = ['greeting', 'intro', 'demo_section_header', 'value_proposition', 'call_to_action', 'signature'];
+
+// Variables available to every section
+const MESSAGE_VARIABLES = ['company', 'city', 'phone', 'country', 'business_type', 'language', 'demo_count'];
+
+// Keys of a variant besides its sections
+const VARIANT_SETTINGS = ['weight', 'demo_link_format'];
+
+// Keys of a translation besides its sections
+const TRANSLATION_KEYS = ['demo_link_format', 'business_types', 'variants', 'partials'];
+
+// Fields of each demo link, for {#each demos} and demo_link_format
+const DEMO_FIELDS = ['display_name', 'short_url', 'original_url'];
+
+// Compiled templates, keyed by config path
+const templateCache = new Map();
+
 /**
  * Generate WhatsApp messages for all prospects with their demo links
  * @param {Array} prospects - Array of prospect objects
  * @param {Object} groupedUrls - Grouped URL mappings with short URLs
+ * @param {Object} options - Generation options
+ * @param {Function} options.onError - Called with (prospect, error) for failed prospects, which are then left out of the results
+ * @param {string} options.templatesPath - Message templates file (default: config/message-templates.json)
  * @returns {Promise<Array>} Array of prospects with generated messages
  */
-export async function generateWhatsAppMessages(prospects, groupedUrls) {
+export async function generateWhatsAppMessages(prospects, groupedUrls, options = {}) {
+  const { onError, templatesPath } = options;
+  
   console.log(chalk.blue('💬 Generating WhatsApp messages...'));
   
   // Load message templates
-  const templatePath = join(__dirname, '..', 'config', 'message-templates.json');
-  const templates = await fs.readJson(templatePath);
+  const templates = await loadMessageTemplates(templatesPath);
+  const businessTypes = await loadBusinessTypes();
   
   const results = [];
   let successCount = 0;
@@ -30,20 +60,32 @@ export async function generateWhatsAppMessages(prospects, groupedUrls) {
         throw new Error(`No URLs found for prospect ${prospect.id}`);
       }
       
-      const message = generateMessageForProspect(prospect, urlsForProspect.urls, templates);
+      const generated = generateMessageForProspect(prospect, urlsForProspect.urls, templates, businessTypes);
       
       results.push({
         ...prospect,
-        whatsapp_message: message,
-        demo_urls: urlsForProspect.urls.map(url => ({
-          display_name: url.display_name,
-          short_url: url.short_url
+        language: generated.language,
+        ...(generated.language_fallbacks.length > 0 && {
+          requested_language: prospect.language || templates.language,
+          language_fallbacks: generated.language_fallbacks
+        }),
+        whatsapp_message: generated.message,
+        demo_urls: generated.demos.map(demo => ({
+          display_name: demo.display_name,
+          short_url: demo.short_url,
+          original_url: demo.original_url
         }))
       });
       
       successCount++;
     } catch (error) {
       console.log(chalk.red(`❌ Error generating message for ${prospect.company}: ${error.message}`));
+      errorCount++;
+      
+      if (onError) {
+        onError(prospect, error);
+        continue;
+      }
       
       // Add prospect with error message
       results.push({
@@ -51,8 +93,6 @@ export async function generateWhatsAppMessages(prospects, groupedUrls) {
         whatsapp_message: `ERROR: Could not generate message - ${error.message}`,
         demo_urls: []
       });
-      
-      errorCount++;
     }
   }
   
@@ -64,62 +104,321 @@ export async function generateWhatsAppMessages(prospects, groupedUrls) {
   return results;
 }
 
+/**
+ * Load and compile the message templates, including each business type's message overrides,
+ * the A/B variants and the translations
+ * Any unknown variable, filter or partial fails here, before a single message is generated.
+ * @param {string} configPath - Path to message-templates.json
+ * @returns {Promise<Object>} { language, sections, demo_link, by_business_type, variants, translations: { language: template set }, extra_fields }
+ */
+export async function loadMessageTemplates(configPath = MESSAGE_TEMPLATES_PATH) {
+  if (templateCache.has(configPath)) {
+    return templateCache.get(configPath);
+  }
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Message templates not found: ${configPath}`);
+  }
+
+  const config = await fs.readJson(configPath);
+  if (!config.whatsapp || typeof config.whatsapp !== 'object') {
+    throw new Error(`Message templates must define a "whatsapp" section: ${configPath}`);
+  }
+
+  const language = resolveLanguage(config.language || 'en');
+  if (!language) {
+    throw new Error(`Invalid templates language: "${config.language}"`);
+  }
+
+  const businessTypes = await loadBusinessTypes();
+  const businessTypeMessages = Object.fromEntries(Object.entries(businessTypes).map(([type, entry]) => [type, entry.message]));
+
+  const templates = {
+    language,
+    ...compileTemplateSet({
+      sections: config.whatsapp,
+      business_types: businessTypeMessages,
+      variants: config.variants || {},
+      partials: config.partials || {}
+    }, 'whatsapp', '{display_name}: {short_url}'),
+    translations: {}
+  };
+
+  Object.entries(config.translations || {}).forEach(([tag, translation]) => {
+    const translationLanguage = resolveLanguage(tag);
+    if (!translationLanguage || translationLanguage !== tag.toLowerCase()) {
+      throw new Error(`Invalid translation language: "${tag}". Use a language code such as "es" or "es-mx"`);
+    }
+
+    const unknown = Object.keys(translation).filter(key => !TRANSLATION_KEYS.includes(key) && !MESSAGE_SECTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown key "${unknown[0]}" in translation "${tag}". Must be one of: ${[...MESSAGE_SECTIONS, ...TRANSLATION_KEYS].join(', ')}`);
+    }
+
+    const { business_types: translatedTypes = {}, variants: translatedVariants = {}, partials = {}, ...sections } = translation;
+    Object.keys(translatedTypes).forEach(type => {
+      if (!businessTypes[type]) {
+        throw new Error(`Translation "${tag}" overrides unknown business type "${type}"`);
+      }
+    });
+    Object.keys(translatedVariants).forEach(name => {
+      if (!templates.variants.some(variant => variant.name === name)) {
+        throw new Error(`Translation "${tag}" overrides unknown variant "${name}"`);
+      }
+    });
+
+    templates.translations[translationLanguage] = compileTemplateSet({
+      sections,
+      business_types: translatedTypes,
+      // Variant weights come from the base variants; a translation only rewords them
+      variants: Object.fromEntries(Object.entries(translatedVariants).map(([name, variant]) => [name, { ...variant, weight: 1 }])),
+      partials: { ...config.partials, ...partials }
+    }, `translations.${tag}`, '{display_name}: {short_url}');
+  });
+
+  templates.extra_fields = collectExtraFields(templates);
+
+  templateCache.set(configPath, templates);
+  return templates;
+}
+
+/**
+ * List the extra input columns ({extra.field}) any template refers to
+ */
+function collectExtraFields(templates) {
+  const fields = new Set();
+  const addSet = (templateSet) => {
+    const layers = [templateSet, ...Object.values(templateSet.by_business_type), ...templateSet.variants];
+    layers.forEach(layer => {
+      [...Object.values(layer.sections), layer.demo_link].filter(Boolean).forEach(template => {
+        template.references
+          .filter(reference => reference.startsWith('extra.'))
+          .forEach(reference => fields.add(reference.slice('extra.'.length)));
+      });
+    });
+  };
+
+  addSet(templates);
+  Object.values(templates.translations).forEach(addSet);
+  return [...fields];
+}
+
+/**
+ * Compile one language's sections with their business type and variant overrides
+ * @param {Object} source - { sections, business_types, variants, partials }
+ * @param {string} prefix - Template name prefix for error messages
+ * @param {string} defaultDemoLink - demo_link_format used when the sections don't set one
+ * @returns {Object} { sections, demo_link, by_business_type: { type: { sections, demo_link } }, variants: [{ name, weight, sections, demo_link }] }
+ */
+function compileTemplateSet(source, prefix, defaultDemoLink) {
+  const compileSections = (sections, sectionPrefix) => {
+    const compiled = {};
+    MESSAGE_SECTIONS.forEach(section => {
+      if (sections[section]) {
+        compiled[section] = compileTemplate(sections[section], {
+          name: `${sectionPrefix}.${section}`,
+          variables: MESSAGE_VARIABLES,
+          lists: { demos: DEMO_FIELDS },
+          partials: source.partials,
+          namespaces: ['extra']
+        });
+      }
+    });
+    return compiled;
+  };
+  const compileDemoLink = (demoLink, sectionPrefix) => demoLink ? compileTemplate(demoLink, {
+    name: `${sectionPrefix}.demo_link_format`,
+    variables: [...MESSAGE_VARIABLES, ...DEMO_FIELDS, 'index', 'first', 'last'],
+    partials: source.partials,
+    namespaces: ['extra']
+  }) : null;
+
+  const byBusinessType = {};
+  Object.entries(source.business_types).forEach(([type, message]) => {
+    byBusinessType[type] = {
+      sections: compileSections(message, `${type}.message`),
+      demo_link: compileDemoLink(message.demo_link_format, `${type}.message`)
+    };
+  });
+
+  return {
+    sections: compileSections(source.sections, prefix),
+    demo_link: compileDemoLink(source.sections.demo_link_format || defaultDemoLink, prefix),
+    by_business_type: byBusinessType,
+    variants: compileVariants(source.variants, compileSections, compileDemoLink)
+  };
+}
+
+/**
+ * Validate and compile the A/B variants of the templates config
+ * @param {Object} variants - { name: { weight, ...sections } }
+ * @param {Function} compileSections - Section compiler
+ * @param {Function} compileDemoLink - demo_link_format compiler
+ * @returns {Array} Variants in declaration order
+ */
+function compileVariants(variants, compileSections, compileDemoLink) {
+  return Object.entries(variants).map(([name, variant]) => {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw new Error(`Invalid variant name "${name}". Use letters, digits, "-" and "_"`);
+    }
+
+    const weight = variant.weight ?? 1;
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new Error(`Variant "${name}" needs a positive weight`);
+    }
+
+    const unknown = Object.keys(variant).filter(key => !VARIANT_SETTINGS.includes(key) && !MESSAGE_SECTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown section "${unknown[0]}" in variant "${name}". Must be one of: ${[...MESSAGE_SECTIONS, ...VARIANT_SETTINGS].join(', ')}`);
+    }
+
+    return {
+      name,
+      weight,
+      sections: compileSections(variant, `variants.${name}`),
+      demo_link: compileDemoLink(variant.demo_link_format, `variants.${name}`)
+    };
+  });
+}
+
+/**
+ * Pick a prospect's message variant from its phone number
+ * The phone hash maps to a point in [0, 1) that falls in one variant's share of the total weight,
+ * so a prospect keeps its variant across runs as long as the variants and weights stay the same.
+ * @param {Object} prospect - Prospect data
+ * @param {Object} templates - Compiled templates from loadMessageTemplates
+ * @returns {string|null} Variant name, or null when no variants are configured
+ */
+export function assignVariant(prospect, templates) {
+  const { variants } = templates;
+  if (variants.length === 0) {
+    return null;
+  }
+
+  const key = prospect.phone_e164 || prospect.phone.replace(/\D/g, '');
+  const point = parseInt(createHash('sha256').update(key).digest('hex').slice(0, 8), 16) / 0x100000000;
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (point < cumulative / totalWeight) {
+      return variant.name;
+    }
+  }
+
+  return variants[variants.length - 1].name;
+}
+
+/**
+ * Template layers that apply to a prospect in one template set, most specific first
+ */
+function getTemplateLayers(templateSet, prospect) {
+  return [
+    templateSet.variants.find(variant => variant.name === prospect.variant),
+    templateSet.by_business_type[prospect.business_type],
+    templateSet
+  ].filter(Boolean);
+}
+
+/**
+ * Choose the template set for a prospect's language
+ * A translation is only used when it covers every section the base message has for this prospect;
+ * otherwise the whole message falls back to the base language rather than mixing languages.
+ * @param {Object} prospect - Prospect data
+ * @param {Object} templates - Compiled templates from loadMessageTemplates
+ * @returns {Object} { language, templateSet, fallback } where fallback explains a fallback to the base language
+ */
+function selectTemplateSet(prospect, templates) {
+  const requested = prospect.language || templates.language;
+  const base = { language: templates.language, templateSet: templates, fallback: null };
+
+  for (const candidate of getLanguageCandidates(requested)) {
+    if (candidate === templates.language) {
+      return base;
+    }
+
+    const translation = templates.translations[candidate];
+    if (!translation) {
+      continue;
+    }
+
+    const baseLayers = getTemplateLayers(templates, prospect);
+    const translatedLayers = getTemplateLayers(translation, prospect);
+    const missing = MESSAGE_SECTIONS.filter(section =>
+      baseLayers.some(layer => layer.sections[section]) && !translatedLayers.some(layer => layer.sections[section])
+    );
+
+    if (missing.length === 0) {
+      return { language: candidate, templateSet: translation, fallback: null };
+    }
+    return { ...base, fallback: `no "${candidate}" translation of ${missing.join(', ')}` };
+  }
+
+  return { ...base, fallback: `no "${requested}" translation` };
+}
+
 /**
  * Generate WhatsApp message for a single prospect
  * @param {Object} prospect - Prospect data
  * @param {Array} urls - Array of demo URLs with short URLs
- * @param {Object} templates - Message templates
- * @returns {string} Generated WhatsApp message
+ * @param {Object} templates - Compiled templates from loadMessageTemplates
+ * @param {Object} businessTypes - Business type registry (localized demo labels)
+ * @returns {Object} { message, language, demos, language_fallbacks }
  */
-function generateMessageForProspect(prospect, urls, templates) {
-  const { company, city, business_type } = prospect;
+function generateMessageForProspect(prospect, urls, templates, businessTypes) {
+  const { company, city, phone, country, business_type } = prospect;
+  const { language, templateSet, fallback } = selectTemplateSet(prospect, templates);
+  const fallbacks = fallback ? [fallback] : [];
   
-  // Get base template
-  const baseTemplate = templates.whatsapp;
-  
-  // Get business type specific customizations
-  const customizations = templates.business_type_customization[business_type] || {};
-  
-  // Build message parts
-  const greeting = replaceTemplateVariables(baseTemplate.greeting, { company });
-  
-  const intro = replaceTemplateVariables(
-    customizations.intro || baseTemplate.intro, 
-    { business_type, city }
-  );
+  // The prospect's variant wins over the business type overrides, which win over the base template, section by section
+  const layers = getTemplateLayers(templateSet, prospect);
+  const render = (section, context) => {
+    const template = layers.map(layer => layer.sections[section]).find(Boolean);
+    return template ? template.render(context) : '';
+  };
   
-  const demoSectionHeader = customizations.demo_section_header || baseTemplate.demo_section_header;
+  // Demo labels in the message language, falling back to the configured display_name
+  const sites = businessTypes[business_type]?.sites || [];
+  const demos = urls.map(url => {
+    let displayName = url.display_name;
+    if (language !== templates.language) {
+      const localized = sites[url.site_index]?.display_names?.[language];
+      if (localized) {
+        displayName = localized;
+      } else {
+        fallbacks.push(`no "${language}" display name for "${url.display_name}"`);
+      }
+    }
+    return { display_name: displayName, short_url: url.short_url, original_url: url.original_url };
+  });
+  const context = { company, city, phone, country, business_type, language, demo_count: demos.length, demos, extra: prospect.extra || {} };
   
   // Generate demo links section
-  const demoLinks = urls.map(url => 
-    replaceTemplateVariables(baseTemplate.demo_link_format, {
-      display_name: url.display_name,
-      short_url: url.short_url
-    })
+  const demoLinkTemplate = layers.map(layer => layer.demo_link).find(Boolean);
+  const demoLinks = demos.map((demo, index) =>
+    demoLinkTemplate.render({ ...context, ...demo, index: index + 1, first: index === 0, last: index === demos.length - 1 })
   ).join('\\n');
+  const demoSection = [render('demo_section_header', context), demoLinks].filter(isFilled).join('\\n');
   
   // Combine all parts with \n literal characters (for CSV format)
-  const messageParts = [greeting, intro, demoLinks].filter(part => part && part.trim() !== '');
-  const message = messageParts.join('\\n\\n');
+  const messageParts = [
+    render('greeting', context),
+    render('intro', context),
+    demoSection,
+    render('value_proposition', context),
+    render('call_to_action', context),
+    render('signature', context)
+  ].filter(isFilled);
   
-  return message;
+  return { message: messageParts.join('\\n\\n'), language, demos, language_fallbacks: fallbacks };
 }
 
 /**
- * Replace template variables in a string
- * @param {string} template - Template string with {variable} placeholders
- * @param {Object} variables - Variables to replace
- * @returns {string} String with variables replaced
+ * Whether a rendered section has any content
  */
-function replaceTemplateVariables(template, variables) {
-  let result = template;
-  
-  Object.entries(variables).forEach(([key, value]) => {
-    const placeholder = `{${key}}`;
-    result = result.replace(new RegExp(placeholder, 'g'), value);
-  });
-  
-  return result;
+function isFilled(part) {
+  return part && part.trim() !== '';
 }
 
 /**
@@ -138,8 +437,10 @@ export function generateMessagePreviews(prospects, count = 3) {
       business_type: prospect.business_type,
       message_preview: prospect.whatsapp_message.substring(0, 200) + '...',
       message_length: messageLength,
+      // What WhatsApp counts against the body limit: line breaks are one character, not a literal \n
+      body_length: prospect.whatsapp_message.replace(/\\n/g, '\n').length,
       demo_urls_count: urlCount,
-      estimated_sms_parts: Math.ceil(messageLength / 160) // Rough SMS part estimate
+      lint_warnings: (prospect.lint_warnings || []).map(warning => warning.rule)
     };
   });
   
@@ -152,11 +453,22 @@ export function generateMessagePreviews(prospects, count = 3) {
  * @returns {Object} Validation results
  */
 export function validateMessages(prospects) {
-  const validation = {
-    total_messages: prospects.length,
+  const validation = createMessageValidation();
+  accumulateMessageValidation(validation, prospects);
+  return finalizeMessageValidation(validation);
+}
+
+/**
+ * Create an empty message validation accumulator
+ * @returns {Object} Validation accumulator
+ */
+export function createMessageValidation() {
+  return {
+    total_messages: 0,
     valid_messages: 0,
     messages_with_errors: 0,
     average_length: 0,
+    total_length: 0,
     length_distribution: {
       short: 0,    // < 500 chars
       medium: 0,   // 500-1000 chars
@@ -164,15 +476,29 @@ export function validateMessages(prospects) {
       very_long: 0 // > 2000 chars
     },
     url_count_distribution: {},
+    language_distribution: {},
+    // Messages sent in the base language (or with untranslated demo labels) for lack of a translation
+    language_fallbacks: {
+      messages: 0,
+      by_language: {},
+      reasons: {}
+    },
     errors: []
   };
-  
-  let totalLength = 0;
-  
-  prospects.forEach((prospect, index) => {
+}
+
+/**
+ * Add a batch of prospects to a message validation accumulator
+ * @param {Object} validation - Accumulator from createMessageValidation
+ * @param {Array} prospects - Batch of prospects with messages
+ * @returns {Object} The updated accumulator
+ */
+export function accumulateMessageValidation(validation, prospects) {
+  prospects.forEach(prospect => {
     const message = prospect.whatsapp_message;
     const messageLength = message.length;
-    totalLength += messageLength;
+    validation.total_messages++;
+    validation.total_length += messageLength;
     
     // Check for error messages
     if (message.startsWith('ERROR:')) {
@@ -198,6 +524,20 @@ export function validateMessages(prospects) {
     validation.url_count_distribution[urlCount] = 
       (validation.url_count_distribution[urlCount] || 0) + 1;
     
+    // Language distribution and translation fallbacks
+    if (prospect.language) {
+      validation.language_distribution[prospect.language] = (validation.language_distribution[prospect.language] || 0) + 1;
+    }
+    
+    if (prospect.language_fallbacks?.length > 0) {
+      const fallbacks = validation.language_fallbacks;
+      fallbacks.messages++;
+      fallbacks.by_language[prospect.requested_language] = (fallbacks.by_language[prospect.requested_language] || 0) + 1;
+      prospect.language_fallbacks.forEach(reason => {
+        fallbacks.reasons[reason] = (fallbacks.reasons[reason] || 0) + 1;
+      });
+    }
+    
     // Validate message content
     if (!message.includes(prospect.company)) {
       validation.errors.push(`${prospect.company}: Message doesn't include company name`);
@@ -215,18 +555,26 @@ export function validateMessages(prospects) {
     }
   });
   
-  validation.average_length = Math.round(totalLength / prospects.length);
-  
+  return validation;
+}
+
+/**
+ * Compute the derived values of a message validation accumulator
+ * @param {Object} validation - Accumulator from createMessageValidation
+ * @returns {Object} Validation results
+ */
+export function finalizeMessageValidation(validation) {
+  validation.average_length = validation.total_messages > 0 ? Math.round(validation.total_length / validation.total_messages) : 0;
   return validation;
 }
 
 /**
  * Generate WhatsApp URL from prospect data with proper encoding
- * @param {Object} prospect - Prospect with whatsapp_message and phone
+ * @param {Object} prospect - Prospect with whatsapp_message and phone (phone_e164 when parsed from CSV)
  * @returns {string} Complete WhatsApp URL with encoded message
  */
 export function generateWhatsAppUrl(prospect) {
-  const { phone, whatsapp_message } = prospect;
+  const { phone, phone_e164, country, whatsapp_message } = prospect;
   
   if (!phone || !whatsapp_message) {
     throw new Error('Phone number and WhatsApp message are required');
@@ -235,9 +583,9 @@ export function generateWhatsAppUrl(prospect) {
   // Convert literal \n strings to actual newlines
   const messageWithNewlines = whatsapp_message.replace(/\\n/g, '\n');
   
-  // Clean and format phone number
-  const cleanPhone = phone.replace(/\D/g, ''); // Remove non-digits
-  const formattedPhone = cleanPhone.startsWith('1') ? cleanPhone : '1' + cleanPhone;
+  // WhatsApp expects the E.164 number without the leading +
+  const e164 = phone_e164 || normalizePhoneNumber(phone, country || 'US').e164;
+  const formattedPhone = e164.slice(1);
   
   // URL encode the message (converts \n to %0A)
   const encodedMessage = encodeURIComponent(messageWithNewlines);
@@ -249,24 +597,37 @@ export function generateWhatsAppUrl(prospect) {
 /**
  * Add WhatsApp URLs to all prospects
  * @param {Array} prospects - Array of prospects with messages
+ * @param {Object} options - Options
+ * @param {Function} options.onError - Called with (prospect, error) for failed prospects, which are then left out of the results
  * @returns {Array} Prospects with added whatsapp_url field
  */
-export function addWhatsAppUrls(prospects) {
-  return prospects.map(prospect => {
+export function addWhatsAppUrls(prospects, options = {}) {
+  const { onError } = options;
+  const results = [];
+  
+  prospects.forEach(prospect => {
     try {
       const whatsapp_url = generateWhatsAppUrl(prospect);
-      return {
+      results.push({
         ...prospect,
         whatsapp_url
-      };
+      });
     } catch (error) {
       console.log(chalk.red(`❌ Error generating WhatsApp URL for ${prospect.company}: ${error.message}`));
-      return {
+      
+      if (onError) {
+        onError(prospect, error);
+        return;
+      }
+      
+      results.push({
         ...prospect,
         whatsapp_url: `ERROR: ${error.message}`
-      };
+      });
     }
   });
+  
+  return results;
 }
 
 /**
@@ -275,19 +636,39 @@ export function addWhatsAppUrls(prospects) {
  * @returns {Object} Statistics summary
  */
 export function getMessageStatistics(prospects) {
-  const stats = {
-    total_prospects: prospects.length,
+  const stats = createMessageStatistics();
+  accumulateMessageStatistics(stats, prospects);
+  return finalizeMessageStatistics(stats);
+}
+
+/**
+ * Create an empty message statistics accumulator
+ * @returns {Object} Statistics accumulator
+ */
+export function createMessageStatistics() {
+  return {
+    total_prospects: 0,
     total_characters: 0,
     total_demo_links: 0,
     business_type_breakdown: {},
+    variant_breakdown: {},
     longest_message: { length: 0, company: '' },
     shortest_message: { length: Infinity, company: '' }
   };
-  
+}
+
+/**
+ * Add a batch of prospects to a message statistics accumulator
+ * @param {Object} stats - Accumulator from createMessageStatistics
+ * @param {Array} prospects - Batch of prospects with messages
+ * @returns {Object} The updated accumulator
+ */
+export function accumulateMessageStatistics(stats, prospects) {
   prospects.forEach(prospect => {
     const messageLength = prospect.whatsapp_message.length;
     const urlCount = prospect.demo_urls?.length || 0;
     
+    stats.total_prospects++;
     stats.total_characters += messageLength;
     stats.total_demo_links += urlCount;
     
@@ -305,6 +686,10 @@ export function getMessageStatistics(prospects) {
     stats.business_type_breakdown[businessType].total_characters += messageLength;
     stats.business_type_breakdown[businessType].total_links += urlCount;
     
+    if (prospect.variant) {
+      stats.variant_breakdown[prospect.variant] = (stats.variant_breakdown[prospect.variant] || 0) + 1;
+    }
+    
     // Track longest/shortest messages
     if (messageLength > stats.longest_message.length) {
       stats.longest_message = { length: messageLength, company: prospect.company };
@@ -315,14 +700,23 @@ export function getMessageStatistics(prospects) {
     }
   });
   
+  return stats;
+}
+
+/**
+ * Compute the averages of a message statistics accumulator
+ * @param {Object} stats - Accumulator from createMessageStatistics
+ * @returns {Object} Statistics summary
+ */
+export function finalizeMessageStatistics(stats) {
   // Calculate averages for business types
   Object.values(stats.business_type_breakdown).forEach(breakdown => {
     breakdown.avg_characters = Math.round(breakdown.total_characters / breakdown.count);
     breakdown.avg_links = Math.round(breakdown.total_links / breakdown.count * 100) / 100;
   });
   
-  stats.average_characters = Math.round(stats.total_characters / prospects.length);
-  stats.average_demo_links = Math.round(stats.total_demo_links / prospects.length * 100) / 100;
+  stats.average_characters = Math.round(stats.total_characters / stats.total_prospects);
+  stats.average_demo_links = Math.round(stats.total_demo_links / stats.total_prospects * 100) / 100;
   
   return stats;
-}
\ No newline at end of file
+}
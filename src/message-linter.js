@@ -0,0 +1,238 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import chalk from 'chalk';
+import { generateWhatsAppUrl } from './message-generator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MESSAGE_LINT_PATH = join(__dirname, '..', 'config', 'message-lint.json');
+
+// off: not checked, warning: reported, reject: the prospect goes to the rejects file, error: the run fails
+export const LINT_SEVERITIES = ['off', 'warning', 'reject', 'error'];
+
+// Leftover template syntax: {company}, {{company}}, {#if city}, {first_name|"there"}
+const PLACEHOLDER_PATTERN = /\{\{?\s*[#/>]?\s*[A-Za-z_][^{}\n]{0,60}\}\}?/g;
+
+const LINK_PATTERN = /https?:\/\/\S+/g;
+
+// Findings kept in the lint stats (and so in the manifest and report); the counts cover every finding
+export const MAX_LINT_FINDINGS = 100;
+
+// Half of a surrogate pair on its own, or U+FFFD left behind by a bad decode
+const BROKEN_CHARACTER_PATTERN = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]|\uFFFD/g;
+
+// Each rule returns a problem description, or null when the message passes
+const LINT_RULES = {
+  // Text message bodies are capped at 4096 characters (emoji count as 2)
+  'body-length': {
+    settings: ['max'],
+    check: ({ text }, { max }) => text.length > max ? `body is ${text.length} characters, over the ${max} limit` : null
+  },
+  // Click-to-chat links (api.whatsapp.com/wa.me) get cut off or refused by some clients past a couple thousand characters
+  'url-length': {
+    settings: ['max'],
+    check: ({ whatsappUrl }, { max }) => whatsappUrl && whatsappUrl.length > max
+      ? `WhatsApp URL is ${whatsappUrl.length} characters, over the ${max} limit`
+      : null
+  },
+  placeholders: {
+    settings: [],
+    check: ({ text }) => {
+      const leftovers = [...new Set(text.match(PLACEHOLDER_PATTERN) || [])];
+      return leftovers.length > 0 ? `unresolved placeholders ${leftovers.join(', ')}` : null;
+    }
+  },
+  'link-count': {
+    settings: ['max'],
+    check: ({ text }, { max }) => {
+      const links = (text.match(LINK_PATTERN) || []).length;
+      return links > max ? `${links} links, over the cap of ${max}` : null;
+    }
+  },
+  'broken-characters': {
+    settings: [],
+    check: ({ text }) => {
+      const broken = [...text.matchAll(BROKEN_CHARACTER_PATTERN)];
+      if (broken.length === 0) {
+        return null;
+      }
+      const codes = [...new Set(broken.map(([char]) => `U+${char.charCodeAt(0).toString(16).toUpperCase()}`))];
+      return `${broken.length} broken characters (${codes.join(', ')}) at position ${broken[0].index}`;
+    }
+  },
+  // Links that kept their original URL because shortening fell back
+  'fallback-links': {
+    settings: [],
+    check: ({ prospect, expectShortLinks }) => {
+      if (!expectShortLinks) {
+        return null;
+      }
+      const demos = prospect.demo_urls || [];
+      const fallback = demos.filter(demo => demo.original_url && demo.short_url === demo.original_url).length;
+      return fallback > 0 ? `${fallback} of ${demos.length} demo links are original URLs (shortening fell back)` : null;
+    }
+  }
+};
+
+export const LINT_RULE_NAMES = Object.keys(LINT_RULES);
+
+// Loaded rule sets by config path
+const lintConfigCache = new Map();
+
+/**
+ * Load the message lint rules
+ * Rules missing from the file are off.
+ * @param {string} configPath - Path to message-lint.json
+ * @returns {Promise<Object>} { rule: { severity, ...settings } } for every rule
+ */
+export async function loadLintRules(configPath = MESSAGE_LINT_PATH) {
+  if (lintConfigCache.has(configPath)) {
+    return lintConfigCache.get(configPath);
+  }
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Message lint config not found: ${configPath}`);
+  }
+
+  const config = await fs.readJson(configPath);
+  if (!config.rules || typeof config.rules !== 'object' || Array.isArray(config.rules)) {
+    throw new Error(`Message lint config must define a "rules" object: ${configPath}`);
+  }
+
+  const unknown = Object.keys(config.rules).filter(name => !LINT_RULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown message lint rule${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Available rules: ${LINT_RULE_NAMES.join(', ')}`);
+  }
+
+  const rules = Object.fromEntries(LINT_RULE_NAMES.map(name => {
+    const rule = config.rules[name] ?? { severity: 'off' };
+    if (!LINT_SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Message lint rule "${name}": invalid severity "${rule.severity}". Must be one of: ${LINT_SEVERITIES.join(', ')}`);
+    }
+    LINT_RULES[name].settings.forEach(setting => {
+      if (rule.severity !== 'off' && (!Number.isInteger(rule[setting]) || rule[setting] < 1)) {
+        throw new Error(`Message lint rule "${name}": "${setting}" must be a positive integer`);
+      }
+    });
+    return [name, { ...rule }];
+  }));
+
+  lintConfigCache.set(configPath, rules);
+  return rules;
+}
+
+/**
+ * Create a linter for generated WhatsApp messages
+ * @param {Object} rules - Rules from loadLintRules
+ * @param {Object} options - Linter options
+ * @param {boolean} options.expectShortLinks - Whether links should be short (false with --skip-shortener,
+ *   so the fallback-links rule stays quiet)
+ * @returns {Object} { rules, lint(prospect) } where lint returns [{ rule, severity, message }]
+ */
+export function createMessageLinter(rules, { expectShortLinks = true } = {}) {
+  const active = Object.entries(rules).filter(([, rule]) => rule.severity !== 'off');
+
+  return {
+    rules,
+    lint(prospect) {
+      // Messages keep line breaks as literal \n; WhatsApp gets real ones
+      const text = prospect.whatsapp_message.replace(/\\n/g, '\n');
+      let whatsappUrl = prospect.whatsapp_url || null;
+      if (!whatsappUrl) {
+        try {
+          whatsappUrl = generateWhatsAppUrl(prospect);
+        } catch (error) {
+          // Broken characters can't be URL-encoded; broken-characters reports them
+        }
+      }
+
+      const input = { prospect, text, whatsappUrl, expectShortLinks };
+      return active.flatMap(([name, rule]) => {
+        const message = LINT_RULES[name].check(input, rule);
+        return message ? [{ rule: name, severity: rule.severity, message }] : [];
+      });
+    }
+  };
+}
+
+/**
+ * Create an empty message lint accumulator
+ * @returns {Object} Lint accumulator
+ */
+export function createLintStats() {
+  return {
+    checked: 0,
+    passed: 0,
+    warnings: 0,
+    rejected: 0,
+    errors: 0,
+    by_rule: {},
+    findings: [],
+    findings_omitted: 0
+  };
+}
+
+/**
+ * Lint a batch of messages
+ * Prospects with a "reject" finding are handed to onReject and left out; "warning" findings are kept on the
+ * prospect (lint_warnings). Once the whole batch is checked, any "error" finding fails the run. Only the first
+ * MAX_LINT_FINDINGS findings of a run are kept in stats.findings; the rest are counted in findings_omitted.
+ * @param {Array} prospects - Prospects with messages
+ * @param {Object} linter - Linter from createMessageLinter
+ * @param {Object} options - Lint options
+ * @param {Object} options.stats - Accumulator from createLintStats
+ * @param {Function} options.onReject - Called with (prospect, error) for rejected prospects
+ * @returns {Array} Prospects that may be sent
+ */
+export function lintMessages(prospects, linter, { stats, onReject }) {
+  const passed = [];
+  const errors = [];
+
+  prospects.forEach(prospect => {
+    if (prospect.whatsapp_message.startsWith('ERROR:')) {
+      passed.push(prospect);
+      return;
+    }
+
+    const findings = linter.lint(prospect);
+    stats.checked++;
+    findings.forEach(finding => {
+      stats.by_rule[finding.rule] = (stats.by_rule[finding.rule] || 0) + 1;
+      if (stats.findings.length < MAX_LINT_FINDINGS) {
+        stats.findings.push({ prospect_id: prospect.id, company: prospect.company, ...finding });
+      } else {
+        stats.findings_omitted++;
+      }
+    });
+
+    const rejecting = findings.filter(finding => finding.severity === 'reject' || finding.severity === 'error');
+    const warnings = findings.filter(finding => finding.severity === 'warning');
+    stats.warnings += warnings.length;
+    errors.push(...findings.filter(finding => finding.severity === 'error').map(finding => ({ prospect, finding })));
+
+    if (rejecting.length > 0) {
+      stats.rejected++;
+      console.log(chalk.red(`❌ Message for ${prospect.company} failed lint: ${rejecting.map(finding => finding.rule).join(', ')}`));
+      const error = new Error(rejecting.map(finding => `${finding.rule}: ${finding.message}`).join('; '));
+      error.field = 'whatsapp_message';
+      onReject?.(prospect, error);
+      return;
+    }
+
+    if (findings.length === 0) {
+      stats.passed++;
+    }
+    passed.push(warnings.length > 0 ? { ...prospect, lint_warnings: warnings } : prospect);
+  });
+
+  if (errors.length > 0) {
+    stats.errors += errors.length;
+    const listed = errors.slice(0, 5).map(({ prospect, finding }) => `\n   ${prospect.company}: ${finding.rule}: ${finding.message}`).join('');
+    const more = errors.length > 5 ? `\n   ... and ${errors.length - 5} more` : '';
+    throw new Error(`Message lint failed with ${errors.length} error${errors.length > 1 ? 's' : ''}:${listed}${more}`);
+  }
+
+  return passed;
+}
@@ -0,0 +1,87 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync } from 'crypto';
+
+// Environment variable holding the secret shared with the demo sites
+export const TOKEN_SECRET_ENV = 'DEMO_TOKEN_SECRET';
+
+// Query parameter carrying the token in demo URLs
+export const TOKEN_PARAM = 'token';
+
+const TOKEN_VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Read the personalization token secret from the environment
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} Secret
+ */
+export function getTokenSecret(env = process.env) {
+  const secret = env[TOKEN_SECRET_ENV];
+  if (!secret) {
+    throw new Error(`${TOKEN_SECRET_ENV} is not set; personalization tokens need a secret shared with the demo sites`);
+  }
+  if (secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`${TOKEN_SECRET_ENV} must be at least ${MIN_SECRET_LENGTH} characters long`);
+  }
+  return secret;
+}
+
+/**
+ * Create a personalization token for a demo URL
+ * The fields are encrypted with AES-256-GCM, so the token hides them from the shortener and referrer logs and
+ * can't be altered without the secret. The IV is derived from the fields, so the same prospect always gets the
+ * same token and re-runs produce the same URLs (short-link cache and --resume keep working).
+ * @param {Object} fields - Personalization fields, e.g. { company, city, phone }
+ * @param {string} secret - Secret shared with the demo sites
+ * @returns {string} URL-safe token
+ */
+export function createPersonalizationToken(fields, secret) {
+  const { encryptionKey, ivKey } = deriveKeys(secret);
+  const plaintext = Buffer.from(JSON.stringify(fields), 'utf8');
+  const iv = createHmac('sha256', ivKey).update(plaintext).digest().subarray(0, IV_LENGTH);
+
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([Buffer.from([TOKEN_VERSION]), iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decode and verify a personalization token
+ * @param {string} token - Token from the demo URL's "token" parameter
+ * @param {string} secret - Secret the token was created with
+ * @returns {Object} Personalization fields
+ */
+export function decodePersonalizationToken(token, secret) {
+  const data = Buffer.from(String(token ?? ''), 'base64url');
+  if (data.length <= 1 + IV_LENGTH + TAG_LENGTH || data[0] !== TOKEN_VERSION) {
+    throw new Error('Invalid personalization token');
+  }
+
+  const { encryptionKey } = deriveKeys(secret);
+  const iv = data.subarray(1, 1 + IV_LENGTH);
+  const tag = data.subarray(1 + IV_LENGTH, 1 + IV_LENGTH + TAG_LENGTH);
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(tag);
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(data.subarray(1 + IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Invalid personalization token: signature mismatch (tampered token or wrong secret)');
+  }
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Derive the encryption and IV keys from the secret
+ */
+function deriveKeys(secret) {
+  if (!secret) {
+    throw new Error('Personalization token secret is empty');
+  }
+  const keys = Buffer.from(hkdfSync('sha256', secret, '', 'csv-campaign-processor personalization token', 64));
+  return { encryptionKey: keys.subarray(0, 32), ivKey: keys.subarray(32) };
+}
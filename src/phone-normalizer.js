@@ -0,0 +1,191 @@
+/**
+ * Per-country phone numbering rules
+ * - callingCode: international dialing code (without +)
+ * - lengths: allowed national significant number lengths (digits after the calling code)
+ * - trunkPrefix: national prefix dropped when converting to E.164 (e.g. the leading 0 in UK numbers)
+ * - leadingDigits: optional pattern the national number must match
+ * - names: alternative spellings accepted in the country column
+ */
+const COUNTRY_RULES = {
+  US: { callingCode: '1', lengths: [10], trunkPrefix: '1', leadingDigits: /^[2-9]/, names: ['usa', 'united states', 'united states of america'] },
+  CA: { callingCode: '1', lengths: [10], trunkPrefix: '1', leadingDigits: /^[2-9]/, names: ['canada'] },
+  PR: { callingCode: '1', lengths: [10], trunkPrefix: '1', leadingDigits: /^(787|939)/, names: ['puerto rico'] },
+  MX: { callingCode: '52', lengths: [10], names: ['mexico', 'méxico'] },
+  GB: { callingCode: '44', lengths: [9, 10], trunkPrefix: '0', names: ['uk', 'united kingdom', 'great britain', 'england'] },
+  IE: { callingCode: '353', lengths: [7, 8, 9], trunkPrefix: '0', names: ['ireland'] },
+  ES: { callingCode: '34', lengths: [9], leadingDigits: /^[5-9]/, names: ['spain', 'españa'] },
+  PT: { callingCode: '351', lengths: [9], names: ['portugal'] },
+  FR: { callingCode: '33', lengths: [9], trunkPrefix: '0', names: ['france'] },
+  DE: { callingCode: '49', lengths: [6, 7, 8, 9, 10, 11, 12, 13], trunkPrefix: '0', names: ['germany', 'deutschland'] },
+  IT: { callingCode: '39', lengths: [6, 7, 8, 9, 10, 11], names: ['italy', 'italia'] },
+  NL: { callingCode: '31', lengths: [9], trunkPrefix: '0', names: ['netherlands', 'holland'] },
+  BR: { callingCode: '55', lengths: [10, 11], trunkPrefix: '0', names: ['brazil', 'brasil'] },
+  CO: { callingCode: '57', lengths: [10], names: ['colombia'] },
+  AU: { callingCode: '61', lengths: [9], trunkPrefix: '0', names: ['australia'] },
+  NZ: { callingCode: '64', lengths: [8, 9, 10], trunkPrefix: '0', names: ['new zealand'] },
+  IN: { callingCode: '91', lengths: [10], trunkPrefix: '0', names: ['india'] },
+  IL: { callingCode: '972', lengths: [8, 9], trunkPrefix: '0', names: ['israel'] },
+  ZA: { callingCode: '27', lengths: [9], trunkPrefix: '0', names: ['south africa'] }
+};
+
+// Countries that share a calling code resolve to the first entry (US for NANP)
+const CALLING_CODE_LOOKUP = Object.entries(COUNTRY_RULES).reduce((acc, [country, rules]) => {
+  if (!acc[rules.callingCode]) {
+    acc[rules.callingCode] = country;
+  }
+  return acc;
+}, {});
+
+/**
+ * Get the ISO country codes with phone rules
+ * @returns {Array<string>} Supported ISO 3166-1 alpha-2 codes
+ */
+export function getSupportedCountries() {
+  return Object.keys(COUNTRY_RULES);
+}
+
+/**
+ * Resolve a country column value to an ISO country code
+ * @param {string} value - ISO code or country name (case-insensitive)
+ * @returns {string|null} ISO country code, or null when unsupported
+ */
+export function resolveCountry(value) {
+  if (!value || value.trim().length === 0) {
+    return null;
+  }
+
+  const cleaned = value.trim().toLowerCase();
+  const match = Object.entries(COUNTRY_RULES).find(([country, rules]) =>
+    country.toLowerCase() === cleaned || rules.names.includes(cleaned)
+  );
+
+  return match ? match[0] : null;
+}
+
+// How phone numbers can be written in exports
+export const PHONE_FORMATS = ['as_entered', 'e164', 'international', 'digits'];
+
+/**
+ * Format a normalized phone number for an export
+ * @param {Object} phone - { phone (as entered), phone_e164, country } of a parsed prospect
+ * @param {string} style - One of PHONE_FORMATS: as_entered ("(555) 123-4567"), e164 ("+15551234567"),
+ *   international ("+1 5551234567") or digits ("15551234567")
+ * @returns {string} Formatted phone number
+ */
+export function formatPhoneNumber({ phone, phone_e164: e164, country }, style = 'as_entered') {
+  if (style === 'as_entered' || !e164) {
+    return phone;
+  }
+
+  const callingCode = COUNTRY_RULES[country]?.callingCode;
+  switch (style) {
+    case 'e164':
+      return e164;
+    case 'international':
+      return callingCode ? `+${callingCode} ${e164.slice(callingCode.length + 1)}` : e164;
+    case 'digits':
+      return e164.slice(1);
+    default:
+      throw new Error(`Unknown phone format "${style}". Must be one of: ${PHONE_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Raw phone number as entered in the CSV
+ * @param {string} defaultCountry - ISO country code used for numbers without an international prefix
+ * @returns {Object} { e164, country, national_number }
+ */
+export function normalizePhoneNumber(phone, defaultCountry = 'US') {
+  if (!phone || phone.trim().length === 0) {
+    throw new Error('Phone number cannot be empty');
+  }
+
+  // Drop extensions ("x123", "ext. 123") before looking at digits
+  const withoutExtension = phone.trim().replace(/\s*(?:x|ext\.?|extension)\s*\d+$/i, '');
+
+  if (/[a-z]/i.test(withoutExtension)) {
+    throw new Error(`Phone number "${phone}" contains letters`);
+  }
+
+  const trimmed = withoutExtension.trim();
+  // "+44 (0)20 7946 0958": the bracketed trunk prefix is dialed only from inside the country
+  const digits = (/^(\+|00)/.test(trimmed) ? trimmed.replace(/\(0\)/g, '') : trimmed).replace(/\D/g, '');
+  const country = defaultCountry ? defaultCountry.toUpperCase() : null;
+
+  if (trimmed.startsWith('+')) {
+    return normalizeInternational(phone, digits, country);
+  }
+
+  if (trimmed.startsWith('00')) {
+    return normalizeInternational(phone, digits.slice(2), country);
+  }
+
+  const rules = COUNTRY_RULES[country];
+  if (!rules) {
+    throw new Error(`Phone number "${phone}" has no country code and "${defaultCountry}" is not a supported country`);
+  }
+
+  return normalizeNational(phone, digits, country, rules);
+}
+
+/**
+ * Normalize a number written with a leading + or 00
+ */
+function normalizeInternational(phone, digits, defaultCountry) {
+  // Calling codes are 1-3 digits; try the longest match first
+  for (let length = 3; length >= 1; length--) {
+    const callingCode = digits.slice(0, length);
+    const country = COUNTRY_RULES[defaultCountry]?.callingCode === callingCode
+      ? defaultCountry
+      : CALLING_CODE_LOOKUP[callingCode];
+
+    if (country) {
+      const national = digits.slice(length);
+      return buildResult(phone, national, country, COUNTRY_RULES[country]);
+    }
+  }
+
+  throw new Error(`Phone number "${phone}" has an unsupported country calling code`);
+}
+
+/**
+ * Normalize a number written in national format
+ */
+function normalizeNational(phone, digits, country, rules) {
+  let national = digits;
+
+  if (rules.trunkPrefix && national.startsWith(rules.trunkPrefix)) {
+    // Trunk prefix written out ("1 555 123 4567", "020 7946 0958", "030 12345678"); national numbers of
+    // these countries never start with it, so it goes even when the length would pass with it
+    national = national.slice(rules.trunkPrefix.length);
+  } else if (!rules.lengths.includes(national.length) && national.startsWith(rules.callingCode) &&
+      rules.lengths.includes(national.length - rules.callingCode.length)) {
+    // Calling code written without the leading +
+    national = national.slice(rules.callingCode.length);
+  }
+
+  return buildResult(phone, national, country, rules);
+}
+
+/**
+ * Validate the national number against the country rules and build the E.164 result
+ */
+function buildResult(phone, national, country, rules) {
+  if (!rules.lengths.includes(national.length)) {
+    const expected = rules.lengths.length === 1
+      ? `${rules.lengths[0]}`
+      : `${rules.lengths[0]}-${rules.lengths[rules.lengths.length - 1]}`;
+    throw new Error(`Phone number "${phone}" has ${national.length} national digits; ${country} numbers need ${expected}`);
+  }
+
+  if (rules.leadingDigits && !rules.leadingDigits.test(national)) {
+    throw new Error(`Phone number "${phone}" is not a valid ${country} number (unexpected leading digits)`);
+  }
+
+  return {
+    e164: `+${rules.callingCode}${national}`,
+    country,
+    national_number: national
+  };
+}
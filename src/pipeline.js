@@ -0,0 +1,303 @@
+import chalk from 'chalk';
+import { generateDemoUrls, groupUrlsByProspect, updateWithShortUrls, validateUrlGeneration } from './url-generator.js';
+import { bulkUploadToShortener, createFallbackResults, validateBulkUploadResults, testShortenerConnection, estimateProcessingTime } from './bulk-uploader.js';
+import {
+  loadMessageTemplates,
+  assignVariant,
+  generateWhatsAppMessages,
+  addWhatsAppUrls,
+  createMessageValidation,
+  accumulateMessageValidation,
+  finalizeMessageValidation,
+  createMessageStatistics,
+  accumulateMessageStatistics,
+  finalizeMessageStatistics
+} from './message-generator.js';
+import { createLintStats, lintMessages } from './message-linter.js';
+import { createShortener } from './shorteners/index.js';
+import { getShortenedResult, recordShortened, flushCheckpoint } from './checkpoint.js';
+import { getCacheNamespace, getCachedResult, cacheResults, saveLinkCache } from './link-cache.js';
+
+/**
+ * Decide how URLs will be shortened for this run
+ * @param {Object} shortener - Configured shortener adapter
+ * @returns {Promise<Object>} The adapter, or the "none" adapter when it is unreachable
+ */
+export async function resolveShortener(shortener) {
+  if (shortener.name === 'none') {
+    console.log(chalk.yellow('\n⏭️  Skipping URL shortener (using original URLs)...'));
+    return shortener;
+  }
+
+  const connectionOk = await testShortenerConnection(shortener);
+  if (!connectionOk) {
+    console.log(chalk.yellow('⚠️  Shortener connection failed, using original URLs...'));
+    return createShortener('none');
+  }
+
+  return shortener;
+}
+
+/**
+ * Create the accumulators for the statistics of a run
+ * @returns {Object} Run statistics accumulator
+ */
+export function createRunStats() {
+  return {
+    batches: 0,
+    url_validation: {
+      total_urls: 0,
+      valid_urls: 0,
+      invalid_urls: 0,
+      prospects_with_urls: 0,
+      business_types: [],
+      errors: []
+    },
+    shortening: {
+      total_requested: 0,
+      total_returned: 0,
+      successful: 0,
+      failed: 0,
+      missing: 0,
+      cached: 0,
+      fallback_batches: 0,
+      fallback_urls: 0,
+      errors: []
+    },
+    message_validation: createMessageValidation(),
+    message_statistics: createMessageStatistics(),
+    message_lint: createLintStats(),
+    // Milliseconds spent per stage, summed over batches
+    timings: {
+      parse: 0,
+      demo_urls: 0,
+      shortening: 0,
+      messages: 0,
+      export: 0
+    }
+  };
+}
+
+/**
+ * Run one stage of the pipeline and add its duration to the run timings
+ * @param {Object} stats - Accumulator from createRunStats
+ * @param {string} stage - Key in stats.timings
+ * @param {Function} step - Async function doing the work
+ * @returns {Promise<*>} What step resolves to
+ */
+export async function timeStage(stats, stage, step) {
+  const started = Date.now();
+  try {
+    return await step();
+  } finally {
+    stats.timings[stage] = (stats.timings[stage] || 0) + Date.now() - started;
+  }
+}
+
+/**
+ * Compute the derived values of the run statistics
+ * @param {Object} stats - Accumulator from createRunStats
+ * @returns {Object} Final run statistics
+ */
+export function finalizeRunStats(stats) {
+  finalizeMessageValidation(stats.message_validation);
+  finalizeMessageStatistics(stats.message_statistics);
+  return stats;
+}
+
+/**
+ * Move a batch of prospects through URL generation, shortening and message generation
+ * @param {Array} batch - Batch of parsed prospects
+ * @param {Object} context - Run context
+ * @param {Object} context.shortener - Result of resolveShortener
+ * @param {Object} context.stats - Accumulator from createRunStats
+ * @param {Function} context.onError - (stage) => (prospect, error) handler for prospects that fail a stage
+ * @param {boolean} context.logSteps - Print the step headers (single-batch runs)
+ * @param {Object} context.checkpoint - Checkpoint that records and reuses shortened URLs (optional)
+ * @param {Object} context.uploadOptions - Chunking options for bulkUploadToShortener (batchSize, concurrency)
+ * @param {Object} context.linkCache - Short-link cache shared across runs (optional)
+ * @param {Object} context.tracking - Tracker from loadTracking for the campaign's UTM parameters (optional)
+ * @param {string} context.tokenSecret - Secret for personalization tokens in demo URLs (optional)
+ * @param {Object} context.linter - Message linter from createMessageLinter (optional)
+ * @returns {Promise<Array>} Prospects with messages and WhatsApp URLs
+ */
+export async function processBatch(batch, context) {
+  const { shortener, stats, onError, logSteps = true, checkpoint, uploadOptions, linkCache, tracking, tokenSecret, linter } = context;
+  stats.batches++;
+  
+  // Assign message variants first, so the shortener metadata carries them too
+  const templates = await loadMessageTemplates();
+  const prospects = templates.variants.length > 0
+    ? batch.map(prospect => ({ ...prospect, variant: assignVariant(prospect, templates) }))
+    : batch;
+
+  // Step 2: Generate demo URLs
+  if (logSteps) {
+    console.log(chalk.bold.blue('\n🚀 Step 2: Generating demo URLs...'));
+  }
+  const failedIds = new Set();
+  const { urlMappings, groupedUrls } = await timeStage(stats, 'demo_urls', async () => {
+    const mappings = await generateDemoUrls(prospects, {
+      tracking,
+      tokenSecret,
+      onError: (prospect, error) => {
+        failedIds.add(prospect.id);
+        onError('demo_urls')(prospect, error);
+      }
+    });
+
+    // Validate URL generation
+    const urlValidation = validateUrlGeneration(mappings);
+    accumulateUrlValidation(stats.url_validation, urlValidation);
+    console.log(chalk.blue(`   Generated ${urlValidation.valid_urls} valid URLs for ${urlValidation.prospects_with_urls} prospects`));
+
+    if (urlValidation.invalid_urls > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${urlValidation.invalid_urls} invalid URLs found`));
+    }
+
+    // Group URLs by prospect
+    return { urlMappings: mappings, groupedUrls: groupUrlsByProspect(mappings) };
+  });
+
+  // Step 3: Shorten URLs (unless skipped)
+  if (logSteps && shortener.name !== 'none') {
+    console.log(chalk.bold.blue('\n🚀 Step 3: Shortening URLs...'));
+  }
+  const updatedGroupedUrls = await timeStage(stats, 'shortening', async () => {
+    const shortenedResults = await shortenUrls(urlMappings, shortener, stats, { checkpoint, uploadOptions, linkCache });
+
+    // Validate shortening results
+    const shortenValidation = validateBulkUploadResults(shortenedResults, urlMappings);
+    accumulateShortening(stats.shortening, shortenValidation);
+    console.log(chalk.blue(`   Processed ${shortenValidation.successful} URLs successfully`));
+    if (shortenValidation.failed > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${shortenValidation.failed} URLs failed to shorten`));
+    }
+    stats.shortening.fallback_urls += shortenedResults.filter(result => result.fallback).length;
+
+    // Update grouped URLs with short URLs
+    return updateWithShortUrls(groupedUrls, shortenedResults);
+  });
+
+  // Step 4: Generate WhatsApp messages
+  if (logSteps) {
+    console.log(chalk.bold.blue('\n🚀 Step 4: Generating WhatsApp messages...'));
+  }
+  const prospectsWithUrls = await timeStage(stats, 'messages', async () => {
+    const prospectsWithDemos = prospects.filter(prospect => !failedIds.has(prospect.id));
+    const prospectsWithMessages = await generateWhatsAppMessages(prospectsWithDemos, updatedGroupedUrls, {
+      onError: onError('whatsapp_message')
+    });
+
+    // Lint before encoding, so broken characters are reported as such rather than as a URL error
+    const lintedProspects = linter
+      ? lintMessages(prospectsWithMessages, linter, { stats: stats.message_lint, onReject: onError('message_lint') })
+      : prospectsWithMessages;
+
+    // Step 4.5: Add WhatsApp URLs with proper encoding
+    console.log(chalk.blue('🔗 Adding WhatsApp URLs with proper line break encoding...'));
+    return addWhatsAppUrls(lintedProspects, { onError: onError('whatsapp_url') });
+  });
+
+  accumulateMessageValidation(stats.message_validation, prospectsWithUrls);
+  accumulateMessageStatistics(stats.message_statistics, prospectsWithUrls);
+
+  return prospectsWithUrls;
+}
+
+/**
+ * Shorten a batch of URLs, falling back to the original URLs when the shortener fails
+ * URLs shortened by an interrupted run (checkpoint) or an earlier run (link cache) are reused, so only
+ * the rest is uploaded. With a checkpoint, a failed upload stops the run instead of exporting original
+ * URLs, so --resume can shorten them later.
+ */
+async function shortenUrls(urlMappings, shortener, stats, { checkpoint, uploadOptions, linkCache }) {
+  if (urlMappings.length === 0) {
+    return [];
+  }
+
+  if (shortener.name === 'none') {
+    return createFallbackResults(urlMappings);
+  }
+
+  const namespace = linkCache && getCacheNamespace(shortener);
+  const now = Date.now();
+  const reused = [];
+  const cached = [];
+  const pending = [];
+  urlMappings.forEach(mapping => {
+    const result = checkpoint && getShortenedResult(checkpoint, mapping);
+    const cachedResult = !result && linkCache && getCachedResult(linkCache, namespace, mapping, now);
+    if (result) {
+      reused.push(result);
+    } else if (cachedResult) {
+      cached.push(cachedResult);
+    } else {
+      pending.push(mapping);
+    }
+  });
+
+  if (reused.length > 0) {
+    console.log(chalk.blue(`   ♻️  Reusing ${reused.length} short URLs from the checkpoint`));
+  }
+  if (cached.length > 0) {
+    console.log(chalk.blue(`   💾 Reusing ${cached.length} short URLs from the link cache`));
+    stats.shortening.cached += cached.length;
+  }
+
+  if (pending.length === 0) {
+    return [...reused, ...cached];
+  }
+
+  // Estimate processing time
+  const timeEstimate = estimateProcessingTime(pending.length);
+  console.log(chalk.gray(`   Estimated processing time: ${timeEstimate.realistic}s (optimistic: ${timeEstimate.optimistic}s)`));
+
+  try {
+    const uploaded = await bulkUploadToShortener(pending, { ...uploadOptions, shortener });
+    if (checkpoint) {
+      recordShortened(checkpoint, uploaded);
+      await flushCheckpoint(checkpoint);
+    }
+    if (linkCache && cacheResults(linkCache, namespace, uploaded) > 0) {
+      await saveLinkCache(linkCache);
+    }
+    return [...reused, ...cached, ...uploaded];
+  } catch (error) {
+    if (checkpoint) {
+      throw error;
+    }
+
+    console.log(chalk.yellow(`⚠️  Bulk upload failed (${error.message}), using original URLs...`));
+    stats.shortening.fallback_batches++;
+    return [...reused, ...cached, ...createFallbackResults(pending)];
+  }
+}
+
+/**
+ * Add a batch's URL validation to the run totals
+ */
+function accumulateUrlValidation(totals, validation) {
+  totals.total_urls += validation.total_urls;
+  totals.valid_urls += validation.valid_urls;
+  totals.invalid_urls += validation.invalid_urls;
+  totals.prospects_with_urls += validation.prospects_with_urls;
+  validation.business_types.forEach(type => {
+    if (!totals.business_types.includes(type)) {
+      totals.business_types.push(type);
+    }
+  });
+  totals.errors.push(...validation.errors);
+}
+
+/**
+ * Add a batch's shortening validation to the run totals
+ */
+function accumulateShortening(totals, validation) {
+  totals.total_requested += validation.total_requested;
+  totals.total_returned += validation.total_returned;
+  totals.successful += validation.successful;
+  totals.failed += validation.failed;
+  totals.missing += validation.missing;
+  totals.errors.push(...validation.errors);
+}
@@ -0,0 +1,85 @@
+import fs from 'fs-extra';
+import { dirname } from 'path';
+import chalk from 'chalk';
+import { createObjectCsvWriter } from 'csv-writer';
+
+// Columns appended to the original row in the rejects file
+const REJECT_COLUMNS = ['row_number', 'error_field', 'error_message'];
+
+/**
+ * Create an error tied to a specific input column
+ * @param {string} field - Column that failed validation
+ * @param {string} message - Error message
+ * @returns {Error} Error with a field property
+ */
+export function createFieldError(field, message) {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+}
+
+/**
+ * Create a rejection record for a row that can't be processed
+ * @param {Object} row - Original input columns
+ * @param {number} rowNumber - Row number in the input file
+ * @param {Error} error - Validation or processing error
+ * @param {string} stage - Pipeline stage that rejected the row (the output field it failed to produce)
+ * @returns {Object} Rejection record
+ */
+export function createRejection(row, rowNumber, error, stage = 'parse') {
+  return {
+    row: row || {},
+    row_number: rowNumber,
+    error_field: error.field || (stage === 'parse' ? '' : stage),
+    error_message: error.message,
+    stage
+  };
+}
+
+/**
+ * Create a rejection record for a prospect that failed after parsing
+ * @param {Object} prospect - Parsed prospect
+ * @param {Error} error - Processing error
+ * @param {string} stage - Pipeline stage that failed
+ * @returns {Object} Rejection record
+ */
+export function createProspectRejection(prospect, error, stage) {
+  return createRejection(prospect.original_columns, prospect.original_row, error, stage);
+}
+
+/**
+ * Export rejected rows to CSV so they can be fixed and re-fed
+ * @param {Array} rejections - Rejection records
+ * @param {string} outputPath - Rejects CSV file path
+ */
+export async function exportRejects(rejections, outputPath) {
+  await fs.ensureDir(dirname(outputPath));
+
+  // Original columns in first-seen order, then the error columns
+  const columns = [];
+  rejections.forEach(rejection => {
+    Object.keys(rejection.row).forEach(column => {
+      if (!columns.includes(column) && !REJECT_COLUMNS.includes(column)) {
+        columns.push(column);
+      }
+    });
+  });
+
+  const csvWriter = createObjectCsvWriter({
+    path: outputPath,
+    header: [...columns, ...REJECT_COLUMNS].map(id => ({ id, title: id }))
+  });
+
+  const records = [...rejections]
+    .sort((a, b) => a.row_number - b.row_number)
+    .map(rejection => ({
+      ...rejection.row,
+      row_number: rejection.row_number,
+      error_field: rejection.error_field,
+      error_message: rejection.error_message
+    }));
+
+  await csvWriter.writeRecords(records);
+
+  console.log(chalk.yellow(`   🗂️  ${records.length} rejected rows written to ${outputPath}`));
+}
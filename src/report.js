@@ -0,0 +1,297 @@
+import fs from 'fs-extra';
+import { dirname } from 'path';
+
+// Number of bars in the message length histogram
+const HISTOGRAM_BINS = 12;
+
+/**
+ * Keep what the report shows of each processed prospect
+ * @param {Array} prospects - Prospects with messages and WhatsApp URLs
+ * @returns {Array} { id, company, city, business_type, phone, language, variant, message, whatsapp_url, demo_urls }
+ */
+export function toReportRows(prospects) {
+  return prospects.map(prospect => ({
+    id: prospect.id,
+    company: prospect.company,
+    city: prospect.city,
+    business_type: prospect.business_type,
+    phone: prospect.phone,
+    language: prospect.language || null,
+    variant: prospect.variant || null,
+    message: prospect.whatsapp_message,
+    whatsapp_url: prospect.whatsapp_url || null,
+    demo_urls: (prospect.demo_urls || []).map(demo => ({
+      name: demo.display_name,
+      short_url: demo.short_url,
+      original_url: demo.original_url
+    }))
+  }));
+}
+
+/**
+ * Bucket message lengths into equal-width bins
+ * @param {Array<number>} lengths - Message lengths in characters
+ * @param {number} bins - Maximum number of bins
+ * @returns {Array} [{ from, to, count }] covering the shortest to the longest message
+ */
+export function buildLengthHistogram(lengths, bins = HISTOGRAM_BINS) {
+  if (lengths.length === 0) {
+    return [];
+  }
+
+  // A loop rather than Math.min(...lengths): spreading a large list overflows the call stack
+  let min = lengths[0];
+  let max = lengths[0];
+  lengths.forEach(length => {
+    min = Math.min(min, length);
+    max = Math.max(max, length);
+  });
+  // Round the bin width up to a multiple of 10 so the ranges read well
+  const width = Math.max(10, Math.ceil((max - min + 1) / bins / 10) * 10);
+  const start = Math.floor(min / width) * width;
+  const histogram = [];
+  for (let from = start; from <= max; from += width) {
+    histogram.push({ from, to: from + width - 1, count: 0 });
+  }
+
+  lengths.forEach(length => {
+    histogram[Math.floor((length - start) / width)].count++;
+  });
+
+  return histogram;
+}
+
+/**
+ * Write the campaign report as one self-contained HTML file (no external assets, works offline)
+ * @param {string} reportPath - HTML file path
+ * @param {Object} data - Report data
+ * @param {string} data.input - Input file path
+ * @param {string} data.output - Campaign file path
+ * @param {Object} data.summary - Prospects summary (total, resumed, by_business_type, by_city)
+ * @param {Object} data.stats - Finalized run statistics (createRunStats)
+ * @param {Object} data.shortener - Shortener mode from getShortenerMode
+ * @param {Array} data.rejections - Rejection records
+ * @param {number} data.duplicates - Rows collapsed into other prospects
+ * @param {number} data.suppressed - Rows on suppression lists
+ * @param {Array} data.rows - Rows from toReportRows
+ */
+export async function writeCampaignReport(reportPath, data) {
+  await fs.ensureDir(dirname(reportPath));
+  await fs.writeFile(reportPath, renderCampaignReport(data));
+}
+
+/**
+ * Render the campaign report HTML
+ * @param {Object} data - Report data (see writeCampaignReport)
+ * @returns {string} HTML document
+ */
+export function renderCampaignReport({ input, output, summary, stats, shortener, rejections = [], duplicates = 0, suppressed = 0, rows = [], generatedAt = new Date() }) {
+  const { message_validation: messages, message_statistics: statistics, url_validation: urls, shortening } = stats;
+  const histogram = buildLengthHistogram(rows.map(row => row.message.length));
+  const errors = [
+    ...rejections.map(rejection => ({
+      source: `Rejected row ${rejection.row_number}`,
+      message: `${rejection.error_field ? `${rejection.error_field}: ` : ''}${rejection.error_message}`
+    })),
+    ...urls.errors.map(error => ({ source: 'URL generation', message: String(error) })),
+    ...shortening.errors.map(error => ({ source: 'Shortening', message: String(error) })),
+    ...messages.errors.map(error => ({ source: 'Messages', message: String(error) })),
+    // Rejecting lint findings are listed with the rejected rows
+    ...(stats.message_lint?.findings || [])
+      .filter(finding => finding.severity === 'warning')
+      .map(finding => ({ source: `Lint: ${finding.rule}`, message: `${finding.company}: ${finding.message}` })),
+    ...(stats.message_lint?.findings_omitted > 0
+      ? [{ source: 'Lint', message: `${stats.message_lint.findings_omitted} more findings not listed` }]
+      : [])
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Campaign report: ${escapeHtml(output)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>Campaign report</h1>
+  <p class="meta">${escapeHtml(input)} → ${escapeHtml(output)} · generated ${escapeHtml(generatedAt.toISOString())}</p>
+</header>
+
+<section class="cards">
+  ${card('Prospects', summary.total)}
+  ${card('Messages', messages.total_messages)}
+  ${card('Demo links', statistics.total_demo_links)}
+  ${card('Average length', `${messages.average_length} chars`)}
+  ${card('Rejected', rejections.length, rejections.length > 0)}
+  ${card('Duplicates', duplicates)}
+  ${card('Suppressed', suppressed)}
+  ${card('Validation errors', errors.length, errors.length > 0)}
+</section>
+
+<section class="columns">
+  <div>
+    <h2>By business type</h2>
+    ${barTable(summary.by_business_type, 'Business type')}
+  </div>
+  <div>
+    <h2>By city</h2>
+    ${barTable(summary.by_city, 'City')}
+  </div>
+</section>
+
+<section class="columns">
+  <div>
+    <h2>Message length</h2>
+    ${barTable(Object.fromEntries(histogram.map(bin => [`${bin.from}–${bin.to}`, bin.count])), 'Characters', { sort: false })}
+  </div>
+  <div>
+    <h2>Demo links per message</h2>
+    ${barTable(messages.url_count_distribution, 'Links', { sort: false })}
+    ${Object.keys(messages.language_distribution).length > 0 ? `<h2>Languages</h2>${barTable(messages.language_distribution, 'Language')}` : ''}
+  </div>
+</section>
+
+<section>
+  <h2>Shortener</h2>
+  <table class="facts">
+    <tr><th>Adapter</th><td>${escapeHtml(shortener?.adapter ?? 'n/a')}</td></tr>
+    <tr><th>Mode</th><td class="${shortener?.mode === 'fallback' ? 'warn' : ''}">${escapeHtml(shortener?.mode ?? 'n/a')}</td></tr>
+    <tr><th>URLs requested</th><td>${shortening.total_requested}</td></tr>
+    <tr><th>Shortened</th><td>${shortening.successful - shortening.fallback_urls}</td></tr>
+    <tr><th>Reused from the link cache</th><td>${shortening.cached}</td></tr>
+    <tr><th>Left as original URLs (fallback)</th><td class="${shortening.fallback_urls > 0 && shortener?.mode !== 'skipped' ? 'warn' : ''}">${shortening.fallback_urls}</td></tr>
+    <tr><th>Failed batches (fallback)</th><td>${shortening.fallback_batches}</td></tr>
+    <tr><th>Failed</th><td>${shortening.failed}</td></tr>
+  </table>
+</section>
+
+<section>
+  <h2>Validation errors (${errors.length})</h2>
+  ${errors.length === 0
+    ? '<p class="ok">No validation errors.</p>'
+    : `<table class="errors"><thead><tr><th>Source</th><th>Error</th></tr></thead><tbody>
+${errors.map(error => `<tr><td>${escapeHtml(error.source)}</td><td>${escapeHtml(error.message)}</td></tr>`).join('\n')}
+</tbody></table>`}
+</section>
+
+<section>
+  <h2>Messages (${rows.length})</h2>
+  ${summary.resumed > 0 ? `<p class="meta">${summary.resumed} prospects exported by an interrupted run aren't listed.</p>` : ''}
+  <input id="search" type="search" placeholder="Search company, city, phone, message or link…" autocomplete="off">
+  <p class="meta"><span id="shown">${rows.length}</span> of ${rows.length} shown</p>
+  <table id="messages">
+    <thead><tr><th>Prospect</th><th>Message</th><th>Links</th></tr></thead>
+    <tbody>
+${rows.map(renderRow).join('\n')}
+    </tbody>
+  </table>
+</section>
+
+<script>${SEARCH_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * One prospect row of the messages table
+ */
+function renderRow(row) {
+  const details = [row.business_type, row.language, row.variant && `variant ${row.variant}`].filter(Boolean).join(' · ');
+  const links = row.demo_urls.map(demo => {
+    const fallback = demo.short_url === demo.original_url;
+    return `<li>${escapeHtml(demo.name)}: ${link(demo.short_url)}${fallback ? ' <span class="warn">(original URL)</span>' : ''}</li>`;
+  }).join('');
+
+  return `<tr>
+<td><strong>${escapeHtml(row.company)}</strong><br>${escapeHtml(row.city)}<br>${escapeHtml(row.phone)}<br><span class="meta">${escapeHtml(details)}</span></td>
+<td><div class="message">${escapeHtml(row.message.replace(/\\n/g, '\n'))}</div><span class="meta">${row.message.length} chars</span></td>
+<td><ul>${links}</ul>${row.whatsapp_url ? link(row.whatsapp_url, 'Open in WhatsApp') : ''}</td>
+</tr>`;
+}
+
+/**
+ * Summary figure card
+ */
+function card(label, value, warn = false) {
+  return `<div class="card${warn ? ' warn' : ''}"><span>${escapeHtml(label)}</span><strong>${escapeHtml(String(value))}</strong></div>`;
+}
+
+/**
+ * Table of counts with proportional bars
+ */
+function barTable(counts = {}, label, { sort = true } = {}) {
+  const entries = Object.entries(counts);
+  if (entries.length === 0) {
+    return '<p class="meta">No data.</p>';
+  }
+  if (sort) {
+    entries.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  const max = Math.max(...entries.map(([, count]) => count));
+  return `<table class="bars"><thead><tr><th>${escapeHtml(label)}</th><th>Count</th><th></th></tr></thead><tbody>
+${entries.map(([name, count]) => `<tr><td>${escapeHtml(name)}</td><td>${count}</td><td><div class="bar" style="width:${max > 0 ? Math.round(count / max * 100) : 0}%"></div></td></tr>`).join('\n')}
+</tbody></table>`;
+}
+
+/**
+ * Link that opens in a new tab
+ */
+function link(url, text = url) {
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`;
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #1f2328; }
+h1 { margin-bottom: 4px; }
+h2 { font-size: 1.1em; margin-top: 28px; }
+.meta { color: #656d76; font-size: 0.9em; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 12px; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px; }
+.card span { display: block; color: #656d76; font-size: 0.85em; }
+.card strong { font-size: 1.5em; }
+.card.warn { border-color: #d4a72c; background: #fff8c5; }
+.columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+.bars td:last-child { width: 50%; }
+.bar { background: #2da44e; height: 12px; border-radius: 2px; min-width: 1px; }
+.facts th { width: 40%; font-weight: normal; color: #656d76; }
+.warn { color: #9a6700; font-weight: 600; }
+.ok { color: #1a7f37; }
+.message { white-space: pre-wrap; max-width: 520px; }
+#messages ul { margin: 0; padding-left: 18px; }
+#search { width: 100%; padding: 8px; font-size: 1em; box-sizing: border-box; margin-top: 8px; }
+@media (max-width: 800px) { .columns { grid-template-columns: 1fr; } }
+`;
+
+const SEARCH_SCRIPT = `
+const search = document.getElementById('search');
+const rows = Array.from(document.querySelectorAll('#messages tbody tr'));
+const texts = rows.map(row => row.textContent.toLowerCase() + ' ' + Array.from(row.querySelectorAll('a')).map(a => a.href.toLowerCase()).join(' '));
+search.addEventListener('input', () => {
+  const terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  let shown = 0;
+  rows.forEach((row, index) => {
+    const match = terms.every(term => texts[index].includes(term));
+    row.hidden = !match;
+    shown += match ? 1 : 0;
+  });
+  document.getElementById('shown').textContent = shown;
+});
+`;
@@ -0,0 +1,97 @@
+import axios from 'axios';
+import { buildHeaders, getRequestMetadata, normalizeResult } from './common.js';
+
+/**
+ * Create an adapter for a bulk shortener API (POST { urls: [...] } → { success, results: [...] })
+ * @param {Object} settings - Adapter settings
+ * @param {string} settings.base_url - Shortener base URL
+ * @param {string} settings.endpoint - Bulk endpoint path
+ * @param {number} settings.timeout - Request timeout in milliseconds
+ * @param {Object} settings.headers - Extra request headers
+ * @returns {Object} Shortener adapter
+ */
+export function createBulkApiShortener(settings = {}) {
+  const { base_url: baseUrl, endpoint = '/api/bulk-upload', timeout = 60000, headers = {} } = settings;
+
+  if (!baseUrl) {
+    throw new Error('Bulk shortener needs a base_url (set it in the shortener config or with --shortener-url)');
+  }
+
+  const url = `${baseUrl}${endpoint}`;
+
+  return {
+    name: 'bulk',
+    target: url,
+
+    /**
+     * Check that the endpoint answers (there's no dedicated health endpoint, so send a one-URL request)
+     * @returns {Promise<number>} HTTP status
+     */
+    async healthCheck() {
+      const response = await axios.post(
+        url,
+        { urls: [{ original_url: 'https://example.com', metadata: { test: true } }] },
+        {
+          timeout: Math.min(timeout, 10000),
+          headers: buildHeaders(headers),
+          validateStatus: (status) => status < 500 // Accept anything except server errors
+        }
+      );
+      return response.status;
+    },
+
+    /**
+     * Shorten one chunk of URLs in a single request
+     * @param {Array} urlMappings - URL mappings from generateDemoUrls
+     * @returns {Promise<Array>} Normalized results
+     */
+    async shortenChunk(urlMappings) {
+      const response = await axios.post(
+        url,
+        {
+          urls: urlMappings.map(mapping => ({
+            original_url: mapping.original_url,
+            metadata: getRequestMetadata(mapping)
+          }))
+        },
+        { timeout, headers: buildHeaders(headers) }
+      );
+
+      if (!response.data || !response.data.success) {
+        throw new Error(`Bulk upload failed: ${response.data?.error || 'Unknown error'}`);
+      }
+
+      return normalizeBulkResults(urlMappings, response.data.results || []);
+    }
+  };
+}
+
+/**
+ * Pair bulk API results with the URL mappings they belong to
+ */
+function normalizeBulkResults(urlMappings, results) {
+  const byUrl = new Map();
+  urlMappings.forEach(mapping => {
+    if (!byUrl.has(mapping.original_url)) {
+      byUrl.set(mapping.original_url, []);
+    }
+    byUrl.get(mapping.original_url).push(mapping);
+  });
+
+  return results.map((result, index) => {
+    const mapping = byUrl.get(result.original_url)?.shift() || urlMappings[index] || {
+      original_url: result.original_url,
+      metadata: result.metadata
+    };
+
+    if (!result.success) {
+      return normalizeResult(mapping, { error: result.error || 'Unknown error' });
+    }
+
+    return normalizeResult(mapping, {
+      shortUrl: result.data?.shortUrl,
+      shortCode: result.data?.shortCode,
+      expiresAt: result.data?.expiresAt
+    });
+  });
+}
@@ -0,0 +1,100 @@
+// Headers sent by every shortener adapter
+const DEFAULT_HEADERS = {
+  'Content-Type': 'application/json',
+  'User-Agent': 'CSV-Campaign-Processor/1.0'
+};
+
+// Short links created without an expiry from the shortener are assumed to last 14 days
+const DEFAULT_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read a value from a nested object by dotted path
+ * @param {Object} object - Source object
+ * @param {string} path - e.g. "data.short_url" or "results.0.link"
+ * @returns {*} Value at the path, or undefined
+ */
+export function getPath(object, path) {
+  if (!path) {
+    return undefined;
+  }
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Build request headers, expanding ${ENV_VAR} references so tokens stay out of config files
+ * @param {Object} headers - Configured headers
+ * @returns {Object} Headers to send
+ */
+export function buildHeaders(headers = {}) {
+  const expanded = { ...DEFAULT_HEADERS };
+  Object.entries(headers).forEach(([name, value]) => {
+    let missing = false;
+    const resolved = String(value).replace(/\$\{([A-Z0-9_]+)\}/g, (_, variable) => {
+      missing = missing || process.env[variable] === undefined;
+      return process.env[variable] || '';
+    });
+
+    // Leave out headers that reference unset variables (e.g. a token that isn't configured)
+    if (!missing) {
+      expanded[name] = resolved;
+    }
+  });
+  return expanded;
+}
+
+/**
+ * Metadata sent to a shortener along with a URL
+ * @param {Object} mapping - URL mapping from generateDemoUrls
+ * @returns {Object} { prospect_id, business_type, company, variant }; company is absent with personalization
+ *   tokens and variant without A/B variants
+ */
+export function getRequestMetadata(mapping) {
+  const { prospect_id, business_type, company, variant } = mapping.metadata;
+  return {
+    prospect_id,
+    business_type,
+    ...(company !== undefined && { company }),
+    ...(variant && { variant })
+  };
+}
+
+/**
+ * Build a shortener result in the shape the rest of the pipeline expects
+ * @param {Object} mapping - URL mapping from generateDemoUrls
+ * @param {Object} fields - { shortUrl, shortCode, expiresAt } on success, or { error }
+ * @returns {Object} { success, original_url, data: { shortUrl, shortCode, originalUrl, expiresAt }, metadata, error }
+ */
+export function normalizeResult(mapping, fields) {
+  if (fields.error || !fields.shortUrl) {
+    return {
+      success: false,
+      original_url: mapping.original_url,
+      metadata: mapping.metadata,
+      error: fields.error || 'Shortener response has no short URL'
+    };
+  }
+
+  return {
+    success: true,
+    original_url: mapping.original_url,
+    data: {
+      shortUrl: fields.shortUrl,
+      shortCode: fields.shortCode || fields.shortUrl.split('/').pop(),
+      originalUrl: mapping.original_url,
+      expiresAt: normalizeExpiry(fields.expiresAt)
+    },
+    metadata: mapping.metadata
+  };
+}
+
+/**
+ * Convert an expiry (timestamp, ISO date or missing) to a millisecond timestamp
+ */
+function normalizeExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+    return Date.now() + DEFAULT_EXPIRY_MS;
+  }
+
+  const timestamp = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+  return Number.isNaN(timestamp) ? Date.now() + DEFAULT_EXPIRY_MS : timestamp;
+}
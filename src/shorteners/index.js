@@ -0,0 +1,83 @@
+import fs from 'fs-extra';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createBulkApiShortener } from './bulk-api.js';
+import { createRestShortener } from './rest.js';
+import { createNoneShortener } from './none.js';
+import { createLocalShortener } from './local.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SHORTENER_CONFIG_PATH = join(__dirname, '..', '..', 'config', 'shortener.json');
+
+// Adapter name → factory. Every adapter exposes { name, target, healthCheck(), shortenChunk(urlMappings) }
+// where shortenChunk resolves to results shaped by normalizeResult.
+const ADAPTERS = {
+  bulk: createBulkApiShortener,
+  rest: createRestShortener,
+  local: createLocalShortener,
+  none: createNoneShortener
+};
+
+export const SHORTENER_ADAPTERS = Object.keys(ADAPTERS);
+
+/**
+ * Load the shortener configuration
+ * A custom file only needs the adapters (and settings) it changes; the rest come from config/shortener.json.
+ * @param {string} configPath - Custom shortener config file (optional)
+ * @returns {Promise<Object>} { adapter, adapters: { name: settings } }
+ */
+export async function loadShortenerConfig(configPath) {
+  const defaults = await fs.readJson(SHORTENER_CONFIG_PATH);
+  if (!configPath) {
+    return defaults;
+  }
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Shortener config file not found: ${configPath}`);
+  }
+
+  const custom = await fs.readJson(configPath);
+  const adapters = { ...defaults.adapters };
+  Object.entries(custom.adapters || {}).forEach(([name, settings]) => {
+    adapters[name] = { ...adapters[name], ...settings };
+  });
+
+  return { adapter: custom.adapter || defaults.adapter, adapters };
+}
+
+/**
+ * Create the shortener adapter for a run
+ * @param {Object} config - Result of loadShortenerConfig
+ * @param {Object} overrides - CLI overrides
+ * @param {string} overrides.adapter - Adapter name (default: config.adapter)
+ * @param {string} overrides.url - Shortener URL (url for rest, base_url for the others)
+ * @returns {Object} Shortener adapter
+ */
+export function createShortenerFromConfig(config, { adapter, url } = {}) {
+  const name = adapter || config.adapter;
+  const settings = { ...(config.adapters?.[name] || {}) };
+
+  // SHORTENER_URL still points the bulk adapter elsewhere, as it did before adapters existed
+  const overrideUrl = url || (name === 'bulk' ? process.env.SHORTENER_URL : undefined);
+  if (overrideUrl) {
+    settings[name === 'rest' ? 'url' : 'base_url'] = overrideUrl;
+  }
+
+  return createShortener(name, settings);
+}
+
+/**
+ * Create a shortener adapter by name
+ * @param {string} name - Adapter name
+ * @param {Object} settings - Adapter settings
+ * @returns {Object} Shortener adapter
+ */
+export function createShortener(name, settings = {}) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown shortener adapter: "${name}". Must be one of: ${SHORTENER_ADAPTERS.join(', ')}`);
+  }
+  return factory(settings);
+}
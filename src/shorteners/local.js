@@ -0,0 +1,64 @@
+import fs from 'fs-extra';
+import { dirname } from 'path';
+import { loadLinkStore, saveLinkStore, addLink } from '../link-store.js';
+import { normalizeResult } from './common.js';
+
+/**
+ * Create an adapter that shortens URLs into a local link store, served by `serve-links`
+ * @param {Object} settings - Adapter settings
+ * @param {string} settings.store - Link store file path
+ * @param {string} settings.base_url - Public URL of the serve-links server
+ * @param {number} settings.code_length - Length of new short codes
+ * @param {number} settings.ttl_days - Days until a new link expires
+ * @returns {Object} Shortener adapter
+ */
+export function createLocalShortener(settings = {}) {
+  const { store: storePath = 'output/links.json', base_url: baseUrl = 'http://localhost:8787', code_length: codeLength = 7, ttl_days: ttlDays = 14 } = settings;
+
+  let storePromise = null;
+  let saving = Promise.resolve();
+
+  // The store is loaded once and saved after every chunk; saves are queued so concurrent chunks don't overlap
+  const getStore = () => {
+    storePromise = storePromise || loadLinkStore(storePath);
+    return storePromise;
+  };
+
+  return {
+    name: 'local',
+    target: storePath,
+
+    /**
+     * Check that the store can be read and written
+     * @returns {Promise<number>} 200 when usable
+     */
+    async healthCheck() {
+      await getStore();
+      await fs.ensureDir(dirname(storePath));
+      await fs.access(dirname(storePath), fs.constants.W_OK);
+      return 200;
+    },
+
+    /**
+     * Create short codes for a chunk of URLs and save them to the store
+     * @param {Array} urlMappings - URL mappings from generateDemoUrls
+     * @returns {Promise<Array>} Normalized results
+     */
+    async shortenChunk(urlMappings) {
+      const store = await getStore();
+      const results = urlMappings.map(mapping => {
+        const link = addLink(store, mapping.original_url, { codeLength, ttlDays });
+        return normalizeResult(mapping, {
+          shortUrl: `${baseUrl.replace(/\/$/, '')}/${link.code}`,
+          shortCode: link.code,
+          expiresAt: link.expires_at
+        });
+      });
+
+      saving = saving.then(() => saveLinkStore(store));
+      await saving;
+
+      return results;
+    }
+  };
+}
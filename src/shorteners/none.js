@@ -0,0 +1,23 @@
+import { normalizeResult } from './common.js';
+
+/**
+ * Create an adapter that keeps the original URLs
+ * @returns {Object} Shortener adapter
+ */
+export function createNoneShortener() {
+  return {
+    name: 'none',
+    target: 'original URLs',
+
+    async healthCheck() {
+      return 200;
+    },
+
+    async shortenChunk(urlMappings) {
+      return urlMappings.map(mapping => ({
+        ...normalizeResult(mapping, { shortUrl: mapping.original_url, shortCode: 'original' }),
+        fallback: true
+      }));
+    }
+  };
+}
@@ -0,0 +1,109 @@
+import axios from 'axios';
+import { buildHeaders, getPath, getRequestMetadata, normalizeResult } from './common.js';
+
+/**
+ * Create an adapter for a per-URL REST shortener (one request per URL)
+ * @param {Object} settings - Adapter settings
+ * @param {string} settings.url - Shorten endpoint
+ * @param {string} settings.method - HTTP method (GET sends the fields as query parameters)
+ * @param {number} settings.timeout - Request timeout in milliseconds
+ * @param {string} settings.health_url - URL checked before the run (default: settings.url)
+ * @param {Object} settings.headers - Extra request headers; ${ENV_VAR} references are expanded
+ * @param {Object} settings.request - { url_field, metadata_field, body } request shape
+ * @param {Object} settings.response - Dotted paths of short_url, short_code and expires_at in the response
+ * @returns {Object} Shortener adapter
+ */
+export function createRestShortener(settings = {}) {
+  const {
+    url,
+    method = 'POST',
+    timeout = 10000,
+    health_url: healthUrl,
+    headers = {},
+    request = {},
+    response = {}
+  } = settings;
+
+  if (!url) {
+    throw new Error('REST shortener needs a url (set it in the shortener config or with --shortener-url)');
+  }
+
+  if (!response.short_url) {
+    throw new Error('REST shortener needs response.short_url, the path of the short URL in the response');
+  }
+
+  const upperMethod = method.toUpperCase();
+
+  return {
+    name: 'rest',
+    target: url,
+
+    /**
+     * Check that the shortener is reachable
+     * @returns {Promise<number>} HTTP status
+     */
+    async healthCheck() {
+      const result = await axios.get(healthUrl || url, {
+        timeout,
+        headers: buildHeaders(headers),
+        validateStatus: (status) => status < 500
+      });
+      return result.status;
+    },
+
+    /**
+     * Shorten a chunk of URLs one request at a time
+     * A URL that fails is reported as a failed result; the chunk only fails as a whole when nothing
+     * got through, so a retry never creates a second short link for a URL that succeeded.
+     * @param {Array} urlMappings - URL mappings from generateDemoUrls
+     * @returns {Promise<Array>} Normalized results
+     */
+    async shortenChunk(urlMappings) {
+      const results = [];
+      let lastError;
+
+      for (const mapping of urlMappings) {
+        const fields = buildRequestFields(mapping, request);
+
+        try {
+          const { data } = await axios.request({
+            method: upperMethod,
+            url,
+            timeout,
+            headers: buildHeaders(headers),
+            ...(upperMethod === 'GET' ? { params: fields } : { data: fields })
+          });
+
+          results.push(normalizeResult(mapping, {
+            shortUrl: getPath(data, response.short_url),
+            shortCode: getPath(data, response.short_code),
+            expiresAt: getPath(data, response.expires_at)
+          }));
+        } catch (error) {
+          lastError = error;
+          results.push(normalizeResult(mapping, { error: error.message }));
+        }
+      }
+
+      if (lastError && results.every(result => !result.success)) {
+        throw lastError;
+      }
+
+      return results;
+    }
+  };
+}
+
+/**
+ * Build the request fields for one URL
+ */
+function buildRequestFields(mapping, request) {
+  const { url_field: urlField = 'url', metadata_field: metadataField, body = {} } = request;
+  const fields = { ...body, [urlField]: mapping.original_url };
+
+  if (metadataField) {
+    fields[metadataField] = getRequestMetadata(mapping);
+  }
+
+  return fields;
+}
@@ -0,0 +1,307 @@
+import fs from 'fs-extra';
+import { basename, dirname, extname } from 'path';
+import chalk from 'chalk';
+import { createObjectCsvWriter } from 'csv-writer';
+import { normalizePhoneNumber } from './phone-normalizer.js';
+import { normalizeCompanyName } from './deduplicator.js';
+import { openInputReader } from './input-readers.js';
+
+// Suppression list headers, by the kind of entry the column holds
+const ENTRY_COLUMNS = {
+  phone: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'whatsapp', 'number', 'msisdn'],
+  company: ['company', 'company name', 'business', 'business name', 'name', 'organization', 'organisation'],
+  domain: ['domain', 'website', 'url', 'web', 'site'],
+  email: ['email', 'email address', 'e mail']
+};
+
+// Map holding each kind of entry
+const ENTRY_MAPS = { phone: 'phones', company: 'companies', domain: 'domains', email: 'emails' };
+
+// Extra prospect columns that can hold a website or email address
+const PROSPECT_DOMAIN_FIELDS = ['website', 'web', 'site', 'url', 'domain', 'homepage', 'email', 'email_address'];
+
+// Extra prospect columns that can hold an email address
+const PROSPECT_EMAIL_FIELDS = ['email', 'email_address'];
+
+// Columns appended to the original row in the suppressed rows file
+const SUPPRESSED_COLUMNS = ['row_number', 'suppressed_by', 'suppressed_value', 'suppression_list'];
+
+/**
+ * Load do-not-contact lists
+ * TXT files hold one entry per line (# starts a comment). CSV/TSV files with a phone, company, domain or
+ * email column use those columns; other CSV files are read cell by cell like TXT lines. Untyped entries are
+ * taken as a phone number when they look like one, an email address when they contain @, a domain when they
+ * contain a dot, else a company name. Email addresses are kept whole: one opt-out at a shared mail provider
+ * must not suppress everyone else on it.
+ * @param {Array<string>} paths - Suppression list files
+ * @param {Object} options - Loading options
+ * @param {string} options.defaultCountry - ISO country code for phone numbers without a country code
+ * @returns {Promise<Object>} { phones, companies, domains, emails } maps of normalized entry → list file name, plus sources
+ */
+export async function loadSuppressionLists(paths = [], { defaultCountry = 'US' } = {}) {
+  const lists = { phones: new Map(), companies: new Map(), domains: new Map(), emails: new Map(), sources: [] };
+
+  for (const path of paths) {
+    if (!await fs.pathExists(path)) {
+      throw new Error(`Suppression list not found: ${path}`);
+    }
+
+    const source = { path, name: basename(path), entries: 0, invalid: [] };
+    const add = (kind, value) => {
+      const entry = normalizeEntry(kind, value, defaultCountry);
+      if (!entry) {
+        source.invalid.push(value);
+        return;
+      }
+      const map = lists[ENTRY_MAPS[entry.kind]];
+      if (!map.has(entry.key)) {
+        map.set(entry.key, source.name);
+      }
+      source.entries++;
+    };
+
+    for await (const [kind, value] of readEntries(path)) {
+      const trimmed = String(value ?? '').trim();
+      if (trimmed) {
+        add(kind, trimmed);
+      }
+    }
+
+    lists.sources.push(source);
+  }
+
+  return lists;
+}
+
+/**
+ * Read [kind, value] pairs from a suppression list, kind being null for untyped entries
+ */
+async function* readEntries(path) {
+  const extension = extname(path).toLowerCase();
+
+  if (extension !== '.csv' && extension !== '.tsv') {
+    const text = await fs.readFile(path, 'utf8');
+    for (const line of text.split(/\r?\n/)) {
+      const value = line.replace(/#.*$/, '');
+      if (value.trim()) {
+        yield [null, value];
+      }
+    }
+    return;
+  }
+
+  const reader = await openInputReader(path);
+  const typed = reader.headers
+    .map(header => [header, columnKind(header)])
+    .filter(([, kind]) => kind);
+
+  if (typed.length === 0) {
+    // No recognized header: the first line is an entry like the others
+    for (const header of reader.headers) {
+      yield [null, header];
+    }
+  }
+
+  for await (const row of reader.rows) {
+    if (row instanceof Error) {
+      throw new Error(`Suppression list ${path}: ${row.message}`);
+    }
+    if (typed.length > 0) {
+      for (const [header, kind] of typed) {
+        yield [kind, row[header]];
+      }
+    } else {
+      for (const value of Object.values(row)) {
+        yield [null, value];
+      }
+    }
+  }
+}
+
+/**
+ * Kind of entry a suppression list column holds, from its header
+ */
+function columnKind(header) {
+  const normalized = header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return Object.keys(ENTRY_COLUMNS).find(kind => ENTRY_COLUMNS[kind].includes(normalized)) || null;
+}
+
+/**
+ * Normalize a suppression entry for matching
+ * @returns {Object|null} { kind, key }, or null when the entry can't be used
+ */
+function normalizeEntry(kind, value, defaultCountry) {
+  const resolvedKind = kind || guessKind(value);
+
+  if (resolvedKind === 'phone') {
+    try {
+      return { kind: 'phone', key: normalizePhoneNumber(value, defaultCountry).e164 };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (resolvedKind === 'domain') {
+    const domain = toDomain(value);
+    return domain ? { kind: 'domain', key: domain } : null;
+  }
+
+  if (resolvedKind === 'email') {
+    const email = toEmail(value);
+    return email ? { kind: 'email', key: email } : null;
+  }
+
+  const company = normalizeCompanyName(value);
+  return company ? { kind: 'company', key: company } : null;
+}
+
+/**
+ * Guess what an untyped entry is
+ */
+function guessKind(value) {
+  if (/^\+?[\d\s().\-]{6,}$/.test(value) && /\d{6,}/.test(value.replace(/\D/g, ''))) {
+    return 'phone';
+  }
+  if (!/\s/.test(value) && value.includes('@')) {
+    return 'email';
+  }
+  if (!/\s/.test(value) && /^[^.]+(\.[^.]+)+$/.test(value.replace(/\/.*$/, ''))) {
+    return 'domain';
+  }
+  return 'company';
+}
+
+/**
+ * Extract the domain of a website, URL or email address
+ * @param {string} value - "https://www.example.com/menu", "example.com" or "owner@example.com"
+ * @returns {string|null} Lowercase domain without "www.", e.g. "example.com"
+ */
+export function toDomain(value) {
+  if (!value) {
+    return null;
+  }
+
+  const host = String(value).trim().toLowerCase()
+    .replace(/^[^@\s]*@/, '')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+/**
+ * Normalize an email address for matching
+ * @param {string} value - "Owner@Example.com" or "mailto:owner@example.com"
+ * @returns {string|null} Lowercase address, or null when the value isn't an email address
+ */
+export function toEmail(value) {
+  if (!value) {
+    return null;
+  }
+
+  const email = String(value).trim().toLowerCase().replace(/^mailto:/, '');
+  return /^[^@\s]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(email) ? email : null;
+}
+
+/**
+ * Check a prospect against the suppression lists
+ * Phones are compared in E.164, companies after name normalization, email addresses whole against the
+ * prospect's email columns, and domains against its website/email columns; a list entry such as example.com
+ * also covers shop.example.com.
+ * @param {Object} prospect - Parsed prospect
+ * @param {Object} lists - Lists from loadSuppressionLists
+ * @returns {Object|null} { by: 'phone' | 'company' | 'email' | 'domain', value, list }, or null when the prospect may be contacted
+ */
+export function findSuppression(prospect, lists) {
+  if (!lists) {
+    return null;
+  }
+
+  if (prospect.phone_e164 && lists.phones.has(prospect.phone_e164)) {
+    return { by: 'phone', value: prospect.phone_e164, list: lists.phones.get(prospect.phone_e164) };
+  }
+
+  if (lists.companies.size > 0 && prospect.company) {
+    const company = normalizeCompanyName(prospect.company);
+    if (lists.companies.has(company)) {
+      return { by: 'company', value: prospect.company, list: lists.companies.get(company) };
+    }
+  }
+
+  if (lists.emails.size > 0) {
+    for (const field of PROSPECT_EMAIL_FIELDS) {
+      const email = toEmail(prospect.extra?.[field]);
+      if (email && lists.emails.has(email)) {
+        return { by: 'email', value: email, list: lists.emails.get(email) };
+      }
+    }
+  }
+
+  if (lists.domains.size > 0) {
+    for (const field of PROSPECT_DOMAIN_FIELDS) {
+      const domain = toDomain(prospect.extra?.[field]);
+      if (!domain) {
+        continue;
+      }
+      // example.com, then every parent domain of shop.example.com
+      const labels = domain.split('.');
+      for (let start = 0; start < labels.length - 1; start++) {
+        const candidate = labels.slice(start).join('.');
+        if (lists.domains.has(candidate)) {
+          return { by: 'domain', value: candidate, list: lists.domains.get(candidate) };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Count how many suppressed prospects each rule kind and list accounted for
+ * @param {Array} suppressed - Records passed to onSuppress
+ * @returns {Object} { by: { phone, company, email, domain }, lists: { file name: count } }
+ */
+export function getSuppressionSummary(suppressed) {
+  return suppressed.reduce((summary, record) => {
+    summary.by[record.suppressed_by] = (summary.by[record.suppressed_by] || 0) + 1;
+    summary.lists[record.suppression_list] = (summary.lists[record.suppression_list] || 0) + 1;
+    return summary;
+  }, { by: {}, lists: {} });
+}
+
+/**
+ * Export suppressed rows to CSV so the exclusions can be audited
+ * @param {Array} suppressed - Records passed to onSuppress ({ row, row_number, suppressed_by, suppressed_value, suppression_list })
+ * @param {string} outputPath - Suppressed rows CSV file path
+ */
+export async function exportSuppressed(suppressed, outputPath) {
+  await fs.ensureDir(dirname(outputPath));
+
+  // Original columns in first-seen order, then the suppression columns
+  const columns = [];
+  suppressed.forEach(record => {
+    Object.keys(record.row).forEach(column => {
+      if (!columns.includes(column) && !SUPPRESSED_COLUMNS.includes(column)) {
+        columns.push(column);
+      }
+    });
+  });
+
+  const csvWriter = createObjectCsvWriter({
+    path: outputPath,
+    header: [...columns, ...SUPPRESSED_COLUMNS].map(id => ({ id, title: id }))
+  });
+
+  await csvWriter.writeRecords(suppressed.map(record => ({
+    ...record.row,
+    row_number: record.row_number,
+    suppressed_by: record.suppressed_by,
+    suppressed_value: record.suppressed_value,
+    suppression_list: record.suppression_list
+  })));
+
+  console.log(chalk.yellow(`   🚫 ${suppressed.length} suppressed rows written to ${outputPath}`));
+}
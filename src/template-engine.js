@@ -0,0 +1,320 @@
+// Message template language:
+//   {company}                 variable
+//   {extra.owner_name}        field of a namespace (e.g. extra input columns), not checked at load time
+//   {first_name|"there"}      fallback when the value is empty ("there"; always quoted)
+//   {company|upper}           filters: upper, lower, title, truncate:N (applied left to right)
+//   {#if city}...{else}...{/if}, {#unless city}...{/unless}
+//   {#each demos}...{/each}   loop; the body sees the item's fields plus index, first and last
+//   {> signature}             partial from the "partials" section
+//   {{ and }}                 literal braces
+// Templates are compiled once, so unknown variables, filters and partials fail at load time
+// instead of producing broken messages.
+
+const FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value => value.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, separator, letter) => separator + letter.toUpperCase()),
+  truncate: (value, length) => value.length > length ? value.slice(0, length - 1).trimEnd() + '…' : value
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+// Variables every loop body gets on top of the item's fields
+const LOOP_VARIABLES = ['index', 'first', 'last'];
+
+/**
+ * Compile a template
+ * @param {string} source - Template text
+ * @param {Object} options - Compile options
+ * @param {string} options.name - Template name used in error messages
+ * @param {Array} options.variables - Variables the template may use
+ * @param {Object} options.lists - Loopable lists: { name: [item fields] }
+ * @param {Object} options.partials - Partial templates by name
+ * @param {Array} options.namespaces - Objects whose fields can be used as {namespace.field}
+ * @returns {Object} { name, references, render(context) } where references lists the variables used
+ */
+export function compileTemplate(source, { name = 'template', variables = [], lists = {}, partials = {}, namespaces = [] } = {}) {
+  if (typeof source !== 'string') {
+    throw new Error(`Template "${name}" must be a string`);
+  }
+
+  const references = new Set();
+  const nodes = parseTemplate(source, { name, partials, lists, namespaces, references, scope: new Set(variables), partialStack: [] });
+
+  return {
+    name,
+    references: [...references],
+    render(context) {
+      return renderNodes(nodes, context);
+    }
+  };
+}
+
+/**
+ * Parse template text into a node tree, checking every reference against the scope
+ */
+function parseTemplate(source, state) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const fail = (message) => {
+    throw new Error(`Template "${state.name}": ${message}`);
+  };
+
+  let text = '';
+  const pushText = () => {
+    if (text) {
+      current().children.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+
+  let position = 0;
+  while (position < source.length) {
+    const char = source[position];
+
+    if (char === '{' && source[position + 1] === '{') {
+      text += '{';
+      position += 2;
+      continue;
+    }
+    if (char === '}' && source[position + 1] === '}') {
+      text += '}';
+      position += 2;
+      continue;
+    }
+    if (char === '}') {
+      fail(`unexpected "}" at position ${position} (write "}}" for a literal brace)`);
+    }
+    if (char !== '{') {
+      text += char;
+      position++;
+      continue;
+    }
+
+    const end = findTagEnd(source, position + 1);
+    if (end === -1) {
+      fail(`unclosed "{" at position ${position}`);
+    }
+    const tag = source.slice(position + 1, end).trim();
+    position = end + 1;
+    pushText();
+
+    if (tag.startsWith('#if ') || tag.startsWith('#unless ')) {
+      const [keyword, variable] = tag.slice(1).split(/\s+/, 2);
+      checkVariable(variable, current().scope || state.scope, state, fail);
+      const node = { type: 'if', negate: keyword === 'unless', variable, children: [], otherwise: null, scope: current().scope, closer: `/${keyword}` };
+      current().children.push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = current();
+      if (node.type !== 'if' || node.otherwise) {
+        fail('"{else}" outside of an {#if} or {#unless} block');
+      }
+      node.thenChildren = node.children;
+      node.otherwise = [];
+      node.children = node.otherwise;
+    } else if (tag.startsWith('#each ')) {
+      const list = tag.slice(6).trim();
+      if (!state.lists[list]) {
+        fail(`unknown list "${list}" in {#each}. Available lists: ${Object.keys(state.lists).join(', ') || 'none'}`);
+      }
+      const scope = new Set([...(current().scope || state.scope), ...state.lists[list], ...LOOP_VARIABLES]);
+      const node = { type: 'each', list, children: [], scope, closer: '/each' };
+      current().children.push(node);
+      stack.push(node);
+    } else if (tag.startsWith('/')) {
+      const node = current();
+      if (node.type === 'root' || node.closer !== tag) {
+        fail(`unexpected "{${tag}}"`);
+      }
+      if (node.type === 'if' && node.otherwise) {
+        node.children = node.thenChildren;
+      }
+      stack.pop();
+    } else if (tag.startsWith('>')) {
+      const partialName = tag.slice(1).trim();
+      if (state.partials[partialName] === undefined) {
+        fail(`unknown partial "${partialName}"`);
+      }
+      if (state.partialStack.includes(partialName)) {
+        fail(`partial "${partialName}" includes itself (${[...state.partialStack, partialName].join(' → ')})`);
+      }
+      const partialNodes = parseTemplate(state.partials[partialName], {
+        ...state,
+        name: `${state.name} > ${partialName}`,
+        scope: current().scope || state.scope,
+        partialStack: [...state.partialStack, partialName]
+      });
+      current().children.push(...partialNodes);
+    } else {
+      current().children.push(parseVariable(tag, current().scope || state.scope, state, fail));
+    }
+  }
+
+  pushText();
+  if (stack.length > 1) {
+    fail(`missing "{${current().closer}}"`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Find the "}" that closes a tag, skipping quoted fallback values
+ */
+function findTagEnd(source, start) {
+  let quoted = false;
+  for (let index = start; index < source.length; index++) {
+    if (source[index] === '"') {
+      quoted = !quoted;
+    } else if (source[index] === '}' && !quoted) {
+      return index;
+    } else if (source[index] === '{' && !quoted) {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse "name|fallback|filter:arg" into a variable node
+ */
+function parseVariable(tag, scope, state, fail) {
+  const [variable, ...segments] = splitPipes(tag);
+  checkVariable(variable, scope, state, fail);
+
+  const steps = segments.map(segment => {
+    if (segment.startsWith('"') && segment.endsWith('"') && segment.length >= 2) {
+      return { fallback: segment.slice(1, -1) };
+    }
+
+    // Unquoted segments are filters only, so a misspelled filter fails here instead of rendering as text
+    const [filter, arg] = segment.split(':').map(part => part.trim());
+    if (!Object.hasOwn(FILTERS, filter)) {
+      fail(`unknown filter "${filter}". Available filters: ${TEMPLATE_FILTERS.join(', ')} (quote fallback text: {${variable}|"${segment}"})`);
+    }
+
+    if (filter === 'truncate') {
+      const length = Number(arg);
+      if (!Number.isInteger(length) || length < 1) {
+        fail(`truncate needs a positive length, e.g. {${variable}|truncate:30}`);
+      }
+      return { filter, arg: length };
+    }
+
+    if (arg !== undefined) {
+      fail(`filter "${filter}" takes no argument`);
+    }
+    return { filter };
+  });
+
+  return { type: 'variable', variable, steps };
+}
+
+/**
+ * Split a variable tag on "|" outside of quotes
+ */
+function splitPipes(tag) {
+  const parts = [];
+  let part = '';
+  let quoted = false;
+
+  for (const char of tag) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === '|' && !quoted) {
+      parts.push(part.trim());
+      part = '';
+    } else {
+      part += char;
+    }
+  }
+  parts.push(part.trim());
+
+  return parts;
+}
+
+/**
+ * Make sure a variable is known where it is used, and record it
+ */
+function checkVariable(variable, scope, state, fail) {
+  if (!variable || !/^[a-z_][a-z0-9_]*(\.[a-z0-9_]+)?$/i.test(variable)) {
+    fail(`invalid variable name "${variable || ''}"`);
+  }
+
+  const [namespace, field] = variable.split('.');
+  if (field !== undefined && !state.namespaces.includes(namespace)) {
+    fail(`unknown namespace "${namespace}" in "${variable}"${state.namespaces.length > 0 ? `. Available namespaces: ${state.namespaces.join(', ')}` : ''}`);
+  }
+  if (field === undefined && !scope.has(variable)) {
+    fail(`unknown variable "${variable}". Available variables: ${[...scope].join(', ')}`);
+  }
+
+  state.references.add(variable);
+}
+
+/**
+ * Look up a variable, following namespace.field paths
+ */
+function lookup(context, variable) {
+  const [name, field] = variable.split('.');
+  return field === undefined ? context[name] : context[name]?.[field];
+}
+
+/**
+ * Render a node tree with a context
+ */
+function renderNodes(nodes, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    if (node.type === 'variable') {
+      return node.steps.reduce((value, step) => {
+        if (step.filter) {
+          return FILTERS[step.filter](value, step.arg);
+        }
+        return value === '' ? step.fallback : value;
+      }, toText(lookup(context, node.variable)));
+    }
+
+    if (node.type === 'if') {
+      const truthy = isPresent(lookup(context, node.variable));
+      const children = truthy !== node.negate ? node.children : node.otherwise;
+      return children ? renderNodes(children, context) : '';
+    }
+
+    // each
+    const items = context[node.list] || [];
+    return items.map((item, index) => renderNodes(node.children, {
+      ...context,
+      ...item,
+      index: index + 1,
+      first: index === 0,
+      last: index === items.length - 1
+    })).join('');
+  }).join('');
+}
+
+/**
+ * Whether a value counts as set for {#if}
+ */
+function isPresent(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+/**
+ * Convert a context value to text
+ */
+function toText(value) {
+  if (value === undefined || value === null || value === false) {
+    return '';
+  }
+  return String(value).trim();
+}
@@ -0,0 +1,108 @@
+import http from 'http';
+import chalk from 'chalk';
+import { TOKEN_PARAM, decodePersonalizationToken } from './personalization-token.js';
+
+/**
+ * Create the personalization token verification endpoint for the demo sites
+ * GET /verify?token=<token> answers 200 { valid: true, fields } with the decoded fields, or 400
+ * { valid: false, error } for a missing, tampered or foreign token. Anyone who can reach the endpoint with a
+ * token gets the prospect's company, city and phone back, so browsers are only answered for the demo sites'
+ * origins (403 otherwise, and never "*"). Requests without an Origin header (server-side calls) are answered:
+ * an Origin check can't stop scripts, so the endpoint must only be reachable by the demo sites.
+ * @param {string} secret - Secret the tokens were created with
+ * @param {Object} options - Server options
+ * @param {Array<string>} options.allowOrigins - Origins of the demo sites, e.g. ['https://plumbing-client-2.netlify.app']
+ * @param {Function} options.onVerify - Called with { time, valid, origin } for each verification (optional)
+ * @returns {http.Server} Server (not listening yet)
+ */
+export function createTokenServer(secret, { allowOrigins = [], onVerify } = {}) {
+  if (allowOrigins.length === 0) {
+    throw new Error('The token endpoint needs the origins of the demo sites (--allow-origin)');
+  }
+  if (allowOrigins.includes('*')) {
+    throw new Error('The token endpoint decodes personal data, so --allow-origin must name the demo sites instead of "*"');
+  }
+
+  return http.createServer((req, res) => {
+    const origin = req.headers.origin;
+    const cors = origin && allowOrigins.includes(origin)
+      ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Methods': 'GET, OPTIONS', Vary: 'Origin' }
+      : { Vary: 'Origin' };
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...cors });
+      res.end(JSON.stringify(payload));
+    };
+
+    // The endpoint is public, so a path that doesn't parse ("//", ...) is answered rather than thrown
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      reply(400, { valid: false, error: 'Malformed request path' });
+      return;
+    }
+    if (url.pathname !== '/verify') {
+      reply(404, { valid: false, error: 'Not found' });
+      return;
+    }
+    if (origin && !allowOrigins.includes(origin)) {
+      reply(403, { valid: false, error: 'Origin not allowed' });
+      onVerify?.({ time: new Date().toISOString(), valid: false, origin });
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET, OPTIONS', ...cors });
+      res.end();
+      return;
+    }
+
+    const token = url.searchParams.get(TOKEN_PARAM);
+    let result;
+    try {
+      if (!token) {
+        throw new Error(`Missing "${TOKEN_PARAM}" parameter`);
+      }
+      result = { status: 200, payload: { valid: true, fields: decodePersonalizationToken(token, secret) } };
+    } catch (error) {
+      result = { status: 400, payload: { valid: false, error: error.message } };
+    }
+
+    reply(result.status, result.payload);
+    onVerify?.({ time: new Date().toISOString(), valid: result.payload.valid, origin: req.headers.origin || '' });
+  });
+}
+
+/**
+ * Run the token verification endpoint
+ * @param {Object} options - Server options
+ * @param {string} options.secret - Token secret
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Interface to bind
+ * @param {Array<string>} options.allowOrigins - Origins of the demo sites
+ * @returns {Promise<http.Server>} Listening server
+ */
+export async function serveTokens({ secret, port, host, allowOrigins }) {
+  // The decoded fields are personal data, so only the outcome is logged
+  const server = createTokenServer(secret, {
+    allowOrigins,
+    onVerify: ({ time, valid, origin }) => {
+      const color = valid ? chalk.green : chalk.yellow;
+      console.log(color(`   ${time} ${valid ? 'valid' : 'invalid'} token${origin ? ` from ${origin}` : ''}`));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.log(chalk.green(`🔐 Verifying personalization tokens on http://${host}:${server.address().port}/verify?${TOKEN_PARAM}=...`));
+  console.log(chalk.gray(`   Allowed origins: ${allowOrigins.join(', ')}`));
+
+  return server;
+}
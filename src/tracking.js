@@ -0,0 +1,117 @@
+import fs from 'fs-extra';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { compileTemplate } from './template-engine.js';
+import { TOKEN_PARAM } from './personalization-token.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const TRACKING_CONFIG_PATH = join(__dirname, '..', 'config', 'tracking.json');
+
+// Values a tracking parameter template can use
+const TRACKING_VARIABLES = ['campaign', 'business_type', 'site', 'site_slot', 'prospect_id', 'prospect_ref', 'variant', 'language'];
+
+// Parameters the demo sites read for personalization
+const RESERVED_PARAMS = ['company', 'city', 'phone', TOKEN_PARAM];
+
+/**
+ * Reference to a prospect that can go in URLs and analytics without exposing the phone number
+ * It is derived from the normalized phone number, so the same prospect gets the same reference in every
+ * campaign and it can be joined back to the campaign file (prospect_ref column).
+ * @param {Object} prospect - Parsed prospect
+ * @returns {string} 12 hex characters
+ */
+export function getProspectRef(prospect) {
+  const key = prospect.phone_e164 || String(prospect.phone || '').replace(/\D/g, '');
+  return createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Load the tracking parameters for a campaign
+ * Parameters are layered: config/tracking.json, then the business type's "tracking", then the site's
+ * "tracking" in business-types.json. A layer can set a parameter to null to drop it.
+ * @param {Object} options - Tracking options
+ * @param {string} options.campaign - Campaign name ({campaign} in the templates)
+ * @param {Object} options.businessTypes - Business type registry
+ * @param {string} options.configPath - Path to tracking.json
+ * @returns {Promise<Object>} Tracker with paramsFor(prospect, businessType, siteIndex)
+ */
+export async function loadTracking({ campaign, businessTypes, configPath = TRACKING_CONFIG_PATH }) {
+  if (!campaign || !String(campaign).trim()) {
+    throw new Error('Campaign name cannot be empty');
+  }
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Tracking config not found: ${configPath}`);
+  }
+
+  const config = await fs.readJson(configPath);
+  const defaults = compileParams(config.params || {}, 'tracking');
+
+  // Compile every business type and site layer up front, so a bad template fails before any URL is made
+  const layers = {};
+  Object.entries(businessTypes).forEach(([type, entry]) => {
+    const typeParams = { ...defaults, ...compileParams(entry.tracking || {}, `${type}.tracking`) };
+    layers[type] = entry.sites.map((site, index) => {
+      const params = { ...typeParams, ...compileParams(site.tracking || {}, `${type}.sites[${index}].tracking`) };
+      const clash = Object.keys(params).find(name => params[name] && entry.url_params.includes(name));
+      if (clash) {
+        throw new Error(`Tracking parameter "${clash}" of business type "${type}" clashes with its url_params`);
+      }
+      return Object.entries(params).filter(([, template]) => template);
+    });
+  });
+
+  const name = String(campaign).trim();
+
+  return {
+    campaign: name,
+    paramsFor(prospect, businessType, siteIndex) {
+      const site = businessTypes[businessType].sites[siteIndex];
+      const context = {
+        campaign: name,
+        business_type: businessType,
+        site: site.display_name,
+        site_slot: String(siteIndex + 1),
+        prospect_id: prospect.id,
+        prospect_ref: getProspectRef(prospect),
+        variant: prospect.variant || '',
+        language: prospect.language || '',
+        extra: prospect.extra || {}
+      };
+
+      // Parameters that render empty (e.g. {variant} without variants) are left out
+      const params = {};
+      layers[businessType][siteIndex].forEach(([param, template]) => {
+        const value = template.render(context).trim();
+        if (value) {
+          params[param] = value;
+        }
+      });
+      return params;
+    }
+  };
+}
+
+/**
+ * Compile one layer of parameter templates, null values marking parameters to drop
+ */
+function compileParams(params, layerName) {
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error(`${layerName} must map query parameter names to templates`);
+  }
+
+  return Object.fromEntries(Object.entries(params).map(([param, source]) => {
+    if (!/^[A-Za-z0-9_.-]+$/.test(param)) {
+      throw new Error(`${layerName}: invalid query parameter name "${param}"`);
+    }
+    if (RESERVED_PARAMS.includes(param)) {
+      throw new Error(`${layerName}: can't override the "${param}" parameter`);
+    }
+    if (source === null) {
+      return [param, null];
+    }
+    return [param, compileTemplate(source, { name: `${layerName}.${param}`, variables: TRACKING_VARIABLES, namespaces: ['extra'] })];
+  }));
+}
@@ -1,33 +1,35 @@
-import fs from 'fs-extra';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import chalk from 'chalk';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { loadBusinessTypes, getBusinessTypeConfig } from './business-types.js';
+import { TOKEN_PARAM, createPersonalizationToken } from './personalization-token.js';
 
 /**
  * Generate personalized demo URLs for all prospects
  * @param {Array} prospects - Array of prospect objects
+ * @param {Object} options - Generation options
+ * @param {Function} options.onError - Called with (prospect, error) for prospects whose URLs can't be generated
+ * @param {Object} options.tracking - Tracker from loadTracking; adds the campaign's UTM parameters (optional)
+ * @param {string} options.tokenSecret - Replace the personalization parameters with a token made with this secret (optional)
  * @returns {Promise<Array>} Array of URL mappings for bulk upload
  */
-export async function generateDemoUrls(prospects) {
+export async function generateDemoUrls(prospects, options = {}) {
+  const { onError, tracking, tokenSecret } = options;
+  
   console.log(chalk.blue('🔗 Generating personalized demo URLs...'));
   
-  // Load business type configuration
-  const configPath = join(__dirname, '..', 'config', 'business-types.json');
-  const businessConfig = await fs.readJson(configPath);
+  // Load business type registry
+  const businessConfig = await loadBusinessTypes();
   
   const urlMappings = [];
   let totalUrls = 0;
   
   for (const prospect of prospects) {
     try {
-      const prospectUrls = generateUrlsForProspect(prospect, businessConfig);
+      const prospectUrls = generateUrlsForProspect(prospect, businessConfig, tracking, tokenSecret);
       urlMappings.push(...prospectUrls);
       totalUrls += prospectUrls.length;
     } catch (error) {
       console.log(chalk.red(`❌ Error generating URLs for ${prospect.company}: ${error.message}`));
+      onError?.(prospect, error);
     }
   }
   
@@ -51,27 +53,35 @@ export async function generateDemoUrls(prospects) {
 /**
  * Generate URLs for a single prospect
  * @param {Object} prospect - Prospect data
- * @param {Object} businessConfig - Business type configuration
+ * @param {Object} businessConfig - Business type registry
+ * @param {Object} tracking - Tracker from loadTracking (optional)
+ * @param {string} tokenSecret - Personalization token secret (optional)
  * @returns {Array} Array of URL mappings
  */
-function generateUrlsForProspect(prospect, businessConfig) {
-  const { id, company, city, phone, business_type } = prospect;
+function generateUrlsForProspect(prospect, businessConfig, tracking, tokenSecret) {
+  const { id, company, city, phone, business_type, variant } = prospect;
   
   // Get sites for this business type
-  const businessTypeConfig = businessConfig[business_type];
-  if (!businessTypeConfig) {
-    throw new Error(`No configuration found for business type: ${business_type}`);
-  }
+  const { sites, url_params: urlParams = [] } = getBusinessTypeConfig(businessConfig, business_type);
   
-  const sites = businessTypeConfig.sites;
-  if (!sites || sites.length === 0) {
-    throw new Error(`No demo sites configured for business type: ${business_type}`);
-  }
+  // Whitelisted extra columns, left out when the prospect has no value for them
+  const extraParams = {};
+  urlParams.forEach(param => {
+    if (prospect.extra?.[param]) {
+      extraParams[param] = prospect.extra[param];
+    }
+  });
+  
+  // With a token secret, company, city, phone and extra columns travel in one encrypted token instead of plaintext
+  const personalization = tokenSecret
+    ? { [TOKEN_PARAM]: createPersonalizationToken({ company, city, phone, ...extraParams }, tokenSecret) }
+    : { company, city, phone, ...extraParams };
   
   const urlMappings = [];
   
   sites.forEach((site, index) => {
-    const personalizedUrl = createPersonalizedUrl(site.url, company, city, phone);
+    const trackingParams = tracking ? tracking.paramsFor(prospect, business_type, index) : {};
+    const personalizedUrl = createPersonalizedUrl(site.url, { ...personalization, ...trackingParams });
     
     urlMappings.push({
       original_url: personalizedUrl,
@@ -80,7 +90,9 @@ function generateUrlsForProspect(prospect, businessConfig) {
         business_type: business_type,
         site_index: index,
         site_display_name: site.display_name,
-        company: company
+        // Shorteners store the metadata too, so the company is left out when it is tokenized
+        ...(!tokenSecret && { company }),
+        ...(variant && { variant })
       }
     });
   });
@@ -91,19 +103,18 @@ function generateUrlsForProspect(prospect, businessConfig) {
 /**
  * Create personalized URL with query parameters
  * @param {string} baseUrl - Base demo site URL
- * @param {string} company - Company name
- * @param {string} city - City name
- * @param {string} phone - Phone number
+ * @param {Object} params - Query parameters: company, city and phone (or the personalization token),
+ *   whitelisted extra columns and tracking parameters
  * @returns {string} Personalized URL
  */
-function createPersonalizedUrl(baseUrl, company, city, phone) {
+function createPersonalizedUrl(baseUrl, params) {
   try {
     const url = new URL(baseUrl);
     
     // Add personalization parameters
-    url.searchParams.set('company', company);
-    url.searchParams.set('city', city);
-    url.searchParams.set('phone', phone);
+    Object.entries(params).forEach(([name, value]) => {
+      url.searchParams.set(name, value);
+    });
     
     return url.toString();
   } catch (error) {
@@ -0,0 +1,116 @@
+import http from 'http';
+import { randomBytes } from 'crypto';
+import chalk from 'chalk';
+
+/**
+ * Create a local stand-in for the WhatsApp Business Cloud API messages endpoint
+ * It answers POST /<version>/<phone_number_id>/messages the way the Cloud API does, so the send command can be
+ * tried end to end without a Meta account. Every accepted message is kept in server.messages.
+ * @param {Object} options - Server options
+ * @param {string} options.token - Bearer token the server expects (default: any token)
+ * @param {Array} options.rejectNumbers - Recipients answered with a 400 "undeliverable" error
+ * @param {number} options.rateLimitEvery - Answer every Nth request with 429 and Retry-After: 1 (0 to disable)
+ * @param {Function} options.onMessage - Called with each accepted message (optional)
+ * @returns {http.Server} Server (not listening yet) with a messages array
+ */
+export function createWhatsAppMockServer({ token, rejectNumbers = [], rateLimitEvery = 0, onMessage } = {}) {
+  let requests = 0;
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, payload, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    };
+    const fail = (status, code, message, headers) => reply(status, { error: { message, type: 'OAuthException', code } }, headers);
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = /^\/(?:v[\d.]+\/)?([^/]+)\/messages$/.exec(pathname);
+    if (req.method !== 'POST' || !match) {
+      fail(404, 100, `Unknown path components: ${pathname}`);
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests++;
+
+      const authorization = req.headers.authorization || '';
+      if (!authorization.startsWith('Bearer ') || (token && authorization !== `Bearer ${token}`)) {
+        fail(401, 190, 'Invalid OAuth access token');
+        return;
+      }
+
+      if (rateLimitEvery > 0 && requests % rateLimitEvery === 0) {
+        fail(429, 130429, 'Rate limit hit', { 'Retry-After': '1' });
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        fail(400, 100, 'Invalid JSON body');
+        return;
+      }
+
+      if (message.messaging_product !== 'whatsapp' || !/^\d{6,15}$/.test(String(message.to || '')) ||
+          message.type !== 'text' || !message.text?.body) {
+        fail(400, 100, 'Invalid parameter');
+        return;
+      }
+
+      if (rejectNumbers.includes(message.to)) {
+        fail(400, 131026, 'Message undeliverable');
+        return;
+      }
+
+      const accepted = {
+        id: `wamid.${randomBytes(12).toString('hex')}`,
+        phone_number_id: match[1],
+        to: message.to,
+        text: message.text.body
+      };
+      server.messages.push(accepted);
+      onMessage?.(accepted);
+
+      reply(200, {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: message.to, wa_id: message.to }],
+        messages: [{ id: accepted.id }]
+      });
+    });
+  });
+
+  server.messages = [];
+  return server;
+}
+
+/**
+ * Run the mock Cloud API server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Interface to bind
+ * @param {Array} options.rejectNumbers - Recipients answered with an "undeliverable" error
+ * @param {number} options.rateLimitEvery - Answer every Nth request with 429
+ * @returns {Promise<http.Server>} Listening server
+ */
+export async function serveWhatsAppMock({ port, host, rejectNumbers, rateLimitEvery }) {
+  const server = createWhatsAppMockServer({
+    rejectNumbers,
+    rateLimitEvery,
+    onMessage: (message) => {
+      console.log(chalk.green(`   ${new Date().toISOString()} ${message.id} → ${message.to} (${message.text.length} chars)`));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.log(chalk.green(`📨 Mock WhatsApp Cloud API on http://${host}:${server.address().port}`));
+  console.log(chalk.gray(`   Send with: WHATSAPP_TOKEN=test WHATSAPP_PHONE_NUMBER_ID=1 node src/main.js send --base-url http://${host}:${server.address().port}/v20.0`));
+
+  return server;
+}
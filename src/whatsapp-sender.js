@@ -0,0 +1,388 @@
+import fs from 'fs-extra';
+import axios from 'axios';
+import chalk from 'chalk';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { openInputReader } from './input-readers.js';
+import { findSuppression } from './suppression.js';
+import { buildHeaders } from './shorteners/common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const WHATSAPP_CONFIG_PATH = join(__dirname, '..', 'config', 'whatsapp.json');
+
+// Click-to-chat links written by the campaign run; the phone and message are read back from them
+const CLICK_TO_CHAT_PATTERN = /^https:\/\/(api\.whatsapp\.com\/send|wa\.me\/)/;
+
+/**
+ * Load the WhatsApp Cloud API settings
+ * A custom file only needs the settings it changes; the rest come from config/whatsapp.json.
+ * @param {string} configPath - Custom config file (optional)
+ * @returns {Promise<Object>} Settings: base_url, phone_number_id, token, timeout, messages_per_second, burst,
+ *   concurrency, max_retries, retry_delay, preview_url
+ */
+export async function loadWhatsAppConfig(configPath) {
+  const defaults = await fs.readJson(WHATSAPP_CONFIG_PATH);
+  if (!configPath) {
+    return defaults;
+  }
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`WhatsApp config file not found: ${configPath}`);
+  }
+
+  return { ...defaults, ...await fs.readJson(configPath) };
+}
+
+/**
+ * Create a token bucket that paces sends
+ * The bucket starts full, so the first `burst` messages go out at once and the rest at `rate` per second.
+ * @param {Object} options - Bucket options
+ * @param {number} options.rate - Tokens added per second
+ * @param {number} options.burst - Bucket size (default: rate)
+ * @param {Function} options.now - Clock in milliseconds (tests)
+ * @param {Function} options.sleep - (ms) => Promise (tests)
+ * @returns {Object} { take(): Promise, available(): number }
+ */
+export function createTokenBucket({ rate, burst = rate, now = Date.now, sleep = defaultSleep }) {
+  if (!(rate > 0)) {
+    throw new Error(`Invalid send rate: ${rate}. Must be a positive number of messages per second`);
+  }
+  if (!(burst >= 1)) {
+    throw new Error(`Invalid burst: ${burst}. Must be at least 1`);
+  }
+
+  let tokens = burst;
+  let updatedAt = now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(burst, tokens + (current - updatedAt) * rate / 1000);
+    updatedAt = current;
+  };
+
+  return {
+    /**
+     * Wait for a token; concurrent callers are served in order
+     */
+    take() {
+      queue = queue.then(async () => {
+        refill();
+        while (tokens < 1) {
+          await sleep(Math.ceil((1 - tokens) * 1000 / rate));
+          refill();
+        }
+        tokens -= 1;
+      });
+      return queue;
+    },
+    available() {
+      refill();
+      return tokens;
+    }
+  };
+}
+
+/**
+ * Create a client for a WhatsApp Business Cloud API-compatible endpoint
+ * ${ENV_VAR} references in base_url, phone_number_id and token are expanded, so the token can stay out of the config file.
+ * @param {Object} config - Result of loadWhatsAppConfig
+ * @returns {Object} { url, send({ to, text }) } where send resolves to { message_id, wa_id }
+ */
+export function createWhatsAppClient(config) {
+  const baseUrl = expandSetting(config.base_url, 'base_url');
+  const phoneNumberId = expandSetting(config.phone_number_id, 'phone_number_id');
+  const token = expandSetting(config.token, 'token');
+  const { timeout = 15000, preview_url: previewUrl = true } = config;
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(phoneNumberId)}/messages`;
+
+  return {
+    url,
+    async send({ to, text }) {
+      const { data } = await axios.post(url, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'text',
+        text: { preview_url: previewUrl, body: text }
+      }, {
+        timeout,
+        headers: buildHeaders({ Authorization: `Bearer ${token}` })
+      });
+
+      const messageId = data?.messages?.[0]?.id;
+      if (!messageId) {
+        throw new Error('WhatsApp API response has no message id');
+      }
+      return { message_id: messageId, wa_id: data.contacts?.[0]?.wa_id || to };
+    }
+  };
+}
+
+/**
+ * Expand ${ENV_VAR} references in a setting, failing when a variable or the setting is missing
+ */
+function expandSetting(value, name) {
+  const expanded = String(value ?? '').replace(/\$\{([A-Z0-9_]+)\}/g, (_, variable) => {
+    if (process.env[variable] === undefined || process.env[variable] === '') {
+      throw new Error(`WhatsApp ${name} uses \${${variable}}, which is not set`);
+    }
+    return process.env[variable];
+  });
+
+  if (expanded.trim() === '') {
+    throw new Error(`WhatsApp ${name} is not configured (config/whatsapp.json)`);
+  }
+  return expanded.trim();
+}
+
+/**
+ * Read the messages of a campaign file
+ * The phone number and message come from the click-to-chat link of each row (the whatsapp_url column, or any column
+ * holding such a link, so export presets work too).
+ * @param {string} filePath - Campaign file written by the campaign run (CSV, JSON, NDJSON or XLSX)
+ * @param {Object} options - Reader options
+ * @param {string} options.format - Explicit input format
+ * @param {boolean} options.trustXlsx - Read an XLSX campaign file
+ * @returns {AsyncGenerator<Object>} { row_number, prospect_id, company, phone, text } or { row_number, prospect_id, company, error }
+ */
+export async function* readCampaignMessages(filePath, { format, trustXlsx = false } = {}) {
+  const { rows } = await openInputReader(filePath, { format, trustXlsx });
+  let rowNumber = 0;
+
+  for await (const row of rows) {
+    rowNumber++;
+    if (row instanceof Error) {
+      yield { row_number: rowNumber, prospect_id: null, error: row.message };
+      continue;
+    }
+
+    const prospectId = row.prospect_id || row.id || null;
+    const company = row.company || null;
+    const link = row.whatsapp_url || Object.values(row).find(value => CLICK_TO_CHAT_PATTERN.test(String(value)));
+
+    if (!link) {
+      yield { row_number: rowNumber, prospect_id: prospectId, company, error: 'No WhatsApp link in this row' };
+      continue;
+    }
+    if (String(link).startsWith('ERROR:')) {
+      yield { row_number: rowNumber, prospect_id: prospectId, company, error: String(link).slice('ERROR:'.length).trim() };
+      continue;
+    }
+
+    const parsed = parseClickToChatLink(String(link));
+    if (!parsed) {
+      yield { row_number: rowNumber, prospect_id: prospectId, company, error: `Can't read the phone number and message from ${link}` };
+      continue;
+    }
+
+    yield { row_number: rowNumber, prospect_id: prospectId, company, ...parsed };
+  }
+}
+
+/**
+ * Read the phone number and message of a click-to-chat link
+ * @param {string} link - https://api.whatsapp.com/send?phone=...&text=... or https://wa.me/<phone>?text=...
+ * @returns {Object|null} { phone, text } with the phone as digits, or null when the link has neither
+ */
+export function parseClickToChatLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return null;
+  }
+
+  const phone = (url.searchParams.get('phone') || url.pathname.slice(1)).replace(/\D/g, '');
+  const text = url.searchParams.get('text');
+  return phone && text ? { phone, text } : null;
+}
+
+/**
+ * Load the send log of earlier runs
+ * @param {string} logPath - NDJSON send log
+ * @returns {Promise<Map>} Phone → last record for that phone
+ */
+export async function loadSendLog(logPath) {
+  const records = new Map();
+  if (!await fs.pathExists(logPath)) {
+    return records;
+  }
+
+  const lines = createInterface({ input: createReadStream(logPath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      const record = JSON.parse(line);
+      records.set(record.phone, record);
+    } catch (error) {
+      // A record cut off by a crash mid-write; the send it belongs to is retried
+      console.log(chalk.yellow('   ⚠️  Ignoring an incomplete send log record'));
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Send campaign messages, pacing them with a token bucket and appending each outcome to the send log
+ * Numbers already marked "sent" in the log are skipped, so a run can be repeated after a failure without
+ * messaging anyone twice. Failed sends are retried by the next run.
+ * @param {AsyncIterable} messages - Messages from readCampaignMessages
+ * @param {Object} options - Send options
+ * @param {Object} options.client - Client from createWhatsAppClient (not needed for dry runs)
+ * @param {Object} options.bucket - Token bucket from createTokenBucket
+ * @param {string} options.logPath - NDJSON send log
+ * @param {boolean} options.dryRun - Check the messages and the log without sending or logging anything
+ * @param {number} options.concurrency - Requests in flight at once
+ * @param {number} options.limit - Stop after this many send attempts (optional)
+ * @param {number} options.maxRetries - Attempts per message for rate limits, server and network errors
+ * @param {number} options.retryDelay - First retry delay in milliseconds (doubled per attempt)
+ * @param {Object} options.suppression - Do-not-contact lists from loadSuppressionLists; matching numbers and companies are never sent (optional)
+ * @param {Function} options.onResult - Called with every record (optional)
+ * @returns {Promise<Object>} { sent, failed, skipped, suppressed, already_sent, duplicates, deferred, would_send }
+ */
+export async function sendCampaignMessages(messages, {
+  client,
+  bucket,
+  logPath,
+  dryRun = false,
+  concurrency = 1,
+  limit,
+  maxRetries = 3,
+  retryDelay = 1000,
+  suppression,
+  onResult
+}) {
+  const summary = { sent: 0, failed: 0, skipped: 0, suppressed: 0, already_sent: 0, duplicates: 0, deferred: 0, would_send: 0 };
+  const sendLog = await loadSendLog(logPath);
+  const seen = new Set();
+  let attempts = 0;
+
+  if (!dryRun) {
+    await fs.ensureDir(dirname(logPath));
+  }
+
+  // Rows are pulled one at a time, so concurrent workers never read the file side by side
+  const iterator = messages[Symbol.asyncIterator]();
+  let pulling = Promise.resolve();
+  const nextMessage = () => {
+    pulling = pulling.then(() => iterator.next());
+    return pulling;
+  };
+
+  let logging = Promise.resolve();
+  const record = (entry) => {
+    const result = { time: new Date().toISOString(), ...entry };
+    onResult?.(result);
+    if (!dryRun && result.status !== 'already_sent' && result.status !== 'duplicate') {
+      logging = logging.then(() => fs.appendFile(logPath, JSON.stringify(result) + '\n'));
+      return logging;
+    }
+  };
+
+  const worker = async () => {
+    while (true) {
+      const { done, value: message } = await nextMessage();
+      if (done) {
+        return;
+      }
+
+      const { row_number: rowNumber, prospect_id: prospectId, company, phone } = message;
+
+      if (message.error) {
+        summary.skipped++;
+        await record({ row_number: rowNumber, prospect_id: prospectId, company, phone: phone || null, status: 'skipped', error: message.error });
+        continue;
+      }
+
+      // Opt-outs that arrived after the campaign file was generated
+      const suppressed = findSuppression({ phone_e164: `+${phone}`, company }, suppression);
+      if (suppressed) {
+        summary.suppressed++;
+        await record({ row_number: rowNumber, prospect_id: prospectId, company, phone, status: 'suppressed', error: `${suppressed.by} on ${suppressed.list}` });
+        continue;
+      }
+
+      if (sendLog.get(phone)?.status === 'sent') {
+        summary.already_sent++;
+        await record({ row_number: rowNumber, prospect_id: prospectId, company, phone, status: 'already_sent' });
+        continue;
+      }
+      if (seen.has(phone)) {
+        summary.duplicates++;
+        await record({ row_number: rowNumber, prospect_id: prospectId, company, phone, status: 'duplicate' });
+        continue;
+      }
+      seen.add(phone);
+
+      if (limit !== undefined && attempts >= limit) {
+        summary.deferred++;
+        continue;
+      }
+      attempts++;
+
+      if (dryRun) {
+        summary.would_send++;
+        await record({ row_number: rowNumber, prospect_id: prospectId, company, phone, status: 'dry_run', characters: message.text.length });
+        continue;
+      }
+
+      const outcome = await sendWithRetry(client, bucket, message, { maxRetries, retryDelay });
+      summary[outcome.status === 'sent' ? 'sent' : 'failed']++;
+      await record({ row_number: rowNumber, prospect_id: prospectId, company, phone, ...outcome });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  await logging;
+
+  return summary;
+}
+
+/**
+ * Send one message, retrying rate limits (429), server errors and network errors
+ */
+async function sendWithRetry(client, bucket, message, { maxRetries, retryDelay }) {
+  for (let attempt = 1; ; attempt++) {
+    await bucket.take();
+
+    try {
+      const { message_id: messageId, wa_id: waId } = await client.send({ to: message.phone, text: message.text });
+      return { status: 'sent', message_id: messageId, wa_id: waId, attempts: attempt };
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !error.response || status === 429 || status >= 500;
+
+      if (!retryable || attempt >= maxRetries) {
+        return {
+          status: 'failed',
+          http_status: status || null,
+          error_code: error.response?.data?.error?.code ?? null,
+          error: error.response?.data?.error?.message || error.message,
+          attempts: attempt
+        };
+      }
+
+      // Honor Retry-After on rate limits, otherwise back off exponentially
+      const retryAfter = Number(error.response?.headers?.['retry-after']);
+      const delay = status === 429 && retryAfter > 0 ? retryAfter * 1000 : retryDelay * 2 ** (attempt - 1);
+      console.log(chalk.yellow(`   ⚠️  Send to ${message.phone} failed (${status || error.code || error.message}), retrying in ${delay}ms...`));
+      await defaultSleep(delay);
+    }
+  }
+}
+
+/**
+ * Sleep for specified milliseconds
+ */
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
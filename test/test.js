@@ -2,19 +2,49 @@
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tmpdir } from 'os';
+import fs from 'fs-extra';
+import http from 'http';
+import { once } from 'events';
 import chalk from 'chalk';
+import XLSX from 'xlsx';
 
 // Import modules to test
-import { parseProspectsCSV } from '../src/csv-parser.js';
+import { parseProspectsCSV, streamProspects, getProspectsSummary } from '../src/csv-parser.js';
 import { generateDemoUrls, groupUrlsByProspect, validateUrlGeneration } from '../src/url-generator.js';
-import { createFallbackResults, validateBulkUploadResults } from '../src/bulk-uploader.js';
-import { generateWhatsAppMessages, validateMessages } from '../src/message-generator.js';
+import { bulkUploadToShortener, createFallbackResults, validateBulkUploadResults } from '../src/bulk-uploader.js';
+import { generateWhatsAppMessages, addWhatsAppUrls, validateMessages, getMessageStatistics, loadMessageTemplates, assignVariant, generateMessagePreviews } from '../src/message-generator.js';
+import { compileTemplate } from '../src/template-engine.js';
+import { loadBusinessTypes, getBusinessTypeNames, getDefaultBusinessType, resolveBusinessType } from '../src/business-types.js';
+import { normalizePhoneNumber, formatPhoneNumber } from '../src/phone-normalizer.js';
+import { deduplicateProspects, getDuplicatesReport } from '../src/deduplicator.js';
+import { resolveHeaderMap, parseColumnMapArg } from '../src/header-mapper.js';
+import { createRunStats, finalizeRunStats, processBatch, timeStage } from '../src/pipeline.js';
+import { toReportRows, buildLengthHistogram, writeCampaignReport } from '../src/report.js';
+import { createRunManifest, getManifestOptions, getShortenerMode, recordRunStages, writeRunManifest } from '../src/manifest.js';
+import { createShortener } from '../src/shorteners/index.js';
+import { CAMPAIGN_COLUMNS, createCampaignWriter, parseOutputColumns, detectOutputFormat } from '../src/exporter.js';
+import { loadExportPresets } from '../src/export-presets.js';
+import { loadSuppressionLists, findSuppression, exportSuppressed } from '../src/suppression.js';
+import { loadTracking, getProspectRef } from '../src/tracking.js';
+import { createPersonalizationToken, decodePersonalizationToken, getTokenSecret } from '../src/personalization-token.js';
+import { createTokenServer } from '../src/token-server.js';
+import { MAX_LINT_FINDINGS, loadLintRules, createMessageLinter, createLintStats, lintMessages } from '../src/message-linter.js';
+import { createTokenBucket, createWhatsAppClient, readCampaignMessages, sendCampaignMessages } from '../src/whatsapp-sender.js';
+import { createWhatsAppMockServer } from '../src/whatsapp-mock-server.js';
+import { createLinkServer } from '../src/link-server.js';
+import { loadLinkStore, saveLinkStore, addLink } from '../src/link-store.js';
+import { loadLinkCache, getCacheNamespace, pruneLinkCache, summarizeLinkCache } from '../src/link-cache.js';
+import { openCheckpoint, recordShortened, recordExported, flushCheckpoint, restoreOutput, isExported, hashRunOptions, hashFile } from '../src/checkpoint.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Test data
 const sampleCsvPath = join(__dirname, 'sample-data', 'sample-prospects.csv');
+const internationalCsvPath = join(__dirname, 'sample-data', 'international-prospects.csv');
+const duplicateCsvPath = join(__dirname, 'sample-data', 'duplicate-prospects.csv');
+const googleMapsCsvPath = join(__dirname, 'sample-data', 'google-maps-export.csv');
 
 async function runTests() {
   console.log(chalk.bold.blue('\n🧪 CSV Campaign Processor - Test Suite\n'));
@@ -151,17 +181,17 @@ async function runTests() {
     const sampleMessage = prospectsWithMessages[0];
     
     if (!sampleMessage.whatsapp_message.includes(sampleMessage.company)) {
-      console.log(chalk.red('   ❌ Message doesn\\'t include company name'));
+      console.log(chalk.red('   ❌ Message doesn\'t include company name'));
       contentValidationPassed = false;
     }
     
     if (!sampleMessage.whatsapp_message.includes(sampleMessage.city)) {
-      console.log(chalk.red('   ❌ Message doesn\\'t include city name'));
+      console.log(chalk.red('   ❌ Message doesn\'t include city name'));
       contentValidationPassed = false;
     }
     
     if (!sampleMessage.whatsapp_message.includes('short.ly') && !sampleMessage.whatsapp_message.includes('https://')) {
-      console.log(chalk.red('   ❌ Message doesn\\'t include any URLs'));
+      console.log(chalk.red('   ❌ Message doesn\'t include any URLs'));
       contentValidationPassed = false;
     }
     
@@ -205,6 +235,1383 @@ async function runTests() {
       console.log(chalk.red(`   ❌ Processing took ${processingTime}ms (over 5s threshold)`));
     }
     
+    // Test 11: Business Type Registry
+    console.log(chalk.blue('\n📚 Test 11: Business Type Registry'));
+    totalTests++;
+    
+    const businessTypes = await loadBusinessTypes();
+    const typeNames = getBusinessTypeNames(businessTypes);
+    
+    // Without a "default": true entry the first type is the fallback; two defaults are a config error
+    const registryDir = await fs.mkdtemp(join(tmpdir(), 'campaign-registry-'));
+    let firstTypeDefault = null;
+    let doubleDefault = null;
+    try {
+      const site = { url: 'https://demo.test', display_name: 'Demo' };
+      const firstTypePath = join(registryDir, 'first-type.json');
+      await fs.writeJson(firstTypePath, { roofing: { sites: [site] }, painting: { sites: [site] } });
+      firstTypeDefault = getDefaultBusinessType(await loadBusinessTypes(firstTypePath));
+      const doubleDefaultPath = join(registryDir, 'double-default.json');
+      await fs.writeJson(doubleDefaultPath, { roofing: { default: true, sites: [site] }, painting: { default: true, sites: [site] } });
+      await loadBusinessTypes(doubleDefaultPath);
+    } catch (error) {
+      doubleDefault = error.message;
+    } finally {
+      await fs.remove(registryDir);
+    }
+    
+    if (typeNames.includes('plumbing') &&
+        resolveBusinessType(businessTypes, 'Plumbers') === 'plumbing' &&
+        resolveBusinessType(businessTypes, ' gardening ') === 'landscaping' &&
+        resolveBusinessType(businessTypes, 'contractor') === null &&
+        ['constructor', '__proto__', 'toString', 'hasOwnProperty'].every(name => resolveBusinessType(businessTypes, name) === null) &&
+        getDefaultBusinessType(businessTypes) === 'general' && firstTypeDefault === 'roofing' &&
+        doubleDefault?.includes('Only one business type can be the default')) {
+      console.log(chalk.green(`   ✅ Registry resolves names and aliases (${typeNames.join(', ')})`));
+      passedTests++;
+    } else {
+      console.log(chalk.red(`   ❌ Registry failed to resolve business type aliases (default ${getDefaultBusinessType(businessTypes)}, ${firstTypeDefault}, ${doubleDefault})`));
+    }
+    
+    // Test 12: International Phone Normalization
+    console.log(chalk.blue('\n📞 Test 12: International Phone Normalization'));
+    totalTests++;
+    
+    const internationalProspects = await parseProspectsCSV(internationalCsvPath, 'general', { defaultCountry: 'US' });
+    const e164Numbers = internationalProspects.map(p => p.phone_e164);
+    const expectedE164 = ['+15551234567', '+442079460958', '+34612345678', '+14165550199'];
+    
+    let usWithTrunk;
+    try {
+      usWithTrunk = normalizePhoneNumber('1 (555) 123-4567', 'US').e164;
+    } catch (error) {
+      usWithTrunk = error.message;
+    }
+    
+    // The trunk prefix goes even when the number would pass with it, and "(0)" after a calling code is dropped
+    const trunkCases = [
+      ['030 12345678', 'DE', '+493012345678'],
+      ['01 234 5678', 'IE', '+35312345678'],
+      ['03-123-4567', 'IL', '+97231234567'],
+      ['09 123 4567', 'NZ', '+6491234567'],
+      ['+44 (0)20 7946 0958', 'US', '+442079460958'],
+      ['0044 (0)20 7946 0958', 'US', '+442079460958']
+    ];
+    const trunkResults = trunkCases.map(([phone, country]) => {
+      try {
+        return normalizePhoneNumber(phone, country).e164;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    
+    if (JSON.stringify(e164Numbers) === JSON.stringify(expectedE164) && usWithTrunk === '+15551234567' &&
+        trunkResults.every((result, index) => result === trunkCases[index][2])) {
+      console.log(chalk.green('   ✅ Phones normalized to E.164 and invalid rows rejected'));
+      passedTests++;
+    } else {
+      console.log(chalk.red(`   ❌ Unexpected E.164 numbers: ${e164Numbers.join(', ')} / ${usWithTrunk} / ${trunkResults.join(', ')}`));
+    }
+    
+    // Test 13: Duplicate Detection
+    console.log(chalk.blue('\n👯 Test 13: Duplicate Detection'));
+    totalTests++;
+    
+    const phoneDeduped = await parseProspectsCSV(duplicateCsvPath, 'general', { dedupePolicy: 'first' });
+    const mergedProspects = await parseProspectsCSV(duplicateCsvPath, 'general', { dedupePolicy: 'merge', fuzzyDedupe: true });
+    const mergedSmith = mergedProspects.find(p => p.original_row === 1);
+    const duplicatesReport = getDuplicatesReport(mergedProspects);
+    
+    // A merge fills every empty field from the duplicate, extra columns included, and most-complete counts the same fields
+    const sparseRow = {
+      id: 'prospect_0001', company: 'Smith Plumbing', city: 'Austin', phone: '(555) 123-4567', phone_e164: '+15551234567', country: 'US',
+      business_type: 'plumbing', language: null, original_row: 1, used_fallback_type: false, extra: { website: '', owner_name: 'Ann' }
+    };
+    const fullerRow = {
+      ...sparseRow, id: 'prospect_0002', company: 'Smith Plumbing Services', original_row: 2, language: 'es',
+      extra: { website: 'https://smith.test', owner_name: '', google_rating: '4.8' }
+    };
+    const [fieldMerged] = deduplicateProspects([sparseRow, fullerRow], { policy: 'merge' });
+    const [mostComplete] = deduplicateProspects([fullerRow, { ...sparseRow, company: 'Smith Plumbing Services LLC', original_row: 3 }], { policy: 'most-complete' });
+    
+    if (phoneDeduped.length === 5 && mergedProspects.length === 4 &&
+        mergedSmith.company === 'Smith Plumbing LLC' && mergedSmith.business_type === 'plumbing' &&
+        fieldMerged.id === 'prospect_0001' && fieldMerged.language === 'es' && fieldMerged.company === 'Smith Plumbing' &&
+        JSON.stringify(fieldMerged.extra) === JSON.stringify({ website: 'https://smith.test', owner_name: 'Ann', google_rating: '4.8' }) &&
+        sparseRow.extra.website === '' && mostComplete.id === 'prospect_0002' &&
+        duplicatesReport.map(d => `${d.collapsed_row}->${d.prospect_id}`).join(',') === '3->prospect_0001,5->prospect_0004') {
+      console.log(chalk.green('   ✅ Duplicates collapsed by phone and fuzzy company+city'));
+      passedTests++;
+    } else {
+      console.log(chalk.red(`   ❌ Unexpected dedupe result: ${phoneDeduped.length}/${mergedProspects.length} prospects, merged ${JSON.stringify(fieldMerged)}, most complete ${mostComplete.id}`));
+    }
+    
+    // Test 14: Rejected Rows
+    console.log(chalk.blue('\n🗂️  Test 14: Rejected Rows'));
+    totalTests++;
+    
+    const rejections = [];
+    await parseProspectsCSV(internationalCsvPath, 'general', { onReject: rejection => rejections.push(rejection) });
+    
+    const failedStage = [];
+    const orphanProspect = { ...prospects[0], id: 'prospect_9999', original_row: 99 };
+    const stageResults = await generateWhatsAppMessages([orphanProspect], groupedUrls, {
+      onError: (prospect, error) => failedStage.push(error.message)
+    });
+    
+    if (rejections.map(r => `${r.row_number}:${r.error_field}`).join(',') === '5:phone,6:country' &&
+        rejections[0].row.company === 'Short Number Co' &&
+        stageResults.length === 0 && failedStage.length === 1) {
+      console.log(chalk.green('   ✅ Rejected rows keep their columns, row numbers and reasons'));
+      passedTests++;
+    } else {
+      console.log(chalk.red(`   ❌ Unexpected rejections: ${rejections.map(r => r.error_message).join('; ')}`));
+    }
+    
+    // Test 15: Header Aliasing
+    console.log(chalk.blue('\n🏷️  Test 15: Header Aliasing'));
+    totalTests++;
+    
+    const aliasedProspects = await parseProspectsCSV(googleMapsCsvPath);
+    const apolloHeaders = ['Company', 'City', 'Mobile Phone', 'Corporate Phone'];
+    const ambiguousResolution = resolveHeaderMap(apolloHeaders);
+    const mappedResolution = resolveHeaderMap(apolloHeaders, parseColumnMapArg('phone="Mobile Phone"'));
+    // Headers and --map fields named after Object.prototype members are ordinary names
+    const prototypeResolution = resolveHeaderMap(['Company', 'City', 'Phone', 'constructor', '__proto__'], { constructor: 'Company' });
+    
+    if (aliasedProspects.length === 3 && aliasedProspects[0].company === 'Smith Plumbing Services' &&
+        aliasedProspects[1].business_type === 'landscaping' &&
+        ambiguousResolution.ambiguous[0]?.field === 'phone' &&
+        mappedResolution.map['Mobile Phone'] === 'phone' && mappedResolution.ambiguous.length === 0 &&
+        prototypeResolution.problems[0]?.startsWith('Unknown field "constructor"') && prototypeResolution.map.Company === 'company' &&
+        prototypeResolution.extra.constructor === 'constructor' && prototypeResolution.extra.__proto__ === 'proto') {
+      console.log(chalk.green('   ✅ Header aliases and --map resolve input columns'));
+      passedTests++;
+    } else {
+      console.log(chalk.red(`   ❌ Header aliasing failed (${JSON.stringify({ ...prototypeResolution, map: { ...prototypeResolution.map }, extra: { ...prototypeResolution.extra } })})`));
+    }
+    
+    // Test 16: Input Formats
+    console.log(chalk.blue('\n📂 Test 16: Input Formats'));
+    totalTests++;
+    
+    const formatResults = {};
+    for (const format of ['tsv', 'json', 'ndjson']) {
+      const formatProspects = await parseProspectsCSV(join(__dirname, 'sample-data', `sample-prospects.${format}`));
+      formatResults[format] = formatProspects.map(p => `${p.company}|${p.phone_e164}|${p.business_type}`).join(';');
+    }
+    const csvSignature = prospects.map(p => `${p.company}|${p.phone_e164}|${p.business_type}`).join(';');
+    
+    const workbookRejections = [];
+    const workbookProspects = await parseProspectsCSV(join(__dirname, 'sample-data', 'sample-prospects.xlsx'), 'general', {
+      sheet: 'Prospects',
+      trustXlsx: true,
+      onReject: rejection => workbookRejections.push(rejection)
+    });
+    // Workbooks are only parsed when the caller vouches for them
+    let untrustedWorkbookError = null;
+    try {
+      await parseProspectsCSV(join(__dirname, 'sample-data', 'sample-prospects.xlsx'), 'general', { sheet: 'Prospects' });
+    } catch (error) {
+      untrustedWorkbookError = error.message;
+    }
+    
+    // Empty and header-only files must fail, not leave the parse pending until the process quietly exits
+    const emptyInputDir = await fs.mkdtemp(join(tmpdir(), 'campaign-empty-input-'));
+    const emptyInputError = async (content) => {
+      const path = join(emptyInputDir, 'input.csv');
+      await fs.writeFile(path, content);
+      let timer;
+      try {
+        await Promise.race([
+          parseProspectsCSV(path),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('parse never settled')), 5000);
+          })
+        ]);
+        return null;
+      } catch (error) {
+        return error.message;
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+    const emptyFileError = await emptyInputError('');
+    const headerOnlyError = await emptyInputError('company,city,phone,business_type\n');
+    await fs.remove(emptyInputDir);
+    
+    if (Object.values(formatResults).every(signature => signature === csvSignature) &&
+        emptyFileError === 'Input file has no header row' && headerOnlyError === 'No valid prospects found in input file' &&
+        workbookProspects.length === 3 && workbookProspects[1].phone_e164 === '+16025559876' &&
+        workbookRejections.length === 1 && workbookRejections[0].row_number === 4 &&
+        untrustedWorkbookError?.startsWith('XLSX/XLS input is only read with --trust-xlsx')) {
+      console.log(chalk.green('   ✅ TSV, JSON, NDJSON and XLSX inputs go through the same validation'));
+      passedTests++;
+    } else {
+      console.log(chalk.red(`   ❌ Input formats produced different prospects (empty: ${emptyFileError}, header only: ${headerOnlyError}, untrusted workbook: ${untrustedWorkbookError})`));
+    }
+    
+    // Test 17: Streaming Batches
+    console.log(chalk.blue('\n🌊 Test 17: Streaming Batches'));
+    totalTests++;
+    
+    const streamedDuplicates = [];
+    const streamedProspects = [];
+    for await (const prospect of streamProspects(duplicateCsvPath, 'general', { onDuplicate: duplicate => streamedDuplicates.push(duplicate) })) {
+      streamedProspects.push(prospect);
+    }
+    const bufferedProspects = await parseProspectsCSV(duplicateCsvPath);
+    
+    const noError = () => () => {};
+    const batchStats = createRunStats();
+    const batchedOutput = [];
+    for (let start = 0; start < streamedProspects.length; start += 2) {
+      batchedOutput.push(...await processBatch(streamedProspects.slice(start, start + 2), { shortener: createShortener('none'), stats: batchStats, onError: noError, logSteps: false }));
+    }
+    finalizeRunStats(batchStats);
+    
+    const singleStats = createRunStats();
+    const singleOutput = await processBatch(bufferedProspects, { shortener: createShortener('none'), stats: singleStats, onError: noError, logSteps: false });
+    const fullStatistics = getMessageStatistics(singleOutput);
+    
+    let streamingRejected = false;
+    try {
+      for await (const prospect of streamProspects(duplicateCsvPath, 'general', { dedupePolicy: 'merge' })) {
+        // Not reached: merge needs the whole list
+      }
+    } catch (error) {
+      streamingRejected = error.message.includes('Streaming mode');
+    }
+    
+    if (streamedProspects.map(p => p.id).join() === bufferedProspects.map(p => p.id).join() &&
+        streamedDuplicates.length === getDuplicatesReport(bufferedProspects).length &&
+        batchStats.batches === Math.ceil(streamedProspects.length / 2) &&
+        batchedOutput.map(p => p.whatsapp_url).join() === singleOutput.map(p => p.whatsapp_url).join() &&
+        JSON.stringify(batchStats.message_statistics) === JSON.stringify(fullStatistics) &&
+        streamingRejected) {
+      console.log(chalk.green(`   ✅ ${batchStats.batches} batches match the buffered run and its statistics`));
+      passedTests++;
+    } else {
+      console.log(chalk.red('   ❌ Streaming batches differ from the buffered run'));
+    }
+    
+    // Test 18: Checkpoint and Resume
+    console.log(chalk.blue('\n💾 Test 18: Checkpoint and Resume'));
+    totalTests++;
+    
+    const checkpointDir = await fs.mkdtemp(join(tmpdir(), 'campaign-checkpoint-'));
+    try {
+      const checkpointPath = join(checkpointDir, 'campaign-checkpoint.ndjson');
+      const outputPath = join(checkpointDir, 'campaign.csv');
+      const run = { input: duplicateCsvPath, input_hash: 'abc', options_hash: hashRunOptions({ businessType: 'general' }) };
+      
+      // First run: shorten every URL of the first batch, export only its first prospect
+      const firstRun = await openCheckpoint(checkpointPath, run);
+      const firstBatch = bufferedProspects.slice(0, 2);
+      const firstUrls = await generateDemoUrls(firstBatch);
+      recordShortened(firstRun, firstUrls.map(mapping => ({
+        success: true,
+        original_url: mapping.original_url,
+        data: { shortUrl: `https://short.test/${mapping.metadata.prospect_id}-${mapping.metadata.site_index}` },
+        metadata: mapping.metadata
+      })));
+      await fs.writeFile(outputPath, 'header\nrow 1\n');
+      recordExported(firstRun, firstBatch.slice(0, 1), { [outputPath]: 13 });
+      await flushCheckpoint(firstRun);
+      await fs.appendFile(outputPath, 'half-written row');
+      
+      // Resume: the exported prospect is skipped, the other reuses its short URLs without calling the shortener
+      const resumed = await openCheckpoint(checkpointPath, run, { resume: true });
+      await restoreOutput(resumed);
+      const resumedOutput = await processBatch(firstBatch.filter(p => !isExported(resumed, p.id)), {
+        shortener: createShortener('bulk', { base_url: 'http://localhost:9' }), stats: createRunStats(), onError: noError, logSteps: false, checkpoint: resumed
+      });
+      
+      let optionsRejected = false;
+      try {
+        await openCheckpoint(checkpointPath, { ...run, options_hash: hashRunOptions({ businessType: 'plumbing' }) }, { resume: true });
+      } catch (error) {
+        optionsRejected = error.message.includes('different options');
+      }
+      
+      if (resumed.resumed && isExported(resumed, firstBatch[0].id) && !isExported(resumed, firstBatch[1].id) &&
+          await fs.readFile(outputPath, 'utf8') === 'header\nrow 1\n' &&
+          resumedOutput.length === 1 && resumedOutput[0].demo_urls.every(url => url.short_url.startsWith('https://short.test/')) &&
+          optionsRejected) {
+        console.log(chalk.green('   ✅ Resumed run skips exported prospects and reuses short URLs'));
+        passedTests++;
+      } else {
+        console.log(chalk.red('   ❌ Checkpoint did not restore the interrupted run'));
+      }
+    } finally {
+      await fs.remove(checkpointDir);
+    }
+    
+    // Test 19: Chunked Bulk Upload
+    console.log(chalk.blue('\n🧩 Test 19: Chunked Bulk Upload'));
+    totalTests++;
+    
+    // Local stand-in for the bulk endpoint: the first chunk answers last, the second always fails
+    const requestSizes = [];
+    const shortener = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const { urls } = JSON.parse(body);
+        const chunkIndex = requestSizes.push(urls.length) - 1;
+        const reply = (status, payload) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload));
+        };
+        
+        if (urls[0].original_url === urlMappings[4].original_url) {
+          reply(400, { success: false, error: 'Rejected chunk' });
+          return;
+        }
+        
+        setTimeout(() => reply(200, {
+          success: true,
+          results: urls.map(url => ({ success: true, original_url: url.original_url, data: { shortUrl: `https://short.test/${chunkIndex}` } }))
+        }), chunkIndex === 0 ? 100 : 0);
+      });
+    });
+    shortener.listen(0);
+    await once(shortener, 'listening');
+    
+    try {
+      const chunkedMappings = urlMappings.slice(0, 10);
+      const chunkedResults = await bulkUploadToShortener(chunkedMappings, {
+        batchSize: 4,
+        concurrency: 2,
+        shortener: createShortener('bulk', { base_url: `http://localhost:${shortener.address().port}` })
+      });
+      
+      const inOrder = chunkedResults.every((result, index) => result.original_url === chunkedMappings[index].original_url);
+      const fallbackRange = chunkedResults.map(result => Boolean(result.fallback)).join();
+      
+      if (requestSizes.sort().join() === '2,4,4' && inOrder &&
+          fallbackRange === [false, false, false, false, true, true, true, true, false, false].join()) {
+        console.log(chalk.green('   ✅ Failed chunk fell back without affecting the others, results kept in order'));
+        passedTests++;
+      } else {
+        console.log(chalk.red('   ❌ Chunked upload results are wrong'));
+      }
+    } finally {
+      shortener.close();
+    }
+    
+    // Test 20: Shortener Adapters
+    console.log(chalk.blue('\n🔌 Test 20: Shortener Adapters'));
+    totalTests++;
+    
+    // Local stand-in for a per-URL REST shortener with its own response shape
+    const restRequests = [];
+    const restShortener = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.writeHead(req.method === 'GET' ? 405 : 201, { 'Content-Type': 'application/json' });
+        if (req.method === 'GET') {
+          res.end('{}');
+          return;
+        }
+        
+        const request = JSON.parse(body);
+        restRequests.push({ request, authorization: req.headers.authorization });
+        res.end(JSON.stringify({ link: { short: `https://sho.rt/${restRequests.length}`, slug: String(restRequests.length) }, expires: '2030-01-01T00:00:00Z' }));
+      });
+    });
+    restShortener.listen(0);
+    await once(restShortener, 'listening');
+    
+    try {
+      process.env.TEST_SHORTENER_TOKEN = 'secret';
+      const rest = createShortener('rest', {
+        url: `http://localhost:${restShortener.address().port}/links`,
+        headers: { Authorization: 'Bearer ${TEST_SHORTENER_TOKEN}', 'X-Unset': '${TEST_UNSET_VARIABLE}' },
+        request: { url_field: 'long_url', body: { domain: 'sho.rt' } },
+        response: { short_url: 'link.short', short_code: 'link.slug', expires_at: 'expires' }
+      });
+      
+      const healthStatus = await rest.healthCheck();
+      const restResults = await bulkUploadToShortener(urlMappings.slice(0, 3), { shortener: rest, batchSize: 2, concurrency: 1 });
+      const noneResults = await createShortener('none').shortenChunk(urlMappings.slice(0, 1));
+      
+      let unknownRejected = false;
+      try {
+        createShortener('bitly');
+      } catch (error) {
+        unknownRejected = error.message.includes('Unknown shortener adapter');
+      }
+      
+      if (healthStatus === 405 && restRequests.length === 3 &&
+          restRequests[0].request.long_url === urlMappings[0].original_url && restRequests[0].request.domain === 'sho.rt' &&
+          restRequests[0].authorization === 'Bearer secret' &&
+          restResults.map(result => result.data.shortUrl).join() === 'https://sho.rt/1,https://sho.rt/2,https://sho.rt/3' &&
+          restResults[0].data.shortCode === '1' && restResults[0].data.expiresAt === Date.parse('2030-01-01T00:00:00Z') &&
+          noneResults[0].data.shortUrl === urlMappings[0].original_url && noneResults[0].fallback &&
+          unknownRejected) {
+        console.log(chalk.green('   ✅ REST adapter maps request and response fields, none adapter keeps original URLs'));
+        passedTests++;
+      } else {
+        console.log(chalk.red('   ❌ Shortener adapters returned unexpected results'));
+      }
+    } finally {
+      delete process.env.TEST_SHORTENER_TOKEN;
+      restShortener.close();
+    }
+    
+    // Test 21: Local Shortener and Redirect Server
+    console.log(chalk.blue('\n🏠 Test 21: Local Shortener and Redirect Server'));
+    totalTests++;
+    
+    const linkDir = await fs.mkdtemp(join(tmpdir(), 'campaign-links-'));
+    const linkServerHits = [];
+    const linkServer = createLinkServer(join(linkDir, 'links.json'), { onHit: hit => linkServerHits.push(hit) });
+    try {
+      const storePath = join(linkDir, 'links.json');
+      const local = createShortener('local', { store: storePath, base_url: 'http://go.test' });
+      const localResults = await bulkUploadToShortener(urlMappings.slice(0, 6), { shortener: local, batchSize: 2, concurrency: 3 });
+      const repeatResults = await createShortener('local', { store: storePath, base_url: 'http://go.test' }).shortenChunk(urlMappings.slice(0, 1));
+      
+      // An expired link next to the live ones
+      const store = await loadLinkStore(storePath);
+      const expired = addLink(store, 'https://expired.test/', { ttlDays: -1 });
+      await saveLinkStore(store);
+      
+      linkServer.listen(0);
+      await once(linkServer, 'listening');
+      const serverUrl = `http://localhost:${linkServer.address().port}`;
+      const liveCode = localResults[0].data.shortCode;
+      const live = await fetch(`${serverUrl}/${liveCode}`, { redirect: 'manual' });
+      const gone = await fetch(`${serverUrl}/${expired.code}`, { redirect: 'manual' });
+      const missing = await fetch(`${serverUrl}/unknown`, { redirect: 'manual' });
+      // A malformed path gets a 400 and the server keeps serving
+      const malformed = await fetch(`${serverUrl}/%E0%A4%A`, { redirect: 'manual' });
+      const stillUp = await fetch(`${serverUrl}/${liveCode}`, { redirect: 'manual' });
+      
+      const codes = localResults.map(result => result.data.shortCode);
+      if (new Set(codes).size === 6 && Object.keys(store.links).length === 7 &&
+          localResults[0].data.shortUrl === `http://go.test/${liveCode}` &&
+          repeatResults[0].data.shortCode === liveCode &&
+          live.status === 302 && live.headers.get('location') === urlMappings[0].original_url &&
+          gone.status === 410 && missing.status === 404 && malformed.status === 400 && stillUp.status === 302 &&
+          linkServerHits.map(hit => hit.status).join() === '302,410,404,400,302') {
+        console.log(chalk.green('   ✅ Local links are unique, reused for the same URL, and redirected until they expire'));
+        passedTests++;
+      } else {
+        console.log(chalk.red('   ❌ Local shortener or redirect server misbehaved'));
+      }
+    } finally {
+      linkServer.close();
+      await fs.remove(linkDir);
+    }
+    
+    // Test 22: Persistent Short-Link Cache
+    console.log(chalk.blue('\n💾 Test 22: Persistent Short-Link Cache'));
+    totalTests++;
+    
+    const cacheDir = await fs.mkdtemp(join(tmpdir(), 'campaign-cache-'));
+    try {
+      const cachePath = join(cacheDir, 'short-link-cache.json');
+      const local = createShortener('local', { store: join(cacheDir, 'links.json'), base_url: 'http://go.test' });
+      const uploads = [];
+      const counting = { ...local, shortenChunk: async (chunk) => { uploads.push(chunk.length); return local.shortenChunk(chunk); } };
+      const cachedProspects = prospects.slice(0, 3);
+      const runWithCache = async () => processBatch(cachedProspects, {
+        shortener: counting, stats: createRunStats(), onError: noError, logSteps: false, linkCache: await loadLinkCache(cachePath)
+      });
+      
+      const firstRun = await runWithCache();
+      const firstUploads = uploads.reduce((sum, count) => sum + count, 0);
+      const secondRun = await runWithCache();
+      const secondUploads = uploads.reduce((sum, count) => sum + count, 0) - firstUploads;
+      
+      // Expire one entry: only that URL goes back to the shortener
+      const cache = await loadLinkCache(cachePath);
+      const namespace = getCacheNamespace(counting);
+      const [expiredUrl] = Object.keys(cache.namespaces[namespace]);
+      cache.namespaces[namespace][expiredUrl].expires_at = Date.now() - 1000;
+      await fs.writeJson(cachePath, { version: 1, namespaces: cache.namespaces });
+      const beforeRefresh = uploads.length;
+      await runWithCache();
+      const refreshed = uploads.slice(beforeRefresh);
+      const refreshedCache = await loadLinkCache(cachePath);
+      const pruned = pruneLinkCache(refreshedCache, { olderThanDays: 0 });
+      // A cache kept across many runs grows past the ~120k arguments Math.min(...values) can take
+      const [largeSummary] = summarizeLinkCache({ namespaces: { big: Object.fromEntries(Array.from({ length: 150000 }, (_, index) =>
+        [`https://demo.test/${index}`, { short_url: `http://go.test/${index}`, expires_at: null, cached_at: 1000 + (index * 7) % 150000 }]
+      )) } });
+      
+      if (firstUploads > 0 && secondUploads === 0 &&
+          secondRun.map(p => p.whatsapp_url).join() === firstRun.map(p => p.whatsapp_url).join() &&
+          refreshed.join() === '1' &&
+          refreshedCache.namespaces[namespace] === undefined && pruned === firstUploads &&
+          largeSummary.entries === 150000 && largeSummary.oldest_cached_at === 1000 && largeSummary.newest_cached_at === 150999) {
+        console.log(chalk.green(`   ✅ ${firstUploads} URLs cached, reused on the next run, expired entry refreshed`));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Cache misbehaved (uploads: ${firstUploads}, then ${secondUploads}, refresh ${refreshed.join()}, large cache ${JSON.stringify(largeSummary)})`));
+      }
+    } finally {
+      await fs.remove(cacheDir);
+    }
+    
+    // Test 23: Message Template Engine
+    console.log(chalk.blue('\n🧩 Test 23: Message Template Engine'));
+    totalTests++;
+    
+    const templateOptions = {
+      variables: ['company', 'city', 'owner'],
+      lists: { demos: ['display_name', 'short_url'] },
+      partials: { thanks: 'Thanks, {company|title}!', outro: '{> thanks} Bye' }
+    };
+    const engineTemplate = compileTemplate(
+      'Hi {owner|"there"}{#if city} in {city|upper}{else} nearby{/if}: {#each demos}{index}. {display_name|truncate:8}{#unless last}, {/unless}{/each}. {> outro} {{ok}}',
+      templateOptions
+    );
+    const rendered = engineTemplate.render({
+      company: "joe's plumbing", city: 'Austin', owner: '',
+      demos: [{ display_name: 'Emergency Services', short_url: 'http://s/1' }, { display_name: 'Modern', short_url: 'http://s/2' }]
+    });
+    const renderedNoCity = engineTemplate.render({ company: 'acme', owner: 'Ann', demos: [] });
+    
+    const loadErrors = [
+      '{frist_name}', '{company|truncate:x}', '{> missing}', '{#if city}open', '{#each sites}{/each}', '{display_name}', '{company|uper}'
+    ].map(source => {
+      try {
+        compileTemplate(source, { ...templateOptions, name: 'bad' });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    
+    // Every configured section is assembled into the message, partials included
+    const templateDir = await fs.mkdtemp(join(tmpdir(), 'campaign-templates-'));
+    try {
+      const sectionsPath = join(templateDir, 'sections.json');
+      await fs.writeJson(sectionsPath, {
+        whatsapp: {
+          greeting: 'Hi {company}!',
+          intro: 'We built {demo_count} demos for {business_type} businesses in {city}.',
+          demo_section_header: 'Demos:',
+          demo_link_format: '{index}. {display_name}: {short_url}',
+          value_proposition: 'Free for 14 days.',
+          call_to_action: 'Reply YES to claim yours.',
+          signature: '{> sign_off}'
+        },
+        partials: { sign_off: '- Sam' }
+      });
+      const badPath = join(templateDir, 'bad.json');
+      await fs.writeJson(badPath, { whatsapp: { greeting: 'Hi {first_name}!' } });
+      
+      const sectionTemplates = await loadMessageTemplates(sectionsPath);
+      const badLoad = await loadMessageTemplates(badPath).then(() => null, error => error.message);
+      const [assembled] = await generateWhatsAppMessages(prospects.slice(0, 1), groupedUrls, { templatesPath: sectionsPath });
+      const expectedMessage = [
+        `Hi ${prospects[0].company}!`,
+        // The business type's own intro wins over the base template
+        (await loadBusinessTypes())[prospects[0].business_type].message.intro,
+        ['Demos:', ...assembled.demo_urls.map((demo, index) => `${index + 1}. ${demo.display_name}: ${demo.short_url}`)].join('\\n'),
+        'Free for 14 days.',
+        'Reply YES to claim yours.',
+        '- Sam'
+      ].join('\\n\\n');
+      
+      if (rendered === "Hi there in AUSTIN: 1. Emergen…, 2. Modern. Thanks, Joe's Plumbing! Bye {ok}" &&
+          renderedNoCity === 'Hi Ann nearby: . Thanks, Acme! Bye {ok}' &&
+          loadErrors.every(message => message && message.startsWith('Template "bad')) &&
+          loadErrors[0].includes('unknown variable "frist_name"') &&
+          loadErrors[6].includes('unknown filter "uper"') && loadErrors[6].includes('{company|"uper"}') &&
+          badLoad && badLoad.includes('whatsapp.greeting') && badLoad.includes('first_name') &&
+          assembled.whatsapp_message === expectedMessage && Object.keys(sectionTemplates.sections).length === 6) {
+        console.log(chalk.green('   ✅ Conditionals, fallbacks, filters, loops and partials render; bad templates fail at load'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Template engine misbehaved: ${JSON.stringify({ rendered, renderedNoCity, loadErrors, badLoad })}`));
+      }
+    } finally {
+      await fs.remove(templateDir);
+    }
+    
+    // Test 24: A/B Message Variants
+    console.log(chalk.blue('\n🧪 Test 24: A/B Message Variants'));
+    totalTests++;
+    
+    const variantDir = await fs.mkdtemp(join(tmpdir(), 'campaign-variants-'));
+    try {
+      const variantsPath = join(variantDir, 'variants.json');
+      await fs.writeJson(variantsPath, {
+        whatsapp: { greeting: 'Hi {company}!', intro: 'Base intro.', demo_link_format: '{display_name}: {short_url}' },
+        variants: {
+          control: { weight: 1 },
+          direct: { weight: 3, greeting: 'Hey {company}, quick one.', call_to_action: 'Reply YES.' }
+        }
+      });
+      const variantTemplates = await loadMessageTemplates(variantsPath);
+      
+      // Assignment is stable per phone and follows the weights
+      const assignments = Array.from({ length: 2000 }, (_, index) =>
+        assignVariant({ phone: '', phone_e164: `+1555${String(index).padStart(7, '0')}` }, variantTemplates));
+      const directShare = assignments.filter(name => name === 'direct').length / assignments.length;
+      const stable = assignVariant(prospects[0], variantTemplates) === assignVariant({ ...prospects[0] }, variantTemplates);
+      
+      const variantProspects = prospects.slice(0, 2).map((prospect, index) => ({ ...prospect, variant: index === 0 ? 'direct' : 'control' }));
+      const variantMessages = await generateWhatsAppMessages(variantProspects, groupedUrls, { templatesPath: variantsPath });
+      const variantUrls = await generateDemoUrls(variantProspects.slice(0, 1));
+      
+      // The variant has to reach the shortener itself, in the bulk and the REST request payloads
+      const shortenerPayloads = [];
+      const variantShortener = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const payload = JSON.parse(body);
+          shortenerPayloads.push(payload);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload.urls
+            ? { success: true, results: payload.urls.map((entry, index) => ({ success: true, original_url: entry.original_url, data: { shortUrl: `https://sho.rt/b${index}` } })) }
+            : { short: 'https://sho.rt/r' }));
+        });
+      });
+      variantShortener.listen(0);
+      await once(variantShortener, 'listening');
+      try {
+        const variantShortenerUrl = `http://localhost:${variantShortener.address().port}`;
+        await createShortener('bulk', { base_url: variantShortenerUrl }).shortenChunk(variantUrls.slice(0, 1));
+        await createShortener('rest', { url: `${variantShortenerUrl}/links`, request: { metadata_field: 'meta' }, response: { short_url: 'short' } })
+          .shortenChunk(variantUrls.slice(0, 1));
+      } finally {
+        variantShortener.close();
+      }
+      
+      const variantCsv = join(variantDir, 'campaign.csv');
+      const variantWriter = await createCampaignWriter(variantCsv, { columns: [...CAMPAIGN_COLUMNS, 'variant'] });
+      await variantWriter.write(variantMessages.map(prospect => ({ ...prospect, whatsapp_url: 'x' })));
+      const variantRows = (await fs.readFile(variantCsv, 'utf8')).trim().split('\n');
+      
+      const badVariant = await fs.writeJson(join(variantDir, 'bad.json'), { whatsapp: { greeting: 'Hi' }, variants: { b: { weight: 0 } } })
+        .then(() => loadMessageTemplates(join(variantDir, 'bad.json')))
+        .then(() => null, error => error.message);
+      
+      if (directShare > 0.7 && directShare < 0.8 && stable &&
+          variantMessages[0].whatsapp_message.startsWith(`Hey ${prospects[0].company}, quick one.`) &&
+          variantMessages[0].whatsapp_message.endsWith('Reply YES.') &&
+          variantMessages[1].whatsapp_message.startsWith(`Hi ${prospects[1].company}!`) &&
+          variantUrls.every(mapping => mapping.metadata.variant === 'direct') &&
+          shortenerPayloads.length === 2 && shortenerPayloads[0].urls[0].metadata.variant === 'direct' && shortenerPayloads[1].meta.variant === 'direct' &&
+          shortenerPayloads[1].meta.prospect_id === variantUrls[0].metadata.prospect_id &&
+          variantRows[0].endsWith(',variant') && variantRows[1].endsWith(',direct') && variantRows[2].endsWith(',control') &&
+          badVariant?.includes('positive weight')) {
+        console.log(chalk.green(`   ✅ ${Math.round(directShare * 100)}% assigned to the weight-3 variant; variant reaches messages, metadata and CSV`));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Variants misbehaved (share ${directShare}, rows ${variantRows.join(' | ')}, error ${badVariant}, shortener ${JSON.stringify(shortenerPayloads)})`));
+      }
+    } finally {
+      await fs.remove(variantDir);
+    }
+    
+    // Test 25: Message Languages
+    console.log(chalk.blue('\n🌎 Test 25: Message Languages'));
+    totalTests++;
+    
+    const languageDir = await fs.mkdtemp(join(tmpdir(), 'campaign-languages-'));
+    try {
+      const languageCsv = join(languageDir, 'languages.csv');
+      await fs.writeFile(languageCsv, [
+        'company,city,phone,business_type,Preferred Language',
+        'Plomeria Garcia,Houston,(713) 555-0101,plumbing,es',
+        'Jardines Lopez,Miami,(305) 555-0102,landscaping,es_MX',
+        'Fix It Co,Dallas,(214) 555-0103,plumbing,',
+        'Chez Plombier,Tampa,(813) 555-0104,plumbing,French',
+        'Bad Lang,Austin,(512) 555-0105,plumbing,klingon!',
+        'Proto Lang,Austin,(512) 555-0106,plumbing,constructor'
+      ].join('\n'));
+      const languageRejects = [];
+      const languageProspects = await parseProspectsCSV(languageCsv, 'general', { defaultLanguage: 'en', onReject: r => languageRejects.push(r) });
+      
+      const languageUrls = groupUrlsByProspect(await generateDemoUrls(languageProspects));
+      Object.values(languageUrls).forEach(group => group.urls.forEach(url => { url.short_url = url.original_url; }));
+      const localized = await generateWhatsAppMessages(languageProspects, languageUrls);
+      const languageValidation = validateMessages(localized);
+      
+      // A translation that misses a section the base message has: the whole message stays in the base language
+      const partialPath = join(languageDir, 'partial.json');
+      await fs.writeJson(partialPath, {
+        whatsapp: { greeting: 'Hi {company}!', intro: 'Intro.', call_to_action: 'Reply YES.' },
+        translations: { es: { greeting: '¡Hola {company}!', intro: 'Introducción.' } }
+      });
+      const [partial] = await generateWhatsAppMessages(languageProspects.slice(0, 1), languageUrls, { templatesPath: partialPath });
+      
+      const [spanish, mexican, english, french] = localized;
+      if (languageProspects.map(p => p.language).join() === 'es,es-mx,en,fr' &&
+          languageRejects.length === 2 && languageRejects.every(rejection => rejection.error_field === 'language') &&
+          languageRejects[1].error_message.includes('Unrecognized language') &&
+          spanish.whatsapp_message.startsWith('¡Hola Plomeria Garcia!') && spanish.whatsapp_message.includes('Demo de servicios de emergencia:') &&
+          mexican.language === 'es' && !mexican.language_fallbacks && mexican.demo_urls[0].display_name === 'Portafolio de diseño de jardines' &&
+          english.whatsapp_message.startsWith('Hi Fix It Co!') &&
+          french.language === 'en' && french.requested_language === 'fr' && french.whatsapp_message.startsWith('Hi Chez Plombier!') &&
+          languageValidation.language_fallbacks.messages === 1 && languageValidation.language_fallbacks.by_language.fr === 1 &&
+          languageValidation.language_fallbacks.reasons['no "fr" translation'] === 1 &&
+          languageValidation.language_distribution.es === 2 &&
+          partial.language === 'en' && partial.whatsapp_message.startsWith('Hi Plomeria Garcia!') &&
+          partial.language_fallbacks.join() === 'no "es" translation of call_to_action') {
+        console.log(chalk.green('   ✅ Language column, locale fallback, localized labels and reported translation fallbacks'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Languages misbehaved: ${JSON.stringify(localized.map(p => [p.language, p.language_fallbacks, p.whatsapp_message.slice(0, 30)]))} ${JSON.stringify(partial.language_fallbacks)} ${JSON.stringify(languageRejects)}`));
+      }
+    } finally {
+      await fs.remove(languageDir);
+    }
+    
+    // Test 26: Extra Columns
+    console.log(chalk.blue('\n🧾 Test 26: Extra Columns'));
+    totalTests++;
+    
+    const extraDir = await fs.mkdtemp(join(tmpdir(), 'campaign-extra-'));
+    const extraRegistry = await loadBusinessTypes();
+    try {
+      const extraCsv = join(extraDir, 'extra.csv');
+      await fs.writeFile(extraCsv, [
+        'Company,City,Phone,Business Type,Owner Name,Google Rating,Website',
+        'Smith Plumbing,Austin,(512) 555-0101,plumbing,Joe,4.8,https://smith.example',
+        'Acme Pipes,Dallas,(214) 555-0102,plumbing,,3.9,'
+      ].join('\n'));
+      const extraProspects = await parseProspectsCSV(extraCsv);
+      
+      // Whitelisted extra columns become demo URL parameters
+      extraRegistry.plumbing.url_params = ['website'];
+      const extraMappings = await generateDemoUrls(extraProspects);
+      extraRegistry.plumbing.url_params = [];
+      const extraGroups = groupUrlsByProspect(extraMappings);
+      Object.values(extraGroups).forEach(group => group.urls.forEach(url => { url.short_url = 'http://s/x'; }));
+      
+      const extraTemplatesPath = join(extraDir, 'templates.json');
+      await fs.writeJson(extraTemplatesPath, {
+        whatsapp: { greeting: 'Hi {extra.owner_name|"there"}!{#if extra.google_rating} Loved your {extra.google_rating}★ rating.{/if}' }
+      });
+      const extraTemplates = await loadMessageTemplates(extraTemplatesPath);
+      const extraMessages = await generateWhatsAppMessages(extraProspects, extraGroups, { templatesPath: extraTemplatesPath });
+      
+      const extraOutput = join(extraDir, 'out.csv');
+      const extraWriter = await createCampaignWriter(extraOutput, { columns: ['company', 'extra.owner_name', 'extra.google_rating'] });
+      await extraWriter.write(extraMessages);
+      const extraRows = (await fs.readFile(extraOutput, 'utf8')).trim().split('\n');
+      const badNamespace = (() => {
+        try {
+          compileTemplate('{crm.owner}', { namespaces: ['extra'] });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })();
+      
+      if (JSON.stringify(extraProspects[0].extra) === JSON.stringify({ owner_name: 'Joe', google_rating: '4.8', website: 'https://smith.example' }) &&
+          new URL(extraMappings[0].original_url).searchParams.get('website') === 'https://smith.example' &&
+          !new URL(extraMappings[extraMappings.length - 1].original_url).searchParams.has('website') &&
+          extraMessages[0].whatsapp_message.startsWith('Hi Joe! Loved your 4.8★ rating.') &&
+          extraMessages[1].whatsapp_message.startsWith('Hi there! Loved your 3.9★ rating.') &&
+          extraTemplates.extra_fields.join() === 'owner_name,google_rating' &&
+          extraRows.join('|') === 'company,owner_name,google_rating|Smith Plumbing,Joe,4.8|Acme Pipes,,3.9' &&
+          badNamespace?.includes('unknown namespace "crm"')) {
+        console.log(chalk.green('   ✅ Extra columns reach templates, whitelisted URL params and the output CSV'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Extra columns misbehaved: ${JSON.stringify({ extra: extraProspects[0].extra, url: extraMappings[0].original_url, rows: extraRows })}`));
+      }
+    } finally {
+      extraRegistry.plumbing.url_params = [];
+      await fs.remove(extraDir);
+    }
+    
+    // Test 27: Output Schema and Formats
+    console.log(chalk.blue('\n🗂️  Test 27: Output Schema and Formats'));
+    totalTests++;
+    
+    const schemaDir = await fs.mkdtemp(join(tmpdir(), 'campaign-schema-'));
+    try {
+      const schemaColumns = parseOutputColumns('prospect_id,phone="Mobile",demo_1_short_url,demo_1_original_url,status,error');
+      const shortened = {
+        ...prospectsWithMessages[0],
+        demo_urls: prospectsWithMessages[0].demo_urls.map(demo => ({ ...demo, short_url: 'https://short.test/a' }))
+      };
+      const failed = { ...prospectsWithMessages[1], whatsapp_message: 'ERROR: Could not generate message - boom' };
+      
+      // JSON: an interrupted file is cut back to the last batch and continued, then closed
+      const jsonPath = join(schemaDir, 'campaign.json');
+      const firstWriter = await createCampaignWriter(jsonPath, { columns: schemaColumns, format: 'json' });
+      await firstWriter.write([shortened]);
+      const { size: jsonBytes } = await fs.stat(jsonPath);
+      await firstWriter.write([failed]);
+      await fs.truncate(jsonPath, jsonBytes);
+      const resumedWriter = await createCampaignWriter(jsonPath, { append: true, columns: schemaColumns, format: 'json' });
+      await resumedWriter.write([failed]);
+      await resumedWriter.close();
+      const jsonRecords = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+      
+      const writeFormat = async (format, columns = schemaColumns) => {
+        const path = join(schemaDir, `campaign.${format}`);
+        const writer = await createCampaignWriter(path, { columns, format });
+        // Empty batches (a chunk where every row was rejected) leave no trace in the file
+        await writer.write([]);
+        await writer.write([shortened, failed]);
+        await writer.write([]);
+        await writer.close();
+        return path;
+      };
+      const ndjsonRecords = (await fs.readFile(await writeFormat('ndjson'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      const xlsxRows = XLSX.utils.sheet_to_json(XLSX.readFile(await writeFormat('xlsx')).Sheets.Campaign);
+      const csvText = await fs.readFile(await writeFormat('csv', parseOutputColumns('prospect_id,whatsapp_message')), 'utf8');
+      const csvLines = csvText.trim().split('\n');
+      const emptyCsvPath = join(schemaDir, 'empty.csv');
+      const emptyWriter = await createCampaignWriter(emptyCsvPath);
+      await emptyWriter.write([]);
+      await emptyWriter.close();
+      const emptyCsv = await fs.readFile(emptyCsvPath, 'utf8');
+      
+      let unknownColumn = null;
+      try {
+        parseOutputColumns('prospect_id,demo_0_short_url');
+      } catch (error) {
+        unknownColumn = error.message;
+      }
+      // Object.prototype members are not output fields
+      const prototypeColumnErrors = ['company,constructor', 'demo_1_constructor', 'company,toString'].map(spec => {
+        try {
+          parseOutputColumns(spec);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+      const missingExtraPath = join(schemaDir, 'missing-extra.csv');
+      const missingExtraWriter = await createCampaignWriter(missingExtraPath, { columns: ['company', 'extra.constructor'] });
+      await missingExtraWriter.write([{ ...shortened, extra: {} }]);
+      await missingExtraWriter.close();
+      const missingExtraCsv = await fs.readFile(missingExtraPath, 'utf8');
+      
+      if (jsonRecords.length === 2 && jsonRecords[0].prospect_id === shortened.id && jsonRecords[0].Mobile === shortened.phone &&
+          jsonRecords[0].demo_1_short_url === 'https://short.test/a' && jsonRecords[0].demo_1_original_url === shortened.demo_urls[0].original_url &&
+          jsonRecords[0].status === 'ok' && jsonRecords[1].status === 'error' && jsonRecords[1].error.includes('boom') &&
+          JSON.stringify(ndjsonRecords) === JSON.stringify(jsonRecords) &&
+          xlsxRows.length === 2 && xlsxRows[1].error === jsonRecords[1].error &&
+          csvLines[0] === 'prospect_id,whatsapp_message' && csvLines[1].startsWith(`${shortened.id},`) &&
+          !csvText.includes('\n\n') && csvText.endsWith('\n') && emptyCsv === `${CAMPAIGN_COLUMNS.join(',')}\n` &&
+          detectOutputFormat('out/leads.jsonl') === 'ndjson' && detectOutputFormat('out/leads.json', 'xlsx') === 'xlsx' &&
+          unknownColumn?.includes('Unknown output column "demo_0_short_url"') &&
+          prototypeColumnErrors[0]?.includes('Unknown output column "constructor"') &&
+          prototypeColumnErrors[1]?.includes('Unknown output column "demo_1_constructor"') &&
+          prototypeColumnErrors[2]?.includes('Unknown output column "toString"') &&
+          missingExtraCsv === `company,constructor\n${shortened.company},\n`) {
+        console.log(chalk.green('   ✅ Chosen columns are written as CSV, JSON, NDJSON and XLSX'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Output schema misbehaved: ${JSON.stringify({ json: jsonRecords, xlsx: xlsxRows, csv: csvText, emptyCsv, prototypeColumnErrors, missingExtraCsv })}`));
+      }
+    } finally {
+      await fs.remove(schemaDir);
+    }
+    
+    // Test 28: CRM Export Presets
+    console.log(chalk.blue('\n🏢 Test 28: CRM Export Presets'));
+    totalTests++;
+    
+    const presetDir = await fs.mkdtemp(join(tmpdir(), 'campaign-presets-'));
+    try {
+      const presets = await loadExportPresets();
+      const salesforce = presets.salesforce;
+      const withOwner = { ...prospectsWithMessages[0], extra: { owner_name: 'Joe van Dyke' } };
+      const withoutOwner = { ...prospectsWithMessages[1], extra: {} };
+      
+      const presetPath = join(presetDir, 'salesforce.csv');
+      const presetWriter = await createCampaignWriter(presetPath, {
+        columns: salesforce.columns, format: salesforce.format, phoneFormat: salesforce.phone_format, nameFields: salesforce.name_fields
+      });
+      await presetWriter.write([withOwner, withoutOwner]);
+      await presetWriter.close();
+      const [presetHeader, ownerRow, companyRow] = (await fs.readFile(presetPath, 'utf8')).trim().split('\n');
+      const intlPhone = formatPhoneNumber(withOwner, 'international');
+      
+      // User-defined presets are checked when loaded
+      const customConfig = join(presetDir, 'presets.json');
+      await fs.writeJson(customConfig, {
+        mine: { columns: [{ title: 'Name', field: 'company' }], custom_properties: ['whatsapp_url'], phone_format: 'digits' },
+        broken: { columns: [{ title: 'Owner', field: 'owner' }] }
+      });
+      let brokenPreset = null;
+      try {
+        await loadExportPresets(customConfig);
+      } catch (error) {
+        brokenPreset = error.message;
+      }
+      // Object.prototype members are not naming styles
+      const protoNamingConfig = join(presetDir, 'proto-naming.json');
+      await fs.writeJson(protoNamingConfig, {
+        proto: { columns: ['company'], custom_properties: ['whatsapp_url'], custom_property_naming: 'constructor' }
+      });
+      let protoNaming = null;
+      try {
+        await loadExportPresets(protoNamingConfig);
+      } catch (error) {
+        protoNaming = error.message;
+      }
+      
+      if (presetHeader.startsWith('First Name,Last Name,Company,Phone,City,Country,Lead Source,Business_Type__c,WhatsApp_Message__c') &&
+          ownerRow.startsWith(`Joe,van Dyke,${withOwner.company},${intlPhone},`) && intlPhone === '+1 5551234567' &&
+          companyRow.startsWith(`,${withoutOwner.company},${withoutOwner.company},`) && companyRow.includes(',WhatsApp Campaign,') &&
+          presets.hubspot.columns.some(column => column.title === 'demo_link_1') &&
+          formatPhoneNumber(withOwner, 'digits') === '15551234567' &&
+          brokenPreset?.includes('Export preset "broken": Unknown output column "owner"') &&
+          protoNaming?.includes('Export preset "proto": custom_property_naming must be one of')) {
+        console.log(chalk.green('   ✅ Presets split names, format phones and name custom properties per CRM'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Export presets misbehaved: ${JSON.stringify({ presetHeader, ownerRow, companyRow, brokenPreset, protoNaming })}`));
+      }
+    } finally {
+      await fs.remove(presetDir);
+    }
+    
+    // Test 29: Sending Through the WhatsApp Cloud API
+    console.log(chalk.blue('\n📨 Test 29: Sending Through the WhatsApp Cloud API'));
+    totalTests++;
+    
+    const sendDir = await fs.mkdtemp(join(tmpdir(), 'campaign-send-'));
+    const cloudApi = createWhatsAppMockServer({ token: 'secret', rejectNumbers: ['16025559876'] });
+    cloudApi.listen(0);
+    await once(cloudApi, 'listening');
+    try {
+      // Token bucket on a fake clock: 2 at once, then one every 500ms
+      let clock = 0;
+      const waits = [];
+      const paced = createTokenBucket({ rate: 2, burst: 2, now: () => clock, sleep: async (ms) => { waits.push(ms); clock += ms; } });
+      for (let index = 0; index < 4; index++) {
+        await paced.take();
+      }
+      
+      // Campaign file with a repeated number and a row without a link
+      const sendable = addWhatsAppUrls(prospectsWithMessages.slice(0, 3));
+      const campaignPath = join(sendDir, 'campaign.csv');
+      const sendWriter = await createCampaignWriter(campaignPath, { columns: ['prospect_id', 'company', 'whatsapp_url'] });
+      await sendWriter.write([...sendable, sendable[0], { id: 'prospect_9999', company: 'No Link' }]);
+      await sendWriter.close();
+      
+      const logPath = join(sendDir, 'campaign-sends.ndjson');
+      const sendOptions = (token) => ({
+        client: createWhatsAppClient({ base_url: `http://localhost:${cloudApi.address().port}/v20.0`, phone_number_id: '42', token }),
+        bucket: createTokenBucket({ rate: 1000 }),
+        logPath,
+        concurrency: 2,
+        maxRetries: 1
+      });
+      
+      const dryRun = await sendCampaignMessages(readCampaignMessages(campaignPath), { ...sendOptions('secret'), dryRun: true });
+      const firstSend = await sendCampaignMessages(readCampaignMessages(campaignPath), sendOptions('secret'));
+      const secondSend = await sendCampaignMessages(readCampaignMessages(campaignPath), sendOptions('secret'));
+      const sendLog = (await fs.readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      const sentRecord = sendLog.find(record => record.status === 'sent' && record.prospect_id === sendable[0].id);
+      
+      await fs.remove(logPath);
+      const badToken = await sendCampaignMessages(readCampaignMessages(campaignPath), sendOptions('wrong'));
+      const badTokenLog = (await fs.readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      
+      if (waits.join() === '500,500' &&
+          dryRun.would_send === 3 && firstSend.sent === 2 && firstSend.failed === 1 && firstSend.duplicates === 1 && firstSend.skipped === 1 &&
+          secondSend.already_sent === 3 && secondSend.failed === 1 && secondSend.sent === 0 &&
+          cloudApi.messages.length === 2 && cloudApi.messages[0].text.includes('\n\n') && !cloudApi.messages[0].text.includes('\\n') &&
+          sentRecord?.message_id === cloudApi.messages.find(message => message.to === sentRecord.phone)?.id &&
+          sendLog.some(record => record.status === 'failed' && record.error === 'Message undeliverable' && record.error_code === 131026) &&
+          badToken.failed === 3 && badTokenLog.some(record => record.http_status === 401 && record.error === 'Invalid OAuth access token')) {
+        console.log(chalk.green('   ✅ Messages are paced, logged with their ids and never sent twice'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Sending misbehaved: ${JSON.stringify({ waits, dryRun, firstSend, secondSend, badToken })}`));
+      }
+    } finally {
+      cloudApi.close();
+      await fs.remove(sendDir);
+    }
+    
+    // Test 30: Suppression Lists
+    console.log(chalk.blue('\n🚫 Test 30: Suppression Lists'));
+    totalTests++;
+    
+    const suppressDir = await fs.mkdtemp(join(tmpdir(), 'campaign-suppress-'));
+    try {
+      const suppressInput = join(suppressDir, 'prospects.csv');
+      await fs.writeFile(suppressInput, [
+        'company,city,phone,business_type,website,email',
+        "Joe's Pizza,Phoenix,(602) 555-0101,plumbing,,",
+        'Acme Dental LLC,Phoenix,602-555-0102,general,,',
+        'Bright Smiles,Phoenix,602-555-0103,general,https://www.shop.brightsmiles.com/book,',
+        'Corner Cafe,Phoenix,602-555-0104,landscaping,cornercafe.com,cafe@gmail.com',
+        'Sunrise Yoga,Phoenix,602-555-0105,general,,',
+        'Mesa Florist,Phoenix,602-555-0106,general,,Owner@Gmail.com'
+      ].join('\n'));
+      
+      // A TXT list with untyped entries and a CSV list with a phone column; an email opt-out covers that address only
+      const txtList = join(suppressDir, 'optouts.txt');
+      await fs.writeFile(txtList, '# opted out by phone, name, email or domain\n+1 602 555 0101\nacme dental\nbrightsmiles.com  # whole domain\nowner@gmail.com\n\n');
+      const csvList = join(suppressDir, 'complaints.csv');
+      await fs.writeFile(csvList, 'Phone Number,Email,Notes\n16025550105,,asked twice\nnot a number,,\n,mailto:someone@yahoo.com,\n');
+      
+      const lists = await loadSuppressionLists([txtList, csvList], { defaultCountry: 'US' });
+      const suppressedRows = [];
+      const kept = await parseProspectsCSV(suppressInput, 'general', {
+        suppression: lists,
+        onSuppress: (record) => suppressedRows.push(record)
+      });
+      
+      const reportPath = join(suppressDir, 'suppressed.csv');
+      await exportSuppressed(suppressedRows, reportPath);
+      const [reportHeader, ...reportRows] = (await fs.readFile(reportPath, 'utf8')).trim().split('\n');
+      
+      // Every valid row suppressed leaves nothing to contact
+      const cafeList = join(suppressDir, 'cafe.txt');
+      await fs.writeFile(cafeList, 'Corner Cafe\n');
+      let allSuppressed = null;
+      try {
+        await parseProspectsCSV(suppressInput, 'general', {
+          suppression: await loadSuppressionLists([txtList, csvList, cafeList])
+        });
+      } catch (error) {
+        allSuppressed = error.message;
+      }
+      
+      const byRow = Object.fromEntries(suppressedRows.map(record => [record.row_number, record]));
+      if (kept.map(prospect => prospect.company).join() === 'Corner Cafe' &&
+          byRow[1]?.suppressed_by === 'phone' && byRow[1].suppression_list === 'optouts.txt' &&
+          byRow[2]?.suppressed_by === 'company' && byRow[3]?.suppressed_by === 'domain' && byRow[3].suppressed_value === 'brightsmiles.com' &&
+          byRow[5]?.suppressed_by === 'phone' && byRow[5].suppression_list === 'complaints.csv' &&
+          byRow[6]?.suppressed_by === 'email' && byRow[6].suppressed_value === 'owner@gmail.com' && !byRow[4] &&
+          lists.emails.has('someone@yahoo.com') && lists.domains.size === 1 &&
+          lists.sources[1].invalid.join() === 'not a number' &&
+          reportHeader === 'company,city,phone,business_type,website,email,row_number,suppressed_by,suppressed_value,suppression_list' &&
+          reportRows.length === 5 &&
+          findSuppression({ phone_e164: '+16025550105', company: 'Someone Else' }, lists)?.by === 'phone' &&
+          allSuppressed === 'No prospects left to contact: all 6 valid rows are on suppression lists') {
+        console.log(chalk.green('   ✅ Opted-out phones, companies, email addresses and domains are dropped and reported with their list'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Suppression misbehaved: ${JSON.stringify({ kept: kept.map(prospect => prospect.company), suppressedRows, allSuppressed })}`));
+      }
+    } finally {
+      await fs.remove(suppressDir);
+    }
+    
+    // Test 31: Run Manifest
+    console.log(chalk.blue('\n🧾 Test 31: Run Manifest'));
+    totalTests++;
+    
+    const manifestDir = await fs.mkdtemp(join(tmpdir(), 'campaign-manifest-'));
+    try {
+      // yargs adds $0, _, aliases and dashed duplicates; only the options themselves are kept
+      const runManifest = await createRunManifest({
+        input: sampleCsvPath,
+        options: getManifestOptions({ _: [], $0: 'main.js', input: sampleCsvPath, i: sampleCsvPath, 'dry-run': false, dryRun: false, shortener: undefined }, { output: 'campaign.csv' })
+      });
+      
+      const manifestStats = createRunStats();
+      const manifestProspects = await timeStage(manifestStats, 'parse', () => parseProspectsCSV(sampleCsvPath));
+      const manifestOutput = await processBatch(manifestProspects, { shortener: createShortener('none'), stats: manifestStats, onError: noError, logSteps: false });
+      recordRunStages(runManifest, finalizeRunStats(manifestStats), {
+        summary: { total: manifestProspects.length, resumed: 0 }, rejections: [], duplicates: 0, suppressed: 0, exported: manifestOutput.length
+      });
+      runManifest.shortener = getShortenerMode('none', 'none', manifestStats.shortening);
+      
+      const manifestPath = join(manifestDir, 'campaign-manifest.json');
+      await writeRunManifest(manifestPath, runManifest, { status: 'completed' });
+      const written = await fs.readJson(manifestPath);
+      
+      const unreachable = getShortenerMode('bulk', 'none', { fallback_batches: 0, fallback_urls: 8 });
+      const partial = getShortenerMode('bulk', 'bulk', { fallback_batches: 1, fallback_urls: 4 });
+      const healthy = getShortenerMode('bulk', 'bulk', { fallback_batches: 0, fallback_urls: 0 });
+      
+      if (written.status === 'completed' && written.duration_ms >= 0 && written.error === null &&
+          written.input.sha256 === await hashFile(sampleCsvPath) &&
+          Object.keys(written.options).join() === 'dryRun,input,output' &&
+          written.stages.parse.prospects === manifestProspects.length && written.stages.parse.duration_ms >= 0 &&
+          written.stages.demo_urls.urls > 0 && written.stages.shortening.fallback === written.stages.demo_urls.urls &&
+          written.stages.messages.messages === manifestOutput.length && written.stages.export.records === manifestOutput.length &&
+          written.validation.messages.total_messages === manifestOutput.length && written.validation.shortening.total_requested === written.stages.demo_urls.urls &&
+          written.shortener.mode === 'skipped' && unreachable.mode === 'fallback' && partial.mode === 'fallback' && healthy.mode === 'bulk') {
+        console.log(chalk.green('   ✅ Manifest records hashes, options, stage counts, timings and shortener mode'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Manifest misbehaved: ${JSON.stringify({ options: written.options, stages: written.stages, shortener: written.shortener })}`));
+      }
+    } finally {
+      await fs.remove(manifestDir);
+    }
+    
+    // Test 32: HTML Campaign Report
+    console.log(chalk.blue('\n📄 Test 32: HTML Campaign Report'));
+    totalTests++;
+    
+    const reportDir = await fs.mkdtemp(join(tmpdir(), 'campaign-report-'));
+    try {
+      const reportStats = createRunStats();
+      const reportProspects = await parseProspectsCSV(sampleCsvPath);
+      const reportOutput = await processBatch(reportProspects, { shortener: createShortener('none'), stats: reportStats, onError: noError, logSteps: false });
+      const reportRows = toReportRows(reportOutput);
+      // Input text ends up in the page, so it must be escaped
+      reportRows[0] = { ...reportRows[0], company: '<script>alert(1)</script> & Sons' };
+      
+      const reportPath = join(reportDir, 'report.html');
+      await writeCampaignReport(reportPath, {
+        input: sampleCsvPath,
+        output: 'campaign.csv',
+        summary: { ...getProspectsSummary(reportProspects), resumed: 0 },
+        stats: finalizeRunStats(reportStats),
+        shortener: getShortenerMode('none', 'none', reportStats.shortening),
+        rejections: [{ row_number: 7, error_field: 'phone', error_message: 'Phone number "abc" contains letters', stage: 'parse' }],
+        duplicates: 0,
+        suppressed: 2,
+        rows: reportRows
+      });
+      const html = await fs.readFile(reportPath, 'utf8');
+      
+      const histogram = buildLengthHistogram([95, 180, 181, 420]);
+      // Past ~120k values Math.min(...lengths) overflows the call stack
+      const largeHistogram = buildLengthHistogram(Array.from({ length: 200000 }, (_, index) => 100 + index % 500));
+      const cities = Object.keys(getProspectsSummary(reportProspects).by_city);
+      
+      if (html.startsWith('<!DOCTYPE html>') && !/<(link|script)[^>]+src=/.test(html) &&
+          html.includes('&lt;script&gt;alert(1)&lt;/script&gt; &amp; Sons') && !html.includes('<script>alert(1)') &&
+          cities.every(city => html.includes(`<td>${city}</td>`)) &&
+          html.includes('Rejected row 7') && html.includes('phone: Phone number &quot;abc&quot; contains letters') &&
+          html.includes(`Messages (${reportOutput.length})`) && html.includes('id="search"') &&
+          (html.match(/<tr>\n<td><strong>/g) || []).length === reportOutput.length &&
+          html.includes('<tr><th>Mode</th><td class="">skipped</td></tr>') &&
+          histogram.reduce((sum, bin) => sum + bin.count, 0) === 4 && histogram[0].from === 90 && histogram.length <= 12 &&
+          largeHistogram.reduce((sum, bin) => sum + bin.count, 0) === 200000 && largeHistogram[0].from === 100 && largeHistogram.at(-1).to >= 599) {
+        console.log(chalk.green('   ✅ Report renders breakdowns, histograms, errors and a searchable, escaped message table'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Report misbehaved: ${JSON.stringify({ histogram, largeHistogram, length: html.length })}`));
+      }
+    } finally {
+      await fs.remove(reportDir);
+    }
+    
+    // Test 33: Campaign Tracking Parameters
+    console.log(chalk.blue('\n🏷️  Test 33: Campaign Tracking Parameters'));
+    totalTests++;
+    
+    const trackingDir = await fs.mkdtemp(join(tmpdir(), 'campaign-tracking-'));
+    try {
+      const trackingTypes = await loadBusinessTypes();
+      const trackingConfigPath = join(trackingDir, 'tracking.json');
+      await fs.writeJson(trackingConfigPath, { params: { utm_source: 'whatsapp', utm_campaign: '{campaign}', utm_content: '{site}', utm_term: '{variant}', ref: '{prospect_ref}' } });
+      
+      // Site and business type layers override the defaults; null drops a parameter
+      const layeredTypes = structuredClone(trackingTypes);
+      layeredTypes.plumbing.tracking = { utm_source: 'wa-{business_type}' };
+      layeredTypes.plumbing.sites[1].tracking = { utm_content: 'slot-{site_slot}', ref: null };
+      
+      const tracking = await loadTracking({ campaign: ' Spring 2026 ', businessTypes: layeredTypes, configPath: trackingConfigPath });
+      const trackingProspects = await parseProspectsCSV(sampleCsvPath);
+      const plumber = trackingProspects.find(prospect => prospect.business_type === 'plumbing');
+      const firstSite = tracking.paramsFor(plumber, 'plumbing', 0);
+      const secondSite = tracking.paramsFor(plumber, 'plumbing', 1);
+      
+      const trackedMappings = await generateDemoUrls([plumber], { tracking });
+      const trackedUrl = new URL(trackedMappings[0].original_url);
+      
+      const trackingError = async (config) => {
+        await fs.writeJson(trackingConfigPath, config);
+        try {
+          await loadTracking({ campaign: 'Spring', businessTypes: trackingTypes, configPath: trackingConfigPath });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+      const reservedError = await trackingError({ params: { company: '{campaign}' } });
+      const unknownError = await trackingError({ params: { utm_campaign: '{campain}' } });
+      
+      if (tracking.campaign === 'Spring 2026' && firstSite.utm_source === 'wa-plumbing' && firstSite.utm_campaign === 'Spring 2026' &&
+          firstSite.utm_content === trackingTypes.plumbing.sites[0].display_name && firstSite.ref === getProspectRef(plumber) &&
+          !('utm_term' in firstSite) && /^[0-9a-f]{12}$/.test(firstSite.ref) &&
+          secondSite.utm_content === 'slot-2' && !('ref' in secondSite) &&
+          trackedUrl.searchParams.get('company') === plumber.company && trackedUrl.searchParams.get('utm_campaign') === 'Spring 2026' &&
+          reservedError?.includes('"company"') && unknownError?.includes('campain')) {
+        console.log(chalk.green('   ✅ Tracking parameters are layered per business type and site, and bad templates fail early'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Tracking misbehaved: ${JSON.stringify({ firstSite, secondSite, reservedError, unknownError })}`));
+      }
+    } finally {
+      await fs.remove(trackingDir);
+    }
+    
+    // Test 34: Personalization Tokens
+    console.log(chalk.blue('\n🔐 Test 34: Personalization Tokens'));
+    totalTests++;
+    
+    const tokenSecret = 'test-secret-for-demo-tokens';
+    const demoOrigin = 'https://plumbing-client-2.netlify.app';
+    const tokenServer = createTokenServer(tokenSecret, { allowOrigins: [demoOrigin] });
+    try {
+      const tokenProspects = await parseProspectsCSV(sampleCsvPath);
+      const tokenMappings = await generateDemoUrls(tokenProspects.slice(0, 2), { tokenSecret });
+      const repeatMappings = await generateDemoUrls(tokenProspects.slice(0, 2), { tokenSecret });
+      const tokenUrl = new URL(tokenMappings[0].original_url);
+      const token = tokenUrl.searchParams.get('token');
+      const decoded = decodePersonalizationToken(token, tokenSecret);
+      
+      const decodeError = (value, secret) => {
+        try {
+          decodePersonalizationToken(value, secret);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+      // Flip one character of the encrypted payload
+      const tampered = token.slice(0, -2) + (token.at(-2) === 'A' ? 'B' : 'A') + token.at(-1);
+      const secretError = (() => {
+        try {
+          getTokenSecret({});
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })();
+      
+      tokenServer.listen(0);
+      await once(tokenServer, 'listening');
+      const verifyUrl = `http://localhost:${tokenServer.address().port}/verify`;
+      const verified = await (await fetch(`${verifyUrl}?token=${token}`)).json();
+      const rejected = await fetch(`${verifyUrl}?token=${tampered}`);
+      // fetch normalizes "//", so the malformed path goes out as a raw request
+      const malformedStatus = await new Promise((resolve, reject) => {
+        http.get({ port: tokenServer.address().port, path: '//' }, response => {
+          response.resume();
+          resolve(response.statusCode);
+        }).on('error', reject);
+      });
+      const verifiedAgain = await (await fetch(`${verifyUrl}?token=${token}`)).json();
+      // Browsers on other origins are refused outright; an endpoint open to "*" can't be created at all
+      const fromDemoSite = await fetch(`${verifyUrl}?token=${token}`, { headers: { Origin: demoOrigin } });
+      const fromElsewhere = await fetch(`${verifyUrl}?token=${token}`, { headers: { Origin: 'https://evil.test' } });
+      const fromElsewhereBody = await fromElsewhere.json();
+      const originErrors = [[], ['*'], [demoOrigin, '*']].map(allowOrigins => {
+        try {
+          createTokenServer(tokenSecret, { allowOrigins });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+      
+      if (!tokenUrl.searchParams.has('company') && !tokenUrl.searchParams.has('phone') &&
+          !tokenMappings[0].original_url.includes(encodeURIComponent(tokenProspects[0].company).slice(0, 8)) &&
+          tokenMappings[0].metadata.company === undefined &&
+          repeatMappings[0].original_url === tokenMappings[0].original_url &&
+          decoded.company === tokenProspects[0].company && decoded.city === tokenProspects[0].city && decoded.phone === tokenProspects[0].phone &&
+          createPersonalizationToken({ company: 'A' }, tokenSecret) !== createPersonalizationToken({ company: 'B' }, tokenSecret) &&
+          decodeError(tampered, tokenSecret)?.includes('Invalid') && decodeError(token, 'another-secret-entirely')?.includes('Invalid') &&
+          decodeError('not-a-token', tokenSecret)?.includes('Invalid') && secretError?.includes('DEMO_TOKEN_SECRET') &&
+          verified.valid && verified.fields.company === tokenProspects[0].company &&
+          rejected.status === 400 && rejected.headers.get('access-control-allow-origin') === null &&
+          malformedStatus === 400 && verifiedAgain.valid &&
+          fromDemoSite.status === 200 && fromDemoSite.headers.get('access-control-allow-origin') === demoOrigin &&
+          fromElsewhere.status === 403 && fromElsewhere.headers.get('access-control-allow-origin') === null &&
+          !fromElsewhereBody.fields && originErrors.every(message => message?.includes('--allow-origin'))) {
+        console.log(chalk.green('   ✅ Demo URLs carry a stable encrypted token that decodes and verifies only with the secret'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Personalization tokens misbehaved: ${JSON.stringify({ url: tokenMappings[0].original_url, decoded, verified })}`));
+      }
+    } finally {
+      tokenServer.close();
+    }
+    
+    // Test 35: WhatsApp Message Lint
+    console.log(chalk.blue('\n🧹 Test 35: WhatsApp Message Lint'));
+    totalTests++;
+    
+    const lintDir = await fs.mkdtemp(join(tmpdir(), 'message-lint-'));
+    try {
+      const lintConfigPath = join(lintDir, 'message-lint.json');
+      await fs.writeJson(lintConfigPath, { rules: {
+        'body-length': { severity: 'reject', max: 300 },
+        'url-length': { severity: 'warning', max: 200 },
+        placeholders: { severity: 'error' },
+        'link-count': { severity: 'warning', max: 2 },
+        'broken-characters': { severity: 'reject' },
+        'fallback-links': { severity: 'warning' }
+      } });
+      const lintRules = await loadLintRules(lintConfigPath);
+      const linter = createMessageLinter(lintRules);
+      
+      const demo = { display_name: 'Demo', original_url: 'https://demo.test/?company=A', short_url: 'https://go.test/a' };
+      const lintProspect = (id, message, demos = [demo]) => ({
+        id, company: `Company ${id}`, phone: '+15125550100', phone_e164: '+15125550100', whatsapp_message: message, demo_urls: demos
+      });
+      const clean = lintProspect('clean', 'Hi!\\n\\nDemo: https://go.test/a');
+      const long = lintProspect('long', 'Hi! ' + 'a'.repeat(320));
+      const broken = lintProspect('broken', 'Hi \ud83d there, here is your demo');
+      const leftover = lintProspect('leftover', 'Hi {company}, see {{ city }} https://go.test/a');
+      const linky = lintProspect('linky', 'https://a.test https://b.test https://c.test', [demo, { ...demo, short_url: demo.original_url }]);
+      
+      const rules = (prospect, target = linter) => target.lint(prospect).map(finding => `${finding.rule}:${finding.severity}`).sort().join();
+      const skipped = createMessageLinter(lintRules, { expectShortLinks: false });
+      
+      // A reject drops the prospect, warnings ride along, and an error fails the batch after it is checked
+      const lintStats = createLintStats();
+      const lintRejected = [];
+      const kept = lintMessages([clean, long, linky], linter, { stats: lintStats, onReject: (prospect, error) => lintRejected.push({ prospect, error }) });
+      let lintFailure = null;
+      try {
+        lintMessages([leftover, clean], linter, { stats: lintStats, onReject: () => {} });
+      } catch (error) {
+        lintFailure = error.message;
+      }
+      
+      const configError = async (config) => {
+        await fs.writeJson(join(lintDir, 'bad.json'), config);
+        try {
+          await loadLintRules(join(lintDir, 'bad.json'));
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+      const severityError = await configError({ rules: { placeholders: { severity: 'fatal' } } });
+      const unknownRuleError = await configError({ rules: { 'emoji-count': { severity: 'warning' } } });
+      const previews = generateMessagePreviews([clean], 1);
+      
+      // A leftover placeholder only drops its own prospect by default, and a big run keeps a bounded findings list
+      const defaultLintRules = await loadLintRules();
+      const cappedStats = createLintStats();
+      lintMessages(Array.from({ length: MAX_LINT_FINDINGS }, () => linky), linter, { stats: cappedStats });
+      
+      if (rules(clean) === '' && rules(long) === 'body-length:reject,url-length:warning' &&
+          rules(broken) === 'broken-characters:reject' && rules(leftover) === 'placeholders:error' &&
+          linter.lint(leftover)[0].message.includes('{company}') && linter.lint(leftover)[0].message.includes('{{ city }}') &&
+          rules(linky) === 'fallback-links:warning,link-count:warning' && rules(linky, skipped) === 'link-count:warning' &&
+          kept.map(prospect => prospect.id).join() === 'clean,linky' && kept[1].lint_warnings.length === 2 &&
+          lintRejected.length === 1 && lintRejected[0].error.field === 'whatsapp_message' && lintRejected[0].error.message.startsWith('body-length:') &&
+          lintFailure?.includes('Company leftover: placeholders') && lintStats.errors === 1 && lintStats.warnings === 3 && lintStats.rejected === 2 &&
+          severityError?.includes('"fatal"') && unknownRuleError?.includes('emoji-count') &&
+          defaultLintRules.placeholders.severity === 'reject' &&
+          cappedStats.findings.length === MAX_LINT_FINDINGS && cappedStats.findings_omitted === MAX_LINT_FINDINGS &&
+          cappedStats.by_rule['link-count'] === MAX_LINT_FINDINGS && cappedStats.warnings === 2 * MAX_LINT_FINDINGS &&
+          previews[0].body_length === clean.whatsapp_message.length - 2 && !('estimated_sms_parts' in previews[0])) {
+        console.log(chalk.green('   ✅ Lint rules catch long bodies and URLs, placeholders, link caps, broken characters and fallback links by severity'));
+        passedTests++;
+      } else {
+        console.log(chalk.red(`   ❌ Message lint misbehaved: ${JSON.stringify({ long: rules(long), broken: rules(broken), linky: rules(linky), lintStats, lintFailure })}`));
+      }
+    } finally {
+      await fs.remove(lintDir);
+    }
+    
     // Show sample message
     console.log(chalk.blue('\\n📱 Sample Generated Message:'));
     console.log(chalk.white('─'.repeat(50)));